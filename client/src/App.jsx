@@ -13,6 +13,9 @@ import {
   shopifySearchByTitle,
   linkShopifyProduct,
   closeoutSubmit,
+  voidCloseout,
+  completeReceiving,
+  previewCloseout,
   closeoutPdf,
   allocationPdf,
   submitOfficeSample,
@@ -22,9 +25,28 @@ import {
   fetchRecordsByShopifyGid,
   fetchInvoicingRecords,
   markRecordsPaid,
-  fetchBinLabelPdf
+  fetchBinLabelPdf,
+  fetchSizeScales,
+  fetchAuditLog,
+  fetchCatalogAudit,
+  runCatalogAudit,
+  fetchReconciliation,
+  fetchAllocationRules,
+  fetchAllocationRuleSet,
+  saveAllocationRuleSet,
+  deleteAllocationRuleSet,
+  fetchSellThrough,
+  importSellThroughCsv,
+  importSellThroughFromOrders,
+  fetchLocationRegistry,
+  saveLocationRegistry,
+  syncLocationRegistry,
+  fetchShopifyStatus,
+  savePoShop,
+  setActiveShop
 } from "./api.js";
-import { computeAllocation } from "./allocationEngine";
+import { computeAllocation, computeSizeCurveAllocation, resolveRuleSet, DEFAULT_RULE_SET } from "./allocationEngine";
+import { parseAlloc, parseScan, serializeAlloc, serializeScan } from "../../shared/scanSchema.js";
 import {
   computeVariance,
   aggregateVariance,
@@ -64,82 +86,13 @@ function resizeImageDataUrl(dataUrl, maxWidth = 400, quality = 0.75) {
 }
 
 /**
- * Allocation rules (updated):
- * - Allocation is based on BUY total.
- * - Overage (ship - buy) goes to Warehouse.
- * - Packs are built from inv = min(buy, ship).
- * - Office rule (ONLY rule):
- *   - On Bogota’s FIRST successful pack, move 1 XS + 1 S FROM Bogota allocation to Office (if possible).
+ * Allocation rules live in allocationEngine.js (built-in defaults) and in the
+ * server-side rule sets edited from the Allocation Rules screen. The rule set
+ * is resolved per record from its Vendor / Category.
  * - Ignore Teaneck:
  *   - exclude Teaneck from store pack distribution (its would-be packs go to Warehouse).
  */
 
-// Pack sequence (1..15). After 15 packs, remainder goes to Warehouse.
-const PACK_SEQUENCE_1_TO_15 = [
-  "Cedarhurst", // 1
-  "Cedarhurst", // 2
-  "Bogota", // 3
-  "Bogota", // 4
-  "Toms River", // 5
-  "Teaneck Store", // 6
-  "Cedarhurst", // 7
-  "Bogota", // 8
-  "Toms River", // 9
-  "Cedarhurst", // 10
-  "Warehouse", // 11
-  "Warehouse", // 12
-  "Bogota", // 13
-  "Cedarhurst", // 14
-  "Warehouse" // 15
-];
-
-const PACK_CORE_NO_XL = { XS: 3, S: 3, M: 2, L: 1 }; // 9 units (XL optional, XXS optional)
-
-const SIZES = ["XXS", "XS", "S", "M", "L", "XL"];
-const LOCATION_DISPLAY_ORDER = ["Office", "Bogota", "Cedarhurst", "Teaneck Store", "Toms River", "Warehouse"];
-const DEFAULT_LOCATIONS = LOCATION_DISPLAY_ORDER;
-
-function sortLocations(locs) {
-  return [...locs].sort((a, b) => {
-    const ai = LOCATION_DISPLAY_ORDER.indexOf(a);
-    const bi = LOCATION_DISPLAY_ORDER.indexOf(b);
-    if (ai === -1 && bi === -1) return a.localeCompare(b);
-    if (ai === -1) return 1;
-    if (bi === -1) return -1;
-    return ai - bi;
-  });
-}
-
-// (Not currently used by the allocator below, but leaving in place)
-const PACK_WITH_XXS = { XXS: 1, XS: 3, S: 3, M: 2, L: 1, XL: 1 }; // 11
-const PACK_NO_XXS = { XS: 3, S: 3, M: 2, L: 1, XL: 1 }; // 10
-const STORE_PACK_PRIORITY = ["Cedarhurst", "Bogota", "Toms River", "Teaneck Store"];
-
-// (Not currently used by the allocator below, but leaving in place)
-const PACK_PLAN_NO_XXS = [
-  { minTotal: 200, packs: { Bogota: 4, Cedarhurst: 5, "Toms River": 2, "Teaneck Store": 1, Warehouse: 8 } },
-  { minTotal: 190, packs: { Bogota: 4, Cedarhurst: 5, "Toms River": 2, "Teaneck Store": 1, Warehouse: 7 } },
-  { minTotal: 180, packs: { Bogota: 4, Cedarhurst: 5, "Toms River": 2, "Teaneck Store": 1, Warehouse: 6 } },
-  { minTotal: 170, packs: { Bogota: 4, Cedarhurst: 5, "Toms River": 2, "Teaneck Store": 1, Warehouse: 5 } },
-  { minTotal: 160, packs: { Bogota: 4, Cedarhurst: 5, "Toms River": 2, "Teaneck Store": 1, Warehouse: 4 } },
-  { minTotal: 150, packs: { Bogota: 4, Cedarhurst: 5, "Toms River": 2, "Teaneck Store": 1, Warehouse: 3 } },
-  { minTotal: 140, packs: { Bogota: 4, Cedarhurst: 5, "Toms River": 2, "Teaneck Store": 1, Warehouse: 2 } },
-  { minTotal: 130, packs: { Bogota: 4, Cedarhurst: 5, "Toms River": 2, "Teaneck Store": 1, Warehouse: 1 } },
-  { minTotal: 120, packs: { Bogota: 4, Cedarhurst: 5, "Toms River": 2, "Teaneck Store": 1, Warehouse: 0 } },
-  { minTotal: 110, packs: { Bogota: 3, Cedarhurst: 5, "Toms River": 2, "Teaneck Store": 1, Warehouse: 0 } },
-  { minTotal: 100, packs: { Bogota: 3, Cedarhurst: 4, "Toms River": 2, "Teaneck Store": 1, Warehouse: 0 } },
-  { minTotal: 90, packs: { Bogota: 3, Cedarhurst: 3, "Toms River": 2, "Teaneck Store": 1, Warehouse: 0 } },
-  { minTotal: 80, packs: { Bogota: 3, Cedarhurst: 3, "Toms River": 1, "Teaneck Store": 1, Warehouse: 0 } },
-  { minTotal: 70, packs: { Bogota: 2, Cedarhurst: 3, "Toms River": 1, "Teaneck Store": 1, Warehouse: 0 } },
-  { minTotal: 60, packs: { Bogota: 2, Cedarhurst: 2, "Toms River": 1, "Teaneck Store": 1, Warehouse: 0 } }
-];
-
-const PACK_PLAN_WITH_XXS = [
-  { minTotal: 154, packs: { Bogota: 3, Cedarhurst: 4, "Toms River": 2, "Teaneck Store": 1 } },
-  { minTotal: 88, packs: { Bogota: 2, Cedarhurst: 3, "Toms River": 1, "Teaneck Store": 2 } },
-  { minTotal: 66, packs: { Bogota: 2, Cedarhurst: 2, "Toms River": 1, "Teaneck Store": 1 } }
-];
-
 function clampInt(v) {
   if (v === "" || v === null || v === undefined) return 0;
   const n = Number(v);
@@ -161,13 +114,13 @@ function emptyMatrix(locations, sizes) {
   return m;
 }
 
-function parseJsonOrNull(s) {
-  if (!s) return null;
-  try {
-    return JSON.parse(s);
-  } catch {
-    return null;
+// Every location × size as a number (missing cells = 0).
+function normalizeMatrix(m, locations, sizes) {
+  const out = emptyMatrix(locations, sizes);
+  for (const loc of locations) {
+    for (const s of sizes) out[loc][s] = Number(m?.[loc]?.[s] ?? 0);
   }
+  return out;
 }
 
 function perSizeTotalsFromMatrix(matrix, locations, sizes) {
@@ -186,6 +139,7 @@ function diffPerSize(a, b, sizes) {
   return d;
 }
 
+// Mirrors server/sizeScales.js normalizeSizeValue.
 function normalizeSizeValue(val) {
   if (!val) return null;
   const s = String(val).trim().toUpperCase();
@@ -193,9 +147,37 @@ function normalizeSizeValue(val) {
   if (s === "XX-SMALL") return "XXS";
   if (s === "X SMALL") return "XS";
   if (s === "XX SMALL") return "XXS";
+  if (["ONE SIZE", "ONESIZE", "ONE-SIZE", "O/S", "OS"].includes(s)) return "OS";
+  const plus = s.match(/^([1-9])XL?$/);
+  if (plus) return `${plus[1]}X`;
+  if (/^\d+(\.0+)?$/.test(s)) return String(parseInt(s, 10));
   return s;
 }
 
+// Same rule as the server's variantsForColor: a record with a Shopify color
+// owns only that color's variants.
+function sameColor(a, b) {
+  return String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+}
+
+function productForColor(product, color) {
+  if (!product || !String(color || "").trim()) return product;
+  return { ...product, variants: (product.variants || []).filter((v) => sameColor(v.colorValue, color)) };
+}
+
+function productColors(product) {
+  const out = [];
+  for (const v of product?.variants || []) {
+    const c = String(v.colorValue || "").trim();
+    if (c && !out.some((x) => sameColor(x, c))) out.push(c);
+  }
+  return out;
+}
+
+function newSubmissionId(prefix) {
+  return (typeof crypto !== "undefined" && crypto.randomUUID) ? crypto.randomUUID() : `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
 function statusKind(message) {
   const m = String(message || "").toLowerCase();
   if (!m) return "info";
@@ -214,57 +196,66 @@ function sumPerSize(obj, sizes) {
 }
 
 /**
- * Try to build N full packs from available inventoryBySize.
+ * Pure auto-allocation function. Same algorithm as the UI "Auto Allocate" button.
+ * Delegates to computeAllocation() from allocationEngine.js with the rule set
+ * resolved for the record's vendor / category. A record's own size scale
+ * (record.sizes / record.sizeScale) wins over the `sizes` passed in.
  */
-function computeMaxPacksAvailable(inventoryBySize, packScale) {
-  let max = Infinity;
-  for (const [size, need] of Object.entries(packScale)) {
-    const have = Number(inventoryBySize?.[size] ?? 0);
-    if (need <= 0) continue;
-    max = Math.min(max, Math.floor(have / need));
-  }
-  if (!Number.isFinite(max)) max = 0;
-  return Math.max(0, max);
-}
-
-function subtractPack(inventoryBySize, packScale, packsCount = 1) {
-  const next = { ...inventoryBySize };
-  for (const [size, need] of Object.entries(packScale)) {
-    next[size] = Math.max(0, Number(next[size] ?? 0) - need * packsCount);
-  }
-  return next;
-}
-
-function addPackToMatrix(matrix, loc, packScale, packsCount = 1) {
-  const out = structuredClone(matrix);
-  for (const [size, need] of Object.entries(packScale)) {
-    out[loc][size] = Number(out?.[loc]?.[size] ?? 0) + need * packsCount;
-  }
-  return out;
-}
-
-function pickPlan(total) {
-  const plans = PACK_PLAN_NO_XXS;
-  const FUDGE = 2;
-  for (const p of plans) {
-    if (total >= p.minTotal - FUDGE) return p.packs;
-  }
-  return plans[plans.length - 1]?.packs || {};
+function computeAutoAlloc(record, locations, sizes, ignoreTeaneck = false, ruleSets = [], roles = {}) {
+  const ruleSet = resolveRuleSet(ruleSets, { vendor: record?.vendor, category: record?.category });
+  const { allocation, packSummary } = computeAllocation({
+    buy: record?.buy || {},
+    ship: record?.ship || {},
+    locations,
+    sizes: record?.sizes || sizes,
+    sizeScale: record?.sizeScale,
+    ignoreTeaneck,
+    rules: ruleSet.rules,
+    ...roleArgs(roles)
+  });
+  return { allocation, ruleSet: ruleSetStamp(ruleSet, packSummary) };
 }
 
 /**
- * Pure auto-allocation function. Same algorithm as the UI "Auto Allocate" button.
- * Delegates to computeAllocation() from allocationEngine.js.
+ * Size-curve variant of computeAutoAlloc: same rule set and pack counts, sizes
+ * split by each store's sell-through. Also returns the standard allocation so
+ * the two can be compared before applying.
  */
-function computeAutoAlloc(record, locations, sizes, ignoreTeaneck = false) {
-  const { allocation } = computeAllocation({
+function computeCurveAlloc(record, locations, sizes, ignoreTeaneck = false, ruleSets = [], weights = {}, roles = {}) {
+  const ruleSet = resolveRuleSet(ruleSets, { vendor: record?.vendor, category: record?.category });
+  const args = {
     buy: record?.buy || {},
     ship: record?.ship || {},
     locations,
-    sizes,
-    ignoreTeaneck
-  });
-  return allocation;
+    sizes: record?.sizes || sizes,
+    sizeScale: record?.sizeScale,
+    ignoreTeaneck,
+    rules: ruleSet.rules,
+    ...roleArgs(roles)
+  };
+  const standard = computeAllocation(args);
+  const { allocation, packSummary, curves } = computeSizeCurveAllocation({ ...args, weights });
+  return {
+    allocation,
+    standard: standard.allocation,
+    curves,
+    ruleSet: { ...ruleSetStamp(ruleSet, packSummary), mode: "size-curve" }
+  };
+}
+
+// Office / sink from the location registry; omitted ones keep the engine defaults.
+function roleArgs(roles) {
+  const out = {};
+  if (roles?.office) out.office = roles.office;
+  if (roles?.sink) out.sink = roles.sink;
+  return out;
+}
+
+// What gets written into Alloc_JSON so a saved allocation can be traced back
+// to the rule-set version that produced it. `packs` is the engine's pack
+// summary, printed on the allocation PDF.
+function ruleSetStamp(ruleSet, packs) {
+  return { id: ruleSet.id, version: ruleSet.version, name: ruleSet.name, packs };
 }
 
 
@@ -320,22 +311,94 @@ export default function App() {
   const [poData, setPoData] = useState(null);
   const [selectedId, setSelectedId] = useState("");
 
-  const sizes = SIZES;
   const records = poData?.records || [];
   const selected = useMemo(() => records.find((r) => r.id === selectedId) || null, [records, selectedId]);
+  // The selected record's Scan_JSON / Alloc_JSON, typed; `warnings` lists
+  // anything on them that couldn't be read.
+  const selectedScan = useMemo(() => parseScan(selected?.scanJson), [selected]);
+  const selectedAlloc = useMemo(() => parseAlloc(selected?.allocJson), [selected]);
+
+  // Size scales (server config). Matrices follow the selected record's scale;
+  // with nothing selected, the PO's default, then the default scale's.
+  const [sizeScales, setSizeScales] = useState({ scales: [], defaultScale: null });
+  async function reloadSizeScales() {
+    try {
+      const r = await fetchSizeScales();
+      setSizeScales({ scales: r.scales || [], defaultScale: r.defaultScale || null });
+    } catch (e) {
+      setStatus(`Could not load size scales: ${e.message}`);
+    }
+  }
+  useEffect(() => {
+    if (user) reloadSizeScales();
+  }, [user]);
+  const defaultSizes = useMemo(
+    () => (sizeScales.scales.find((sc) => sc.id === sizeScales.defaultScale) || sizeScales.scales[0])?.sizes || [],
+    [sizeScales]
+  );
+  const sizes = selected?.sizes || poData?.sizes || defaultSizes;
 
   // Locations
-  const [locations, setLocations] = useState(DEFAULT_LOCATIONS);
+  // Locations — active entries of the server's location registry, already in
+  // display order, plus which one is the office and which is the sink.
+  const [locations, setLocations] = useState([]);
+  const [locationRoles, setLocationRoles] = useState({ office: null, sink: null });
+  async function reloadLocations() {
+    try {
+      const r = await getLocations();
+      setLocations(r.locations || []);
+      setLocationRoles({ office: r.office || null, sink: r.sink || null });
+    } catch (e) {
+      setStatus(`Could not load locations: ${e.message}`);
+    }
+  }
+  // The routes need a session, so (re)load once the user is known.
   useEffect(() => {
-    (async () => {
-      try {
-        const r = await getLocations();
-        setLocations(sortLocations(r.locations || DEFAULT_LOCATIONS));
-      } catch {
-        setLocations(DEFAULT_LOCATIONS);
-      }
-    })();
-  }, []);
+    if (user) reloadLocations();
+  }, [user]);
+
+  // Shopify shops. With more than one, the sidebar picks where Shopify calls
+  // go; loading a PO switches to the PO's shop, and picking one while a PO is
+  // loaded saves it as that PO's shop.
+  const [shopifyStatus, setShopifyStatus] = useState(null);
+  const [activeShop, setActiveShopState] = useState(null);
+  function selectShop(shop) {
+    setActiveShop(shop);
+    setActiveShopState(shop || null);
+  }
+  async function reloadShopifyStatus() {
+    try {
+      setShopifyStatus(await fetchShopifyStatus());
+    } catch (e) {
+      setStatus(`Could not load Shopify status: ${e.message}`);
+    }
+  }
+  useEffect(() => {
+    if (user) reloadShopifyStatus();
+  }, [user]);
+  const shopChoices = shopifyStatus?.shops || [];
+  const shopWarnings = shopChoices.filter((sh) => sh.error || sh.missingScopes?.length || !sh.connected);
+
+  async function onPickShop(shop) {
+    const prev = activeShop;
+    selectShop(shop);
+    if (!poData?.po) return;
+    try {
+      await savePoShop(poData.po, shop);
+      setPoData((d) => (d ? { ...d, shop } : d));
+      setStatus(`PO ${poData.po} now goes to ${shop}.`);
+    } catch (e) {
+      selectShop(prev);
+      setStatus(e.message);
+    }
+  }
+
+  // A PO loaded in a workflow that already looked things up in the active
+  // shop (office samples) must target that same shop.
+  function poShopMismatch(data) {
+    if (!data?.shop || !activeShop || data.shop === activeShop) return "";
+    return `PO ${data.po} goes to ${data.shop}, but this scan was looked up in ${activeShop}. Switch the shop and scan again.`;
+  }
 
   // Shipping (Mode 1)
   const [shipDate, setShipDate] = useState("");
@@ -343,21 +406,67 @@ export default function App() {
   const [trackingNumber, setTrackingNumber] = useState("");
 
   // Allocation (Mode 2)
-  const [alloc, setAlloc] = useState(() => emptyMatrix(DEFAULT_LOCATIONS, SIZES));
+  const [alloc, setAlloc] = useState(() => emptyMatrix([], []));
   const [allocEdit, setAllocEdit] = useState(false);
   const [ignoreTeaneck, setIgnoreTeaneck] = useState(false);
+  const [allocRuleSet, setAllocRuleSet] = useState(null); // { id, version, name } stamped into Alloc_JSON
+
+  // Allocation rule sets (server-side, editable in Mode 8)
+  const [ruleSets, setRuleSets] = useState([]);
+  async function reloadRuleSets() {
+    try {
+      const r = await fetchAllocationRules();
+      setRuleSets(r.ruleSets || []);
+    } catch {
+      setRuleSets([]);
+    }
+  }
+  useEffect(() => {
+    if (user) reloadRuleSets();
+  }, [user]);
+
+  // Sell-through weights for size-curve allocation (imported in Mode 8)
+  const [sellThrough, setSellThrough] = useState(null);
+  const [curvePreview, setCurvePreview] = useState(null); // { standard, allocation, curves, ruleSet } awaiting Apply
+  async function reloadSellThrough() {
+    try {
+      const r = await fetchSellThrough();
+      setSellThrough(r);
+      return r;
+    } catch {
+      setSellThrough(null);
+      return null;
+    }
+  }
 
   // Receiving (Mode 3)
-  const [scan, setScan] = useState(() => emptyMatrix(DEFAULT_LOCATIONS, SIZES));
+  const [scan, setScan] = useState(() => emptyMatrix([], []));
   const [scanEdit, setScanEdit] = useState(false);
-  const [closeoutDone, setCloseoutDone] = useState(false);
   const [labelOpen, setLabelOpen] = useState(false);
   const [labelStyle, setLabelStyle] = useState("");
   const [labelColor, setLabelColor] = useState("");
-  const [activeLoc, setActiveLoc] = useState(DEFAULT_LOCATIONS[0]);
+  const [activeLoc, setActiveLoc] = useState("");
   const [scanBarcode, setScanBarcode] = useState("");
   const scanInputRef = useRef(null);
   const osSubmittingRef = useRef(false);
+  const [closeoutPreview, setCloseoutPreview] = useState(null);
+  // "Set to counted": write absolute quantities (what the preview read + the
+  // units received) so Shopify refuses the closeout if stock moved since.
+  const [setToCounted, setSetToCounted] = useState(false);
+  const [closeoutConflicts, setCloseoutConflicts] = useState(null);
+  // What the allocation / scan being edited is based on ({ version, json }),
+  // sent with each save so a stale one is refused; a 409's merge goes in
+  // saveConflict ({ kind: "alloc" | "scan", currentVersion, current, merged, conflicts }).
+  const saveBaseRef = useRef({ alloc: null, scan: null });
+  const [saveConflict, setSaveConflict] = useState(null);
+  // One id per closeout attempt, reused on retry so the server can drop a
+  // duplicate; a new one once a receipt goes through, after Void, or when
+  // another product is picked.
+  const closeoutSubmissionRef = useRef(null);
+  function closeoutSubmissionId() {
+    if (!closeoutSubmissionRef.current) closeoutSubmissionRef.current = newSubmissionId("co");
+    return closeoutSubmissionRef.current;
+  }
   const [lastScanStack, setLastScanStack] = useState([]);
 
   // Shopify link (auto if Airtable already has product gid)
@@ -478,17 +587,19 @@ export default function App() {
     setStatus(`Running allocation for ${validRows.length} product(s)…`);
 
     const items = validRows.map((row) => {
-      const alloc = computeAutoAlloc(row.rec, locations, sizes, row.ignoreTeaneck);
+      const { allocation: alloc, ruleSet } = computeAutoAlloc(row.rec, locations, sizes, row.ignoreTeaneck, ruleSets, locationRoles);
       return {
         recordId: row.recordId,
-        allocJson: JSON.stringify(alloc),
+        allocJson: serializeAlloc({ matrix: alloc, ruleSet }),
+        baseVersion: row.rec?.allocVersion,
         po: row.po,
         productLabel: row.label,
-        sizes,
+        sizes: row.rec?.sizes || sizes,
         locations,
         allocation: alloc,
         buy: row.rec?.buy || {},
-        ship: row.rec?.ship || {}
+        ship: row.rec?.ship || {},
+        ruleSet
       };
     });
 
@@ -500,7 +611,7 @@ export default function App() {
 
     try {
       setStatus("Saving allocations + generating PDFs…");
-      const blob = await bulkAllocPdfs(items, baNotes);
+      const { blob, saveFailures } = await bulkAllocPdfs(items, baNotes);
       const url = URL.createObjectURL(blob);
       const a = document.createElement("a");
       a.href = url;
@@ -510,7 +621,9 @@ export default function App() {
       a.remove();
       URL.revokeObjectURL(url);
       setBaZipReady(true);
-      setStatus(`Bulk allocation complete ✅ ${items.length} PDF(s) downloaded.`);
+      setStatus(saveFailures
+        ? `⚠️ ${items.length} PDF(s) downloaded, but ${saveFailures} allocation(s) were NOT saved to Airtable — see save_errors.txt in the zip.`
+        : `Bulk allocation complete ✅ ${items.length} PDF(s) downloaded.`);
     } catch (e) {
       setStatus(`Bulk allocation PDF/save failed: ${e.message}`);
     } finally {
@@ -526,17 +639,19 @@ export default function App() {
     setStatus(`Running allocation for ${validRows.length} product(s)…`);
 
     const items = validRows.map((row) => {
-      const alloc = computeAutoAlloc(row.rec, locations, sizes, row.ignoreTeaneck);
+      const { allocation: alloc, ruleSet } = computeAutoAlloc(row.rec, locations, sizes, row.ignoreTeaneck, ruleSets, locationRoles);
       return {
         recordId: row.recordId,
-        allocJson: JSON.stringify(alloc),
+        allocJson: serializeAlloc({ matrix: alloc, ruleSet }),
+        baseVersion: row.rec?.allocVersion,
         po: row.po,
         productLabel: row.label,
-        sizes,
+        sizes: row.rec?.sizes || sizes,
         locations,
         allocation: alloc,
         buy: row.rec?.buy || {},
-        ship: row.rec?.ship || {}
+        ship: row.rec?.ship || {},
+        ruleSet
       };
     });
 
@@ -548,7 +663,7 @@ export default function App() {
 
     try {
       setStatus("Saving allocations + generating merged PDF…");
-      const blob = await bulkAllocMergedPdf(items, baNotes);
+      const { blob, saveFailures } = await bulkAllocMergedPdf(items, baNotes);
       const url = URL.createObjectURL(blob);
       const a = document.createElement("a");
       a.href = url;
@@ -558,7 +673,9 @@ export default function App() {
       a.remove();
       URL.revokeObjectURL(url);
       setBaZipReady(true);
-      setStatus(`Bulk allocation complete ✅ ${items.length} PDF(s) merged and downloaded.`);
+      setStatus(saveFailures
+        ? `⚠️ Merged PDF downloaded, but ${saveFailures} allocation(s) were NOT saved to Airtable (changed since loading, or refused) — reload the PO(s) and run again.`
+        : `Bulk allocation complete ✅ ${items.length} PDF(s) merged and downloaded.`);
     } catch (e) {
       setStatus(`Bulk allocation merged PDF failed: ${e.message}`);
     } finally {
@@ -624,10 +741,15 @@ export default function App() {
     try {
       setInvLoading(true);
       setStatus("Marking as paid…");
-      await markRecordsPaid(toMark.map((r) => ({ id: r.id, amount: r.finalCost })));
-      setStatus(`Marked ${toMark.length} record(s) as paid ✅`);
-      // Reload
+      const { failed, results } = await markRecordsPaid(toMark.map((r) => ({ id: r.id, amount: r.finalCost })));
+      // Reload (failed records stay unpaid, so they can be retried)
       await onLoadInvoicing();
+      if (failed) {
+        const firstError = results.find((x) => !x.ok)?.error || "";
+        setStatus(`⚠️ Marked ${toMark.length - failed} of ${toMark.length} record(s) as paid — ${failed} failed: ${firstError}`);
+      } else {
+        setStatus(`Marked ${toMark.length} record(s) as paid ✅`);
+      }
     } catch (e) {
       setStatus(`Mark paid failed: ${e.message}`);
       setInvLoading(false);
@@ -705,8 +827,184 @@ export default function App() {
     }
   }
 
+  // ---- Allocation Rules mode (Mode 8) ----
+  async function onSaveRuleSet(id, draft) {
+    try {
+      setLoading(true);
+      setStatus("Saving rule set…");
+      const r = await saveAllocationRuleSet(id, draft);
+      await reloadRuleSets();
+      setStatus(`Rule set "${r.ruleSet.name}" saved as v${r.ruleSet.version} ✅`);
+      return r.ruleSet;
+    } catch (e) {
+      setStatus(`Rule set save failed: ${e.message}`);
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function onDeleteRuleSet(id) {
+    if (!window.confirm(`Delete rule set "${id}"? Records it covered will fall back to the default rules.`)) return false;
+    try {
+      setLoading(true);
+      await deleteAllocationRuleSet(id);
+      await reloadRuleSets();
+      setStatus("Rule set deleted ✅");
+      return true;
+    } catch (e) {
+      setStatus(`Rule set delete failed: ${e.message}`);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function onImportSellThrough(csvText) {
+    try {
+      setLoading(true);
+      setStatus("Importing sell-through…");
+      const r = csvText == null ? await importSellThroughFromOrders() : await importSellThroughCsv(csvText);
+      setSellThrough(r);
+      setStatus(`Sell-through imported ✅ ${r.rowCount} row(s)${r.skipped?.length ? `, ${r.skipped.length} skipped` : ""}.`);
+    } catch (e) {
+      setStatus(`Sell-through import failed: ${e.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function onLoadRuleSetHistory(id) {
+    try {
+      const r = await fetchAllocationRuleSet(id);
+      return r.ruleSet?.history || [];
+    } catch (e) {
+      setStatus(`Could not load rule set history: ${e.message}`);
+      return [];
+    }
+  }
+
+  // ---- Locations mode (Mode 9) ----
+  const [registry, setRegistry] = useState([]);
+
+  async function onOpenLocations() {
+    setMode("locations");
+    try {
+      const r = await fetchLocationRegistry();
+      setRegistry(r.locations || []);
+    } catch (e) {
+      setStatus(`Could not load location registry: ${e.message}`);
+    }
+  }
+
+  async function onSyncLocations() {
+    try {
+      setLoading(true);
+      setStatus("Syncing locations from Shopify…");
+      const r = await syncLocationRegistry();
+      setRegistry(r.locations || []);
+      const parts = [];
+      if (r.added?.length) parts.push(`new (inactive): ${r.added.join(", ")}`);
+      if (r.missing?.length) parts.push(`not in Shopify: ${r.missing.join(", ")}`);
+      setStatus(`Locations synced ✅ ${parts.join(" · ") || "No changes."}`);
+    } catch (e) {
+      setStatus(`Location sync failed: ${e.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function onSaveLocations(list) {
+    try {
+      setLoading(true);
+      const r = await saveLocationRegistry(list);
+      setRegistry(r.locations || []);
+      await reloadLocations();
+      setStatus("Locations saved ✅");
+    } catch (e) {
+      setStatus(`Location save failed: ${e.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // ---- Inventory audit mode (Mode 10) ----
+  const [audit, setAudit] = useState({ entries: [], total: 0 });
+
+  async function onSearchAudit(filters) {
+    try {
+      setLoading(true);
+      const r = await fetchAuditLog(filters);
+      setAudit({ entries: r.entries || [], total: r.total || 0 });
+      setStatus("");
+    } catch (e) {
+      setStatus(`Audit log search failed: ${e.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // ---- Reconciliation mode (Mode 12) ----
+  const [reconciliation, setReconciliation] = useState(null);
+
+  async function onLoadReconciliation(po) {
+    if (!po) return;
+    try {
+      setLoading(true);
+      const r = await fetchReconciliation(po);
+      setReconciliation(r);
+      const failed = Object.entries(r.liveErrors || {});
+      setStatus(failed.length ? `Shopify unreachable for ${failed.map(([shop]) => shop).join(", ")} — showing last webhook levels.` : "");
+    } catch (e) {
+      setStatus(`Reconciliation failed: ${e.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // ---- Catalog audit mode (Mode 11) ----
+  const [catalogAudit, setCatalogAudit] = useState({ job: null, report: null });
+
+  async function onLoadCatalogAudit({ quiet = false } = {}) {
+    try {
+      if (!quiet) setLoading(true);
+      const r = await fetchCatalogAudit();
+      setCatalogAudit({ job: r.job || null, report: r.report || null });
+      if (r.job?.lastJob === "catalog-audit" && r.job?.lastError && !r.job?.running) {
+        setStatus(`Catalog audit failed: ${r.job.lastError}`);
+      }
+    } catch (e) {
+      setStatus(`Catalog audit load failed: ${e.message}`);
+    } finally {
+      if (!quiet) setLoading(false);
+    }
+  }
+
+  async function onRunCatalogAudit() {
+    try {
+      setLoading(true);
+      const r = await runCatalogAudit();
+      setCatalogAudit((prev) => ({ ...prev, job: r.job || null }));
+      setStatus("Catalog audit started — Shopify is exporting every variant, this can take a few minutes.");
+    } catch (e) {
+      setStatus(`Catalog audit failed to start: ${e.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Poll while a Shopify export is running
+  const catalogExportRunning = !!catalogAudit.job?.running;
+  useEffect(() => {
+    if (mode !== "catalog-audit" || !catalogExportRunning) return undefined;
+    const t = setInterval(() => onLoadCatalogAudit({ quiet: true }), 5000);
+    return () => clearInterval(t);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [mode, catalogExportRunning]);
+
   // Derived
   const unitCost = Number(selected?.unitCost ?? 0);
+  const receivingComplete = !!selected?.closeoutComplete;
 
   const buyTotalsBySize = useMemo(() => {
     const t = {};
@@ -745,6 +1043,7 @@ export default function App() {
       setLoading(true);
       const data = await fetchPO(po);
       setPoData(data);
+      if (data.shop) selectShop(data.shop);
 
       if ((data.records || []).length === 1) setSelectedId(data.records[0].id);
       else setSelectedId("");
@@ -776,10 +1075,11 @@ export default function App() {
       setLoading(true);
       setStatus("Loading linked Shopify product…");
       const r = await shopifyByProductId(gid);
+      const product = productForColor(r.product, record.shopifyColor);
       setShopifyLinked(true);
-      setShopifyProduct(r.product);
-      setBarcodeMap(buildBarcodeMapFromProduct(r.product));
-      setStatus(`Linked Shopify loaded: ${r.product?.title || "Product"} ✅`);
+      setShopifyProduct(product);
+      setBarcodeMap(buildBarcodeMapFromProduct(product));
+      setStatus(`Linked Shopify loaded: ${r.product?.title || "Product"}${record.shopifyColor ? ` (${record.shopifyColor})` : ""} ✅`);
     } catch (e) {
       setShopifyLinked(false);
       setShopifyProduct(null);
@@ -798,23 +1098,17 @@ export default function App() {
     setShipDate(fmtDateForInput(selected.shipDate));
     setTrackingNumber(selected.trackingNumber || "");
 
-    const a = parseJsonOrNull(selected.allocJson) || emptyMatrix(locations, sizes);
-    const sc = parseJsonOrNull(selected.scanJson) || emptyMatrix(locations, sizes);
-
-    const normalizedA = emptyMatrix(locations, sizes);
-    const normalizedS = emptyMatrix(locations, sizes);
-
-    for (const loc of locations) {
-      for (const s of sizes) {
-        normalizedA[loc][s] = Number(a?.[loc]?.[s] ?? 0);
-        normalizedS[loc][s] = Number(sc?.[loc]?.[s] ?? 0);
-      }
-    }
-
-    setAlloc(normalizedA);
-    setScan(normalizedS);
+    setAlloc(normalizeMatrix(selectedAlloc.matrix, locations, sizes));
+    setAllocRuleSet(selectedAlloc.ruleSet);
+    setCurvePreview(null);
+    setScan(normalizeMatrix(selectedScan.matrix, locations, sizes));
+    saveBaseRef.current = {
+      alloc: { version: selected.allocVersion, json: selected.allocJson },
+      scan: { version: selected.scanVersion, json: selected.scanJson }
+    };
+    setSaveConflict(null);
 
-    setActiveLoc(locations[0] || DEFAULT_LOCATIONS[0]);
+    setActiveLoc(locations[0] || "");
 
     setAllocEdit(false);
     setScanEdit(false);
@@ -830,7 +1124,9 @@ export default function App() {
 
     setScanBarcode("");
     setLastScanStack([]);
-    setCloseoutDone(!!selected.hasCloseout);
+    closeoutSubmissionRef.current = null;
+    setCloseoutPreview(null);
+    setCloseoutConflicts(null);
     setLabelOpen(false);
     setLabelStyle(selected.styleName || "");
     setLabelColor(selected.colorName || "");
@@ -846,12 +1142,20 @@ export default function App() {
     setShipEdits((prev) => ({ ...(prev || {}), [size]: v }));
   }
 
+  // Hand edits after Auto Allocate mean the pack summary no longer describes
+  // the matrix exactly; the PDF says so.
+  function markAllocEdited() {
+    setAllocRuleSet((prev) => (prev && !prev.edited ? { ...prev, edited: true } : prev));
+  }
+
   function setAllocCell(loc, size, value) {
     const v = clampInt(value);
+    markAllocEdited();
     setAlloc((prev) => ({ ...prev, [loc]: { ...(prev[loc] || {}), [size]: v } }));
   }
 
   function bumpAllocCell(loc, size, delta) {
+    markAllocEdited();
     setAlloc((prev) => {
       const cur = Number(prev?.[loc]?.[size] ?? 0);
       const next = Math.max(0, cur + delta);
@@ -891,12 +1195,49 @@ export default function App() {
   function onAutoAllocate() {
   if (!selected) return;
   // Build a synthetic record using current ship edits (user may have changed them)
-  const recordForAlloc = { buy: selected.buy, ship: shipTotalsBySize };
-  const built = computeAutoAlloc(recordForAlloc, locations, sizes, ignoreTeaneck);
+  const recordForAlloc = {
+    buy: selected.buy,
+    ship: shipTotalsBySize,
+    vendor: selected.vendor,
+    category: selected.category,
+    sizes,
+    sizeScale: selected.sizeScale
+  };
+  const { allocation: built, ruleSet } = computeAutoAlloc(recordForAlloc, locations, sizes, ignoreTeaneck, ruleSets, locationRoles);
   setAlloc(built);
-  setStatus("Auto Allocated ✅ Pack-sequence allocator applied.");
+  setAllocRuleSet(ruleSet);
+  const extra = ruleSet.packs?.overflowMode ? ` ${ruleSet.packs.totalPacks} packs (past ${ruleSet.packs.sequenceLength}: ${ruleSet.packs.overflowMode}).` : "";
+  setStatus(`Auto Allocated ✅ Rule set "${ruleSet.name}" v${ruleSet.version} applied.${extra}`);
 }
 
+  // ---------- Mode 2: Size-curve allocate (preview, then Apply) ----------
+  async function onSizeCurveAllocate() {
+    if (!selected) return;
+    const st = sellThrough || (await reloadSellThrough());
+    if (!st || !Object.keys(st.weights || {}).length) {
+      setStatus("No sell-through weights yet — import them under Allocation Rules.");
+      return;
+    }
+    const recordForAlloc = {
+      buy: selected.buy,
+      ship: shipTotalsBySize,
+      vendor: selected.vendor,
+      category: selected.category,
+      sizes,
+      sizeScale: selected.sizeScale
+    };
+    setCurvePreview(computeCurveAlloc(recordForAlloc, locations, sizes, ignoreTeaneck, ruleSets, st.weights, locationRoles));
+    setStatus("Size-curve allocation ready — review the comparison, then Apply.");
+  }
+
+  function onApplySizeCurve() {
+    if (!curvePreview) return;
+    setAlloc(curvePreview.allocation);
+    setAllocRuleSet(curvePreview.ruleSet);
+    setCurvePreview(null);
+    setStatus(`Size-curve allocation applied ✅ Rule set "${curvePreview.ruleSet.name}" v${curvePreview.ruleSet.version}. Submit to save.`);
+  }
+
   // ---------- Mode 2: Save Allocation ----------
   async function onSaveAllocation() {
     if (!selectedId) return;
@@ -916,15 +1257,70 @@ export default function App() {
     try {
       setLoading(true);
       setStatus("Saving allocation…");
-      await saveAllocation(selectedId, alloc);
+      await saveAllocationVersioned();
       setStatus("Allocation saved ✅");
     } catch (e) {
-      setStatus(`Allocation save failed: ${e.message}`);
+      onSaveFailed("alloc", e, "Allocation save failed");
     } finally {
       setLoading(false);
     }
   }
 
+  // ---------- Versioned saves (Alloc_JSON / Scan_JSON) ----------
+  async function saveAllocationVersioned() {
+    const r = await saveAllocation(selectedId, alloc, allocRuleSet, saveBaseRef.current.alloc);
+    saveBaseRef.current.alloc = { version: r.version, json: r.allocJson };
+    setSaveConflict(null);
+    return r;
+  }
+
+  async function saveScanVersioned() {
+    const recTotals = perSizeTotalsFromMatrix(scan, locations, sizes);
+    const r = await saveScan(selectedId, scan, recTotals, saveBaseRef.current.scan);
+    saveBaseRef.current.scan = { version: r.version, json: r.scanJson };
+    setSaveConflict(null);
+    return r;
+  }
+
+  function onSaveFailed(kind, e, prefix) {
+    if (e.conflict) setSaveConflict({ kind, ...e.conflict });
+    setStatus(`${prefix}: ${e.message}`);
+  }
+
+  // Load a resolution of the conflict into the editor, now based on the
+  // stored version; it's saved with the normal Save button.
+  //   "theirs" = merge, conflicting cells as stored
+  //   "mine"   = merge, conflicting cells as in this edit
+  //   "discard" = just what's stored
+  function onResolveSaveConflict(choice) {
+    const c = saveConflict;
+    if (!c) return;
+    const doc = choice === "discard" ? c.current : c.merged;
+    const matrix = { ...doc.matrix };
+    let ruleSet = doc.ruleSet || null;
+    if (choice === "mine") {
+      for (const x of c.conflicts) {
+        if (x.location === null) ruleSet = x.ours;
+        else matrix[x.location] = { ...(matrix[x.location] || {}), [x.size]: x.ours };
+      }
+    }
+
+    if (c.kind === "alloc") {
+      setAlloc(normalizeMatrix(matrix, locations, sizes));
+      setAllocRuleSet(ruleSet);
+      saveBaseRef.current.alloc = { version: c.currentVersion, json: serializeAlloc(c.current) };
+    } else {
+      setScan(normalizeMatrix(matrix, locations, sizes));
+      saveBaseRef.current.scan = { version: c.currentVersion, json: serializeScan({ matrix: c.current.matrix }) };
+    }
+    setSaveConflict(null);
+    setStatus(
+      choice === "discard"
+        ? "Loaded the saved version — your changes were discarded."
+        : "Merged with the saved version — check it, then save again."
+    );
+  }
+
   async function onSubmitAllocationAndDownloadPdf() {
     if (!selectedId || !selected) return;
 
@@ -938,7 +1334,12 @@ export default function App() {
       setStatus("Submitting allocation… Generating Allocation PDF…");
 
       // Save allocation first (so Airtable is in sync)
-      await saveAllocation(selectedId, alloc);
+      try {
+        await saveAllocationVersioned();
+      } catch (e) {
+        onSaveFailed("alloc", e, "Allocation save failed — no PDF generated");
+        return;
+      }
 
       const payload = {
         recordId: selectedId,
@@ -948,7 +1349,8 @@ export default function App() {
         locations,
         allocation: alloc,
         buy: selected.buy || {},
-        ship: shipEdits || {}
+        ship: shipEdits || {},
+        ruleSet: allocRuleSet
       };
 
       const pdfBlob = await allocationPdf(payload);
@@ -970,6 +1372,29 @@ export default function App() {
     }
   }
 
+  // Which Shopify color the selected record is, when color linking is on
+  // (record.shopifyColor !== null) and the product comes in several colors.
+  // `hint` is tried first; otherwise ask. "" = whole product, null = cancelled.
+  function linkColorFor(product, hint) {
+    if (selected?.shopifyColor === null || selected?.shopifyColor === undefined) return "";
+    const colors = productColors(product);
+    if (colors.length < 2) return "";
+    const guess = colors.find((c) => sameColor(c, hint));
+    if (guess) return guess;
+
+    const answer = window.prompt(`"${product.title}" comes in ${colors.join(", ")}.\n\nWhich color is this record?`, colors[0]);
+    if (answer === null) {
+      setStatus("Link cancelled.");
+      return null;
+    }
+    const picked = colors.find((c) => sameColor(c, answer));
+    if (!picked) {
+      setStatus(`Link cancelled — "${answer}" isn't one of ${colors.join(", ")}.`);
+      return null;
+    }
+    return picked;
+  }
+
   // ---------- Shopify: Link by barcode ----------
   async function onLinkShopifyAndPersist() {
     const bc = barcodeLinkInput.trim();
@@ -986,14 +1411,18 @@ export default function App() {
       }
 
       const productId = r.product.productId;
+      // The scanned barcode's color is this record's color
+      const color = linkColorFor(r.product, r.product.variants.find((v) => v.barcode === bc)?.colorValue);
+      if (color === null) return;
 
       setStatus("Writing Shopify Product GID to Airtable…");
-      await linkShopifyProduct(selectedId, productId);
+      await linkShopifyProduct(selectedId, productId, color);
 
+      const product = productForColor(r.product, color);
       setShopifyLinked(true);
-      setShopifyProduct(r.product);
-      setBarcodeMap(buildBarcodeMapFromProduct(r.product));
-      setStatus(`Linked + saved ✅ ${r.product.title}`);
+      setShopifyProduct(product);
+      setBarcodeMap(buildBarcodeMapFromProduct(product));
+      setStatus(`Linked + saved ✅ ${r.product.title}${color ? ` (${color})` : ""}`);
 
       if (poData?.po) {
         const refreshed = await fetchPO(poData.po);
@@ -1041,13 +1470,17 @@ export default function App() {
       // Fetch variants so scanning works immediately
       const r = await shopifyByProductId(productId);
 
+      const color = linkColorFor(r.product, selected?.colorName);
+      if (color === null) return;
+
       setStatus("Writing Shopify Product GID to Airtable…");
-      await linkShopifyProduct(selectedId, productId);
+      await linkShopifyProduct(selectedId, productId, color);
 
+      const product = productForColor(r.product, color);
       setShopifyLinked(true);
-      setShopifyProduct(r.product);
-      setBarcodeMap(buildBarcodeMapFromProduct(r.product));
-      setStatus(`Linked + saved ✅ ${r.product.title}`);
+      setShopifyProduct(product);
+      setBarcodeMap(buildBarcodeMapFromProduct(product));
+      setStatus(`Linked + saved ✅ ${r.product.title}${color ? ` (${color})` : ""}`);
 
       if (poData?.po) {
         const refreshed = await fetchPO(poData.po);
@@ -1077,7 +1510,11 @@ export default function App() {
 
     const hit = barcodeMap[bc];
     if (!hit) {
-      window.alert("This barcode is NOT part of the linked Shopify product.");
+      window.alert(
+        selected?.shopifyColor
+          ? `This barcode is NOT part of the linked Shopify product in ${selected.shopifyColor}.`
+          : "This barcode is NOT part of the linked Shopify product."
+      );
       clearAndRefocus();
       return;
     }
@@ -1188,11 +1625,10 @@ export default function App() {
     try {
       setLoading(true);
       setStatus("Saving scan progress…");
-      const recTotals = perSizeTotalsFromMatrix(scan, locations, sizes);
-      await saveScan(selectedId, scan, recTotals);
+      await saveScanVersioned();
       setStatus("Scan saved ✅");
     } catch (e) {
-      setStatus(`Scan save failed: ${e.message}`);
+      onSaveFailed("scan", e, "Scan save failed");
     } finally {
       setLoading(false);
     }
@@ -1214,12 +1650,26 @@ export default function App() {
     e.target.value = "";
   }
 
+  // Color of the first office-sample scan; later scans must match it.
+  function osColor() {
+    const first = osProduct?.variants.find((v) => v.barcode === osScanned[0]?.barcode);
+    return first?.colorValue || "";
+  }
+
+  function osRecordMatches(rec, product, color) {
+    if (rec.shopifyProductGid !== product.productId) return false;
+    return !rec.shopifyColor || sameColor(rec.shopifyColor, color);
+  }
+
   async function processOsBarcode(barcode) {
     if (!barcode) return;
     // If product already identified, match variant directly
     if (osProduct) {
       const variant = osProduct.variants.find((v) => v.barcode === barcode);
       if (!variant) throw new Error(`Barcode "${barcode}" is not from "${osProduct.title}". Scan a barcode from the same product.`);
+      if (osColor() && !sameColor(variant.colorValue, osColor())) {
+        throw new Error(`Barcode "${barcode}" is ${variant.colorValue || "another color"}, not ${osColor()}. Scan the same color.`);
+      }
       const size = normalizeSizeValue(variant.sizeValue);
       if (osScanned.find((v) => v.size === size)) throw new Error(`Size ${size} already scanned.`);
       setOsScanned((prev) => [...prev, { size, inventoryItemId: variant.inventoryItemId, barcode }]);
@@ -1240,12 +1690,15 @@ export default function App() {
       const linked = await fetchRecordsByShopifyGid(product.productId);
       const linkedRecs = linked.records || [];
       if (linkedRecs.length >= 1) {
-        const autoPO = linkedRecs[0].po;
+        // Records split by color: only the scanned color's records count
+        const colorRecs = linkedRecs.filter((rec) => !rec.shopifyColor || sameColor(rec.shopifyColor, variant.colorValue));
+        const autoPO = (colorRecs[0] || linkedRecs[0]).po;
         setOsPoInput(autoPO);
         // If exactly one linked PO, also auto-load the Airtable record
-        if (linkedRecs.length === 1) {
+        if (colorRecs.length === 1) {
           const data = await fetchPO(autoPO);
-          const match = (data.records || []).find((rec) => rec.shopifyProductGid === product.productId);
+          if (poShopMismatch(data)) return;
+          const match = (data.records || []).find((rec) => osRecordMatches(rec, product, variant.colorValue));
           if (match) {
             setOsRecord(match);
             setOsDelivery(fmtDateForInput(match.delivery) || "");
@@ -1293,9 +1746,17 @@ export default function App() {
     try {
       setLoading(true);
       const data = await fetchPO(po);
-      const match = (data.records || []).find((r) => r.shopifyProductGid === osProduct.productId);
+      const mismatch = poShopMismatch(data);
+      if (mismatch) {
+        setOsError(mismatch);
+        setOsRecord(null);
+        return;
+      }
+      const match = (data.records || []).find((r) => osRecordMatches(r, osProduct, osColor()));
       if (!match) {
-        setOsError(`No Airtable record in PO "${po}" matches "${osProduct.title}". Make sure the Shopify_Product_GID field is linked on this record.`);
+        setOsError(
+          `No Airtable record in PO "${po}" matches "${osProduct.title}"${osColor() ? ` in ${osColor()}` : ""}. Make sure the Shopify_Product_GID field is linked on this record.`
+        );
         setOsRecord(null);
         return;
       }
@@ -1318,18 +1779,19 @@ export default function App() {
       setLoading(true);
       setStatus("Submitting office sample…");
 
-      const submissionId =
-        (typeof crypto !== "undefined" && crypto.randomUUID) ? crypto.randomUUID() : `os-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+      const submissionId = newSubmissionId("os");
 
       const result = await submitOfficeSample(osRecord.id, {
         submissionId,
-        inventoryAdjustments: osScanned.map((v) => ({ inventoryItemId: v.inventoryItemId, delta: 1 })),
+        inventoryAdjustments: osScanned.map((v) => ({ inventoryItemId: v.inventoryItemId, delta: 1, size: v.size })),
         officeSentDate: today,
         deliveryDate: osDelivery || undefined,
         photoBase64: osPhoto.base64,
         photoFilename: osPhoto.filename,
         currentScanJson: osRecord.scanJson || null,
-        scannedSizes: osScanned.map((v) => v.size)
+        scannedSizes: osScanned.map((v) => v.size),
+        po: osPoInput.trim(),
+        productLabel: osRecord.label || osProduct.title
       });
 
       // Add to session log with thumbnail
@@ -1375,6 +1837,33 @@ export default function App() {
     }
   }
 
+  // Closeout payload fields for the Shopify write mode. "Set to counted"
+  // compares against the levels the preview showed, so it needs one first.
+  function closeoutInventoryFields() {
+    if (!setToCounted || !shopifyLinked) return {};
+    if (!closeoutPreview?.shopifyLinked) throw new Error("Preview Shopify changes first — Set to counted compares against the preview.");
+    return {
+      inventoryMode: "set",
+      expectedLevels: Object.fromEntries(closeoutPreview.rows.map((r) => [`${r.inventoryItemId}|${r.locationId}`, r.before]))
+    };
+  }
+
+  function unmappedNote(variantCount, unsentUnits) {
+    const parts = [];
+    if (unsentUnits) parts.push(`${unsentUnits} scanned unit(s) had no matching Shopify variant and were NOT sent`);
+    if (variantCount) parts.push(`${variantCount} Shopify variant(s) couldn't be mapped to a size`);
+    return parts.length ? ` ⚠️ ${parts.join("; ")} — see Preview Shopify Changes.` : "";
+  }
+
+  function onCloseoutFailed(e) {
+    if (e.conflicts) {
+      setCloseoutConflicts(e.conflicts);
+      setStatus("Closeout refused — Shopify inventory changed since the preview. Nothing was written; re-read and retry.");
+      return;
+    }
+    setStatus(`Closeout failed: ${e.message}`);
+  }
+
   // ---------- Mode 3: Submit Closeout (no PDF) ----------
   async function onSaveScanAndSubmit() {
     if (!selectedId || !selected) return;
@@ -1394,6 +1883,7 @@ export default function App() {
       setStatus("Submitting closeout (saving + Shopify adjust)…");
 
       const payload = {
+        submissionId: closeoutSubmissionId(),
         recordId: selectedId,
         po: poData?.po || "",
         productLabel: selected.label,
@@ -1404,14 +1894,26 @@ export default function App() {
         shopifyProduct: shopifyLinked ? shopifyProduct : null,
         officeAlreadySent: !!selected.officeSent,
         buy: selected.buy || {},
-        ship: shipEdits || {}
+        ship: shipEdits || {},
+        previewScanVersion: closeoutPreview?.scanVersion || null,
+        ...closeoutInventoryFields()
       };
 
-      await closeoutSubmit(payload);
-      setCloseoutDone(true);
-      setStatus("Closeout submitted ✅ Scan saved + Shopify inventory adjusted.");
+      const r = await closeoutSubmit(payload);
+      closeoutSubmissionRef.current = null;
+      setCloseoutPreview(null);
+      setCloseoutConflicts(null);
+      await refreshPO({ rebaseScan: true });
+      setStatus(
+        r.duplicate
+          ? "Closeout was already submitted — duplicate ignored, nothing sent to Shopify again."
+          : `Receipt #${r.receipt?.number ?? 1} submitted ✅ ${r.receipt?.units ?? 0} new unit(s) saved + sent to Shopify.${unmappedNote(
+              r.unmappedVariants?.length || 0,
+              (r.unmatchedSizes || []).reduce((a, u) => a + u.units, 0)
+            )}`
+      );
     } catch (e) {
-      setStatus(`Closeout failed: ${e.message}`);
+      onCloseoutFailed(e);
     } finally {
       setLoading(false);
     }
@@ -1436,6 +1938,7 @@ export default function App() {
       setStatus("Submitting closeout… Generating PDF…");
 
       const payload = {
+        submissionId: closeoutSubmissionId(),
         recordId: selectedId,
         po: poData?.po || "",
         productLabel: selected.label,
@@ -1446,10 +1949,12 @@ export default function App() {
         shopifyProduct: shopifyLinked ? shopifyProduct : null,
         officeAlreadySent: !!selected.officeSent,
         buy: selected.buy || {},
-        ship: shipEdits || {}
+        ship: shipEdits || {},
+        previewScanVersion: closeoutPreview?.scanVersion || null,
+        ...closeoutInventoryFields()
       };
 
-      const pdfBlob = await closeoutPdf(payload);
+      const { blob: pdfBlob, duplicate, unmappedVariants, unsentUnits } = await closeoutPdf(payload);
 
       const url = URL.createObjectURL(pdfBlob);
       const a = document.createElement("a");
@@ -1460,33 +1965,135 @@ export default function App() {
       a.remove();
       URL.revokeObjectURL(url);
 
-      setCloseoutDone(true);
-      setStatus("Closeout complete ✅ PDF downloaded.");
+      closeoutSubmissionRef.current = null;
+      setCloseoutPreview(null);
+      setCloseoutConflicts(null);
+      await refreshPO({ rebaseScan: true });
+      setStatus(
+        duplicate
+          ? "Closeout was already submitted — duplicate ignored, PDF downloaded again."
+          : `Receipt submitted ✅ PDF downloaded.${unmappedNote(unmappedVariants, unsentUnits)}`
+      );
     } catch (e) {
-      setStatus(`Closeout failed: ${e.message}`);
+      onCloseoutFailed(e);
     } finally {
       setLoading(false);
     }
   }
 
-  // ---------- Auth UI ----------
-  if (!authChecked) {
-    return (
-      <div className="authShell">
-        <div className="authCard">Loading…</div>
-      </div>
-    );
-  }
-
-  if (!user) {
-    return (
-      <div className="authShell">
-        <div className="authCard">
-          <div className="authTitle">Sign in</div>
-          <div className="authSub">Enter your username and password.</div>
-          <input className="authInput" value={u} onChange={(e) => setU(e.target.value)} placeholder="Username" />
-          <input className="authInput" type="password" value={p} onChange={(e) => setP(e.target.value)} placeholder="Password" />
-          {authError ? <div className="authError">{authError}</div> : null}
+  // ---------- Mode 3: Dry run — what the closeout would send to Shopify ----------
+  async function onPreviewCloseout() {
+    if (!selectedId || !selected) return;
+    try {
+      setLoading(true);
+      setStatus("Checking Shopify inventory…");
+      const r = await previewCloseout({
+        recordId: selectedId,
+        po: poData?.po || "",
+        sizes,
+        locations,
+        scanned: scan,
+        shopifyProduct: shopifyLinked ? shopifyProduct : null,
+        officeAlreadySent: !!selected.officeSent
+      });
+      setCloseoutPreview(r);
+      setCloseoutConflicts(null);
+      const missed = (r.unmatchedSizes?.length || 0) + (r.unknownLocations?.length || 0);
+      setStatus(missed ? "Preview ready — some scanned units would NOT reach Shopify." : "Preview ready.");
+    } catch (e) {
+      setStatus(`Preview failed: ${e.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // ---------- Mode 3: Lock receiving after the last partial receipt ----------
+  async function onCompleteReceiving() {
+    if (!selectedId || !selected) return;
+    const ok = window.confirm("Mark receiving complete?\n\nNo more receipts or scan saves for this product until the closeout is voided.");
+    if (!ok) return;
+
+    try {
+      setLoading(true);
+      await completeReceiving(selectedId);
+      await refreshPO();
+      setStatus("Receiving marked complete ✅");
+    } catch (e) {
+      setStatus(`Could not mark complete: ${e.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Re-read the PO so closeout status / receipts on the records are current.
+  // rebaseScan: the closeout just stored this scan, so later scan saves are
+  // based on what it wrote rather than flagged as conflicting with it.
+  // loadScan: the server rewrote the scan itself (a void), so the editor takes
+  // the stored matrix too, and is rebased on it.
+  async function refreshPO({ rebaseScan = false, loadScan = false } = {}) {
+    if (!poData?.po) return;
+    const data = await fetchPO(poData.po);
+    setPoData(data);
+    const rec = rebaseScan || loadScan ? (data.records || []).find((r) => r.id === selectedId) : null;
+    if (!rec) return;
+    saveBaseRef.current.scan = { version: rec.scanVersion, json: rec.scanJson };
+    if (loadScan) setScan(normalizeMatrix(parseScan(rec.scanJson).matrix, locations, sizes));
+  }
+
+  // ---------- Mode 3: Void a submitted closeout ----------
+  async function onVoidCloseout() {
+    if (!selectedId || !selected) return;
+
+    const reason = window.prompt(
+      "Void this closeout?\n\nThe units it sent to Shopify will be taken back out and the closeout reopened. Reason (optional):"
+    );
+    if (reason === null) return;
+
+    try {
+      setLoading(true);
+      setStatus("Voiding closeout (reversing Shopify adjustments)…");
+      const r = await voidCloseout({
+        recordId: selectedId,
+        po: poData?.po || "",
+        productLabel: selected.label,
+        reason: reason.trim(),
+        shopifyProduct: shopifyLinked ? shopifyProduct : null,
+        officeAlreadySent: !!selected.officeSent,
+        buy: selected.buy || {},
+        ship: shipEdits || {}
+      });
+      closeoutSubmissionRef.current = null;
+      await refreshPO({ loadScan: true });
+      setStatus(
+        `Closeout voided ✅ ${r.reversed} Shopify adjustment(s) reversed. Fix the scan and submit again.${
+          r.auditLogFailed ? " ⚠️ The reversal could not be written to the audit log." : ""
+        }`
+      );
+    } catch (e) {
+      setStatus(`Void failed: ${e.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // ---------- Auth UI ----------
+  if (!authChecked) {
+    return (
+      <div className="authShell">
+        <div className="authCard">Loading…</div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return (
+      <div className="authShell">
+        <div className="authCard">
+          <div className="authTitle">Sign in</div>
+          <div className="authSub">Enter your username and password.</div>
+          <input className="authInput" value={u} onChange={(e) => setU(e.target.value)} placeholder="Username" />
+          <input className="authInput" type="password" value={p} onChange={(e) => setP(e.target.value)} placeholder="Password" />
+          {authError ? <div className="authError">{authError}</div> : null}
           <button className="btn primary" onClick={doLogin} disabled={!u.trim() || !p}>
             Sign in
           </button>
@@ -1530,6 +2137,31 @@ export default function App() {
               </div>
             )}
 
+            {!sidebarCollapsed && shopChoices.length > 1 ? (
+              <div className="field">
+                <div className="label">Shopify shop{poData?.po ? ` for PO ${poData.po}` : ""}</div>
+                <select className="select" value={activeShop || shopChoices.find((sh) => sh.default)?.shop || ""} onChange={(e) => onPickShop(e.target.value)} disabled={loading}>
+                  {shopChoices.map((sh) => (
+                    <option key={sh.shop} value={sh.shop}>
+                      {sh.shop}
+                      {sh.default ? " (default)" : ""}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ) : null}
+            {!sidebarCollapsed &&
+              shopWarnings.map((sh) => (
+                <div key={sh.shop} className="hint">
+                  <span className="tag warn">Shopify</span>{" "}
+                  {sh.error
+                    ? `${sh.shop}: ${sh.error}`
+                    : !sh.connected
+                      ? `${sh.shop} is not connected.`
+                      : `${sh.shop} is missing ${sh.missingScopes.join(", ")} — reconnect it with those scopes.`}
+                </div>
+              ))}
+
             {!mode ? (
               <div className="modePick">
                 <div className="modeCategoryLabel">Core</div>
@@ -1555,6 +2187,21 @@ export default function App() {
                 <button className="btn primary modeBtn" onClick={() => { setMode("product-lookup"); setPlProduct(null); setPlLinkedPOs([]); setPlSearchResults([]); setPlBarcode(""); setPlSearch(""); }}>
                   Product Lookup
                 </button>
+                <button className="btn primary modeBtn" onClick={() => { setMode("allocation-rules"); reloadRuleSets(); reloadSellThrough(); }}>
+                  Allocation Rules
+                </button>
+                <button className="btn primary modeBtn" onClick={onOpenLocations}>
+                  Locations
+                </button>
+                <button className="btn primary modeBtn" onClick={() => { setMode("audit"); onSearchAudit({}); }}>
+                  Inventory Audit
+                </button>
+                <button className="btn primary modeBtn" onClick={() => { setMode("catalog-audit"); onLoadCatalogAudit(); }}>
+                  Catalog Audit
+                </button>
+                <button className="btn primary modeBtn" onClick={() => { setMode("reconciliation"); setReconciliation(null); if (poData?.po) onLoadReconciliation(poData.po); }}>
+                  Reconciliation
+                </button>
                 <div className="hint">After picking a mode, load a PO and select a product.</div>
               </div>
             ) : mode === "bulk-allocation" ? (
@@ -1575,6 +2222,62 @@ export default function App() {
                 <div className="divider" />
                 <div className="hint">Scan a barcode or search by title to find which POs are linked to a Shopify product.</div>
               </>
+            ) : mode === "locations" ? (
+              <>
+                <div className="modeBar">
+                  <div className="modePill">Mode: <strong>Locations</strong></div>
+                  <button className="btn" onClick={() => setMode(null)}>Change</button>
+                </div>
+                <div className="divider" />
+                <div className="hint">
+                  Sync pulls Shopify&apos;s locations in as inactive. Turn a store on, set its order and Save — matrices, allocation and closeout pick it up.
+                </div>
+              </>
+            ) : mode === "audit" ? (
+              <>
+                <div className="modeBar">
+                  <div className="modePill">Mode: <strong>Inventory Audit</strong></div>
+                  <button className="btn" onClick={() => setMode(null)}>Change</button>
+                </div>
+                <div className="divider" />
+                <div className="hint">
+                  Every inventory adjustment sent to Shopify by closeout and office samples — who sent it, for which PO, and what Shopify said.
+                </div>
+              </>
+            ) : mode === "reconciliation" ? (
+              <>
+                <div className="modeBar">
+                  <div className="modePill">Mode: <strong>Reconciliation</strong></div>
+                  <button className="btn" onClick={() => setMode(null)}>Change</button>
+                </div>
+                <div className="divider" />
+                <div className="hint">
+                  Units this app posted to Shopify for a PO, per location and size, next to what Shopify has available now. Less available than posted usually means the store recounted over the receipt.
+                </div>
+              </>
+            ) : mode === "catalog-audit" ? (
+              <>
+                <div className="modeBar">
+                  <div className="modePill">Mode: <strong>Catalog Audit</strong></div>
+                  <button className="btn" onClick={() => setMode(null)}>Change</button>
+                </div>
+                <div className="divider" />
+                <div className="hint">
+                  Checks every Shopify variant for missing or shared barcodes and a missing Size option, and every linked Airtable record for a deleted product.
+                </div>
+              </>
+            ) : mode === "allocation-rules" ? (
+              <>
+                <div className="modeBar">
+                  <div className="modePill">Mode: <strong>Allocation Rules</strong></div>
+                  <button className="btn" onClick={() => setMode(null)}>Change</button>
+                </div>
+                <div className="divider" />
+                <div className="hint">
+                  Edit the pack rotation without a deploy. Each save creates a new version; saved allocations record the version they used.
+                  A vendor match wins over a category match, which wins over Default.
+                </div>
+              </>
             ) : mode === "invoicing" ? (
               <>
                 <div className="modeBar">
@@ -1811,6 +2514,27 @@ export default function App() {
                 linkedPOs={plLinkedPOs}
                 loading={plLoading}
               />
+            ) : mode === "locations" ? (
+              <LocationsPanel registry={registry} loading={loading} onSync={onSyncLocations} onSave={onSaveLocations} />
+            ) : mode === "audit" ? (
+              <AuditLogPanel entries={audit.entries} total={audit.total} loading={loading} onSearch={onSearchAudit} />
+            ) : mode === "reconciliation" ? (
+              <ReconciliationPanel data={reconciliation} initialPo={poData?.po || ""} loading={loading} onLoad={onLoadReconciliation} />
+            ) : mode === "catalog-audit" ? (
+              <CatalogAuditPanel job={catalogAudit.job} report={catalogAudit.report} loading={loading} onRun={onRunCatalogAudit} />
+            ) : mode === "allocation-rules" ? (
+              <AllocationRulesPanel
+                ruleSets={ruleSets}
+                locations={locations}
+                sizes={defaultSizes}
+                sizeScales={sizeScales.scales}
+                loading={loading}
+                onSave={onSaveRuleSet}
+                onDelete={onDeleteRuleSet}
+                onLoadHistory={onLoadRuleSetHistory}
+                sellThrough={sellThrough}
+                onImportSellThrough={onImportSellThrough}
+              />
             ) : mode === "invoicing" ? (
               <InvoicingPanel
                 records={invRecords}
@@ -1953,6 +2677,7 @@ export default function App() {
                   <>
                     <div className="sectionTitle">Mode 2 — Allocation</div>
                     <div className="hint">Auto Allocate uses BUY-based packs; overage Ship→Warehouse.</div>
+                    <DataWarnings warnings={selectedAlloc.warnings} />
 
                     <BuyShipTotalsRow sizes={sizes} buyTotals={buyTotalsBySize} shipTotals={shipTotalsBySize} />
 
@@ -1960,6 +2685,9 @@ export default function App() {
                       <button className="btn primary" onClick={onAutoAllocate} type="button" disabled={loading}>
                         Auto Allocate
                       </button>
+                      <button className="btn" onClick={onSizeCurveAllocate} type="button" disabled={loading}>
+                        Size-Curve Allocate
+                      </button>
                       <button className="btn" onClick={() => setAllocEdit((v) => !v)} type="button">
                         {allocEdit ? "Done Editing" : "Edit Allocation"}
                       </button>
@@ -1974,6 +2702,16 @@ export default function App() {
                       </div>
                     </div>
 
+                    {curvePreview ? (
+                      <SizeCurveComparison
+                        locations={locations}
+                        sizes={sizes}
+                        preview={curvePreview}
+                        onApply={onApplySizeCurve}
+                        onDiscard={() => setCurvePreview(null)}
+                      />
+                    ) : null}
+
                     <AllocationMatrix
                       locations={locations}
                       sizes={sizes}
@@ -1993,6 +2731,15 @@ export default function App() {
                         Submit + Download Allocation PDF
                       </button>
                     </div>
+
+                    {saveConflict?.kind === "alloc" ? (
+                      <SaveConflict
+                        conflict={saveConflict}
+                        what="allocation"
+                        onResolve={onResolveSaveConflict}
+                        onClose={() => setSaveConflict(null)}
+                      />
+                    ) : null}
                   </>
                 ) : null}
 
@@ -2009,6 +2756,7 @@ export default function App() {
                         )}
                       </div>
                     </div>
+                    <DataWarnings warnings={selectedScan.warnings} />
 
                     {selected.officeSent ? (
                       <div className="hint" style={{ marginBottom: 8, color: "var(--ok)" }}>
@@ -2106,7 +2854,7 @@ export default function App() {
                             onClick={async () => {
                               try {
                                 setLoading(true);
-                                const blob = await fetchBinLabelPdf({ styleName: labelStyle.trim(), color: labelColor.trim() });
+                                const blob = await fetchBinLabelPdf({ styleName: labelStyle.trim(), color: labelColor.trim(), sizeScale: selected?.sizeScale });
                                 const url = URL.createObjectURL(blob);
                                 window.open(url, "_blank");
                               } catch (e) {
@@ -2123,18 +2871,39 @@ export default function App() {
                     </div>
 
                     <div className="actionsRow">
-                      <button className="btn primary" onClick={onSaveScanAndSubmit} disabled={loading || !selectedId || closeoutDone} type="button">
-                        Submit Closeout
+                      <button className="btn primary" onClick={onSaveScanAndSubmit} disabled={loading || !selectedId || receivingComplete} type="button">
+                        {selected?.hasCloseout ? `Submit Receipt #${(selected.receipts?.length || 1) + 1}` : "Submit Closeout"}
                       </button>
-                      <button className="btn" onClick={onCloseout} disabled={loading || !selectedId || closeoutDone} type="button">
+                      <button className="btn" onClick={onCloseout} disabled={loading || !selectedId || receivingComplete} type="button">
                         Submit + Download PDF
                       </button>
-
-                      {closeoutDone ? (
+                      <button className="btn" onClick={onPreviewCloseout} disabled={loading || !selectedId || receivingComplete} type="button">
+                        Preview Shopify Changes
+                      </button>
+                      {shopifyLinked ? (
+                        <label
+                          style={{ display: "inline-flex", alignItems: "center", gap: 6 }}
+                          title="Write absolute quantities (preview's available + received). Shopify refuses the closeout if stock changed since the preview."
+                        >
+                          <input type="checkbox" checked={setToCounted} onChange={(e) => setSetToCounted(e.target.checked)} />
+                          Set to counted
+                        </label>
+                      ) : null}
+
+                      {selected?.hasCloseout ? (
                         <div className="actionsNote" style={{ color: "var(--warn)" }}>
-                          Closeout already submitted.{" "}
-                          <button className="btn small" type="button" onClick={() => setCloseoutDone(false)}>
-                            Override
+                          {receivingComplete
+                            ? "Receiving complete — locked."
+                            : `${selected.receipts?.length || 1} receipt(s) posted${
+                                selected.receipts?.at(-1)?.at ? `, last ${new Date(selected.receipts.at(-1).at).toLocaleDateString()}` : ""
+                              }. Scan the next carton on top and submit again — only the new units go to Shopify.`}{" "}
+                          {!receivingComplete ? (
+                            <button className="btn small" type="button" onClick={onCompleteReceiving} disabled={loading}>
+                              Mark Complete
+                            </button>
+                          ) : null}{" "}
+                          <button className="btn small" type="button" onClick={onVoidCloseout} disabled={loading}>
+                            Void Closeout
                           </button>
                         </div>
                       ) : (
@@ -2143,6 +2912,24 @@ export default function App() {
                         </div>
                       )}
                     </div>
+
+                    {saveConflict?.kind === "scan" ? (
+                      <SaveConflict
+                        conflict={saveConflict}
+                        what="scan"
+                        onResolve={onResolveSaveConflict}
+                        onClose={() => setSaveConflict(null)}
+                      />
+                    ) : null}
+                    {closeoutConflicts ? (
+                      <CloseoutConflicts
+                        conflicts={closeoutConflicts}
+                        loading={loading}
+                        onReread={onPreviewCloseout}
+                        onClose={() => setCloseoutConflicts(null)}
+                      />
+                    ) : null}
+                    {closeoutPreview ? <CloseoutPreview preview={closeoutPreview} onClose={() => setCloseoutPreview(null)} /> : null}
                   </>
                 ) : null}
               </>
@@ -2196,6 +2983,57 @@ function BuyShipTotalsRow({ sizes, buyTotals, shipTotals }) {
   );
 }
 
+function SizeCurveComparison({ locations, sizes, preview, onApply, onDiscard }) {
+  const { standard, allocation, curves } = preview;
+  const rowTotal = (m, loc) => sizes.reduce((a, s) => a + Number(m?.[loc]?.[s] ?? 0), 0);
+
+  return (
+    <div className="tableCard" style={{ marginBottom: 12 }}>
+      <div style={{ padding: "10px 12px", fontWeight: 700 }}>
+        Size curve vs standard packs
+        <span className="hint" style={{ marginLeft: 8, fontWeight: 400 }}>Standard → size curve; changed cells highlighted.</span>
+      </div>
+      <table className="matrix2">
+        <thead>
+          <tr>
+            <th className="c-loc">Location</th>
+            {sizes.map((s) => <th key={s} className="c-size2">{s}</th>)}
+            <th className="c-rowtotal">Row Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          {locations.map((loc) => (
+            <tr key={loc}>
+              <td className="locCell">
+                {loc}
+                {curves?.[loc] ? <div className="tiny">{curves[loc].source === "sell-through" ? "sell-through curve" : "no history — pack curve"}</div> : null}
+              </td>
+              {sizes.map((s) => {
+                const a = Number(standard?.[loc]?.[s] ?? 0);
+                const b = Number(allocation?.[loc]?.[s] ?? 0);
+                return (
+                  <td key={s} className="cellRead" style={a !== b ? { background: b > a ? "#ecfdf5" : "#fef2f2" } : undefined}>
+                    {a === b ? b : <><span style={{ color: "#6b7280" }}>{a}</span> → <strong>{b}</strong></>}
+                  </td>
+                );
+              })}
+              <td className="cellRead strong">
+                {rowTotal(standard, loc) === rowTotal(allocation, loc)
+                  ? rowTotal(allocation, loc)
+                  : `${rowTotal(standard, loc)} → ${rowTotal(allocation, loc)}`}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="rowActions" style={{ padding: "0 12px 12px" }}>
+        <button className="btn primary" type="button" onClick={onApply}>Apply Size Curve</button>
+        <button className="btn" type="button" onClick={onDiscard}>Keep Current</button>
+      </div>
+    </div>
+  );
+}
+
 function AllocationMatrix({ locations, sizes, alloc, shipTotalsBySize, allocTotalsBySize, edit, setAllocCell, bumpAllocCell }) {
   const diffs = useMemo(() => diffPerSize(allocTotalsBySize, shipTotalsBySize, sizes), [allocTotalsBySize, shipTotalsBySize, sizes]);
 
@@ -2263,6 +3101,211 @@ function AllocationMatrix({ locations, sizes, alloc, shipTotalsBySize, allocTota
   );
 }
 
+// Dry-run result from /api/closeout/preview: per-cell before → after in
+// Shopify, plus scanned units that have nowhere to go.
+function CloseoutPreview({ preview, onClose }) {
+  const cell = { padding: "6px 8px", border: "1px solid #e0e0e0", fontSize: 12 };
+  const { rows = [], unmatchedSizes = [], unknownLocations = [], unmappedVariants = [] } = preview;
+
+  return (
+    <div className="tableCard" style={{ marginTop: 12, padding: 12 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <div className="sectionTitle" style={{ margin: 0 }}>Shopify preview — receipt #{preview.receiptNumber}</div>
+        <button className="btn small" type="button" onClick={onClose}>Close</button>
+      </div>
+
+      {!preview.shopifyLinked ? (
+        <div className="hint">No Shopify product linked — this closeout will save the scan only.</div>
+      ) : null}
+      {preview.skippedLocation ? (
+        <div className="hint">{preview.skippedLocation} is skipped (office samples already sent).</div>
+      ) : null}
+
+      {unmatchedSizes.length ? (
+        <div className="hint" style={{ color: "var(--warn)" }}>
+          <span className="tag warn">No variant</span>{" "}
+          {unmatchedSizes.map((u) => `${u.size} (${u.units})`).join(", ")} — these units will NOT be added in Shopify.
+        </div>
+      ) : null}
+      {unknownLocations.length ? (
+        <div className="hint" style={{ color: "var(--warn)" }}>
+          <span className="tag warn">No Shopify location</span>{" "}
+          {unknownLocations.map((u) => `${u.location} (${u.units})`).join(", ")} — these units will NOT be added in Shopify.
+        </div>
+      ) : null}
+      {unmappedVariants.length ? (
+        <div className="hint" style={{ color: "var(--warn)" }}>
+          <span className="tag warn">Unmapped variants</span>{" "}
+          {unmappedVariants.map((v) => `${v.options || v.barcode || v.variantId} (${v.reason})`).join(", ")} — no units can be sent to these.
+        </div>
+      ) : null}
+
+      {rows.length ? (
+        <table style={{ width: "100%", borderCollapse: "collapse", marginTop: 8 }}>
+          <thead>
+            <tr style={{ background: "#f5f5f5" }}>
+              <th style={{ ...cell, textAlign: "left" }}>Location</th>
+              <th style={cell}>Size</th>
+              <th style={cell}>Available now</th>
+              <th style={cell}>Change</th>
+              <th style={cell}>After</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={`${r.location}-${r.size}`}>
+                <td style={cell}>{r.location}</td>
+                <td style={{ ...cell, textAlign: "center" }}>{r.size}</td>
+                <td style={{ ...cell, textAlign: "center" }}>
+                  {r.stocked ? r.before : <span className="tag warn" title="Will be stocked at this location first">not stocked</span>}
+                </td>
+                <td style={{ ...cell, textAlign: "center", fontWeight: 600 }}>{r.delta > 0 ? `+${r.delta}` : r.delta}</td>
+                <td style={{ ...cell, textAlign: "center" }}>{r.after}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : preview.shopifyLinked ? (
+        <div className="hint">Nothing new to send to Shopify.</div>
+      ) : null}
+
+      <div className="hint" style={{ marginTop: 6 }}>Reflects the scan at the time of preview — preview again after more scanning.</div>
+    </div>
+  );
+}
+
+function CloseoutConflicts({ conflicts, loading, onReread, onClose }) {
+  const cell = { padding: "6px 8px", border: "1px solid #e0e0e0", fontSize: 12 };
+
+  return (
+    <div className="tableCard" style={{ marginTop: 12, padding: 12, borderColor: "var(--warn)" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <div className="sectionTitle" style={{ margin: 0 }}>Shopify inventory changed — closeout not applied</div>
+        <button className="btn small" type="button" onClick={onClose}>Close</button>
+      </div>
+      <div className="hint">
+        Someone sold or adjusted these since the preview, so Shopify refused the set. Nothing was written to Shopify or
+        Airtable. Re-read to preview against the current numbers, then submit again.
+      </div>
+
+      {conflicts.length ? (
+        <table style={{ width: "100%", borderCollapse: "collapse", marginTop: 8 }}>
+          <thead>
+            <tr style={{ background: "#f5f5f5" }}>
+              <th style={{ ...cell, textAlign: "left" }}>Location</th>
+              <th style={cell}>Size</th>
+              <th style={cell}>Expected</th>
+              <th style={cell}>Now in Shopify</th>
+              <th style={cell}>Receiving</th>
+            </tr>
+          </thead>
+          <tbody>
+            {conflicts.map((c) => (
+              <tr key={`${c.inventoryItemId}-${c.locationId}`}>
+                <td style={cell}>{c.location || c.locationId}</td>
+                <td style={{ ...cell, textAlign: "center" }}>{c.size || "—"}</td>
+                <td style={{ ...cell, textAlign: "center" }}>{c.expected}</td>
+                <td style={{ ...cell, textAlign: "center", fontWeight: 600 }}>{c.actual ?? "?"}</td>
+                <td style={{ ...cell, textAlign: "center" }}>{c.delta > 0 ? `+${c.delta}` : c.delta ?? "—"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : null}
+
+      <div style={{ marginTop: 8 }}>
+        <button className="btn primary" type="button" onClick={onReread} disabled={loading}>
+          Re-read Shopify
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// What couldn't be read from a record's Scan_JSON / Alloc_JSON. Shown so a
+// damaged blob isn't mistaken for an empty one.
+function DataWarnings({ warnings }) {
+  if (!warnings?.length) return null;
+  return (
+    <div className="hint" style={{ margin: "6px 0 8px", color: "var(--warn)" }}>
+      <span className="tag warn">Check Airtable data</span>
+      <ul style={{ margin: "4px 0 0", paddingLeft: 18 }}>
+        {warnings.map((w, i) => (
+          <li key={i}>{w}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// A save refused because someone else saved first: the cells both sides
+// changed, and how to carry on (see onResolveSaveConflict).
+function SaveConflict({ conflict, what, onResolve, onClose }) {
+  const cell = { padding: "6px 8px", border: "1px solid #e0e0e0", fontSize: 12 };
+  const show = (v) => (v !== null && typeof v === "object" ? v.name || JSON.stringify(v) : v ?? "—");
+  const { conflicts } = conflict;
+
+  return (
+    <div className="tableCard" style={{ marginTop: 12, padding: 12, borderColor: "var(--warn)" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <div className="sectionTitle" style={{ margin: 0 }}>Someone else saved this {what} — yours was not saved</div>
+        <button className="btn small" type="button" onClick={onClose}>Close</button>
+      </div>
+      <div className="hint">
+        {conflicts.length
+          ? `${conflicts.length} cell(s) were changed both here and in the saved version. Their other changes and yours merge cleanly.`
+          : "Their changes and yours touch different cells, so they merge cleanly."}{" "}
+        Pick a version to load, check it, then save again.
+      </div>
+
+      {conflicts.length ? (
+        <table style={{ width: "100%", borderCollapse: "collapse", marginTop: 8 }}>
+          <thead>
+            <tr style={{ background: "#f5f5f5" }}>
+              <th style={{ ...cell, textAlign: "left" }}>Location</th>
+              <th style={cell}>Size</th>
+              <th style={cell}>Was</th>
+              <th style={cell}>Yours</th>
+              <th style={cell}>Saved</th>
+            </tr>
+          </thead>
+          <tbody>
+            {conflicts.map((c) => (
+              <tr key={`${c.location}-${c.size}`}>
+                <td style={cell}>{c.location === null ? "Rule set" : c.location}</td>
+                <td style={{ ...cell, textAlign: "center" }}>{c.size || "—"}</td>
+                <td style={{ ...cell, textAlign: "center" }}>{show(c.base)}</td>
+                <td style={{ ...cell, textAlign: "center", fontWeight: 600 }}>{show(c.ours)}</td>
+                <td style={{ ...cell, textAlign: "center", fontWeight: 600 }}>{show(c.theirs)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : null}
+
+      <div className="rowActions" style={{ marginTop: 8 }}>
+        {conflicts.length ? (
+          <>
+            <button className="btn primary" type="button" onClick={() => onResolve("mine")}>
+              Merge, keep mine
+            </button>
+            <button className="btn" type="button" onClick={() => onResolve("theirs")}>
+              Merge, keep saved
+            </button>
+          </>
+        ) : (
+          <button className="btn primary" type="button" onClick={() => onResolve("theirs")}>
+            Merge
+          </button>
+        )}
+        <button className="btn" type="button" onClick={() => onResolve("discard")}>
+          Discard mine
+        </button>
+      </div>
+    </div>
+  );
+}
+
 function ActiveLocSummary({ activeLoc, sizes, alloc, scan }) {
   const items = sizes.map((s) => {
     const a = Number(alloc?.[activeLoc]?.[s] ?? 0);
@@ -3308,6 +4351,825 @@ function BulkAllocationPanel({ poText, onPoTextChange, onLoad, rows, loaded, run
   );
 }
 
+/* ---------------- Locations Panel ---------------- */
+
+function LocationsPanel({ registry, loading, onSync, onSave }) {
+  const [rows, setRows] = useState(registry);
+  useEffect(() => setRows(registry), [registry]);
+
+  function update(i, patch) {
+    setRows((prev) => prev.map((r, j) => (j === i ? { ...r, ...patch } : r)));
+  }
+
+  // Office and sink are single-choice.
+  function setRole(i, key) {
+    setRows((prev) => prev.map((r, j) => ({ ...r, [key]: j === i })));
+  }
+
+  function move(i, dir) {
+    const j = i + dir;
+    if (j < 0 || j >= rows.length) return;
+    const next = [...rows];
+    [next[i], next[j]] = [next[j], next[i]];
+    setRows(next);
+  }
+
+  function save() {
+    onSave(rows.map((r, i) => ({ ...r, displayOrder: i + 1 })));
+  }
+
+  const cell = { padding: "6px 8px", border: "1px solid #e0e0e0", fontSize: 13 };
+
+  return (
+    <div style={{ maxWidth: 900 }}>
+      <div className="sectionTitle">Mode 9 — Locations</div>
+      <div className="hint">
+        Names key every saved allocation and scan, so rename with care — an old name stays in existing records.
+      </div>
+
+      <table style={{ width: "100%", borderCollapse: "collapse", marginTop: 12 }}>
+        <thead>
+          <tr style={{ background: "#f5f5f5" }}>
+            <th style={cell}>#</th>
+            <th style={{ ...cell, textAlign: "left" }}>Name</th>
+            <th style={{ ...cell, textAlign: "left" }}>Shopify</th>
+            <th style={cell}>Active</th>
+            <th style={cell}>Office</th>
+            <th style={cell}>Sink</th>
+            <th style={cell}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r, i) => (
+            <tr key={r.id} style={r.active === false ? { color: "#9ca3af" } : undefined}>
+              <td style={{ ...cell, textAlign: "center" }}>{i + 1}</td>
+              <td style={cell}>
+                <input className="input" value={r.name} onChange={(e) => update(i, { name: e.target.value })} />
+              </td>
+              <td style={{ ...cell, fontSize: 11 }}>
+                <div>{r.shopifyName || "—"}{r.missingFromShopify ? <span className="tag warn" style={{ marginLeft: 6 }}>not in Shopify</span> : null}</div>
+                <div style={{ color: "#6b7280" }}>{r.id}</div>
+              </td>
+              <td style={{ ...cell, textAlign: "center" }}>
+                <input type="checkbox" checked={r.active !== false} onChange={(e) => update(i, { active: e.target.checked })} />
+              </td>
+              <td style={{ ...cell, textAlign: "center" }}>
+                <input type="radio" name="loc-office" checked={!!r.isOffice} onChange={() => setRole(i, "isOffice")} />
+              </td>
+              <td style={{ ...cell, textAlign: "center" }}>
+                <input type="radio" name="loc-sink" checked={!!r.isSink} onChange={() => setRole(i, "isSink")} />
+              </td>
+              <td style={{ ...cell, whiteSpace: "nowrap" }}>
+                <button className="btn small" type="button" onClick={() => move(i, -1)} disabled={i === 0}>↑</button>{" "}
+                <button className="btn small" type="button" onClick={() => move(i, 1)} disabled={i === rows.length - 1}>↓</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="rowActions">
+        <button className="btn primary" type="button" onClick={save} disabled={loading || !rows.length}>Save Locations</button>
+        <button className="btn" type="button" onClick={onSync} disabled={loading}>Sync from Shopify</button>
+      </div>
+    </div>
+  );
+}
+
+/* ---------------- Inventory Audit Panel ---------------- */
+
+function AuditLogPanel({ entries, total, loading, onSearch }) {
+  const [po, setPo] = useState("");
+  const [product, setProduct] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+
+  function search(e) {
+    e?.preventDefault();
+    onSearch({ po: po.trim(), product: product.trim(), from, to });
+  }
+
+  function clear() {
+    setPo("");
+    setProduct("");
+    setFrom("");
+    setTo("");
+    onSearch({});
+  }
+
+  const cell = { padding: "6px 8px", border: "1px solid #e0e0e0", fontSize: 12 };
+  const net = entries.filter((e) => e.outcome === "ok").reduce((a, e) => a + Number(e.delta || 0), 0);
+
+  return (
+    <div>
+      <div className="sectionTitle">Mode 10 — Inventory Audit</div>
+
+      <form onSubmit={search} style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "flex-end" }}>
+        <label className="field" style={{ flex: "1 1 120px" }}>
+          <div className="label">PO #</div>
+          <input className="input" value={po} onChange={(e) => setPo(e.target.value)} />
+        </label>
+        <label className="field" style={{ flex: "2 1 200px" }}>
+          <div className="label">Product</div>
+          <input className="input" value={product} onChange={(e) => setProduct(e.target.value)} />
+        </label>
+        <label className="field" style={{ flex: "1 1 140px" }}>
+          <div className="label">From</div>
+          <input className="input" type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+        </label>
+        <label className="field" style={{ flex: "1 1 140px" }}>
+          <div className="label">To</div>
+          <input className="input" type="date" value={to} onChange={(e) => setTo(e.target.value)} />
+        </label>
+        <div className="rowActions" style={{ marginTop: 0 }}>
+          <button className="btn primary" type="submit" disabled={loading}>Search</button>
+          <button className="btn" type="button" onClick={clear} disabled={loading}>Clear</button>
+        </div>
+      </form>
+
+      <div className="hint" style={{ marginTop: 8 }}>
+        {entries.length < total ? `Showing newest ${entries.length} of ${total}` : `${total} adjustment(s)`} · net applied {net > 0 ? `+${net}` : net} unit(s)
+      </div>
+
+      {entries.length ? (
+        <table style={{ width: "100%", borderCollapse: "collapse", marginTop: 8 }}>
+          <thead>
+            <tr style={{ background: "#f5f5f5" }}>
+              <th style={{ ...cell, textAlign: "left" }}>When</th>
+              <th style={{ ...cell, textAlign: "left" }}>User</th>
+              <th style={{ ...cell, textAlign: "left" }}>Action</th>
+              <th style={{ ...cell, textAlign: "left" }}>PO</th>
+              <th style={{ ...cell, textAlign: "left" }}>Product</th>
+              <th style={{ ...cell, textAlign: "left" }}>Location</th>
+              <th style={cell}>Size</th>
+              <th style={cell}>Delta</th>
+              <th style={{ ...cell, textAlign: "left" }}>Outcome</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((e, i) => (
+              <tr key={`${e.at}-${i}`} style={e.outcome === "ok" ? undefined : { background: "#fef2f2" }}>
+                <td style={{ ...cell, whiteSpace: "nowrap" }}>{new Date(e.at).toLocaleString()}</td>
+                <td style={cell}>{e.user}</td>
+                <td style={cell}>{e.action}</td>
+                <td style={cell}>{e.po}</td>
+                <td style={cell}>{e.product}</td>
+                <td style={cell} title={e.locationId}>{e.location || e.locationId}</td>
+                <td style={{ ...cell, textAlign: "center" }}>{e.size || "—"}</td>
+                <td style={{ ...cell, textAlign: "center", fontWeight: 600 }}>{e.delta > 0 ? `+${e.delta}` : e.delta}</td>
+                <td style={cell} title={e.adjustmentGroupId || e.inventoryItemId}>
+                  {e.outcome === "ok" ? "applied" : <span className="tag warn">{e.error || "failed"}</span>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : null}
+    </div>
+  );
+}
+
+/* ---------------- Reconciliation Panel ---------------- */
+
+function ReconciliationPanel({ data, initialPo, loading, onLoad }) {
+  const [po, setPo] = useState(initialPo);
+  const cell = { padding: "6px 8px", border: "1px solid #e0e0e0", fontSize: 12 };
+  const rows = data?.rows || [];
+  const flagged = rows.filter((r) => r.belowPosted).length;
+  const multiShop = new Set(rows.map((r) => r.shop)).size > 1;
+
+  function load(e) {
+    e?.preventDefault();
+    onLoad(po.trim());
+  }
+
+  return (
+    <div>
+      <div className="sectionTitle">Mode 12 — Reconciliation</div>
+
+      <form onSubmit={load} style={{ display: "flex", gap: 10, alignItems: "flex-end" }}>
+        <label className="field" style={{ flex: "0 1 220px" }}>
+          <div className="label">PO #</div>
+          <input className="input" value={po} onChange={(e) => setPo(e.target.value)} placeholder="e.g. YB1892" />
+        </label>
+        <div className="rowActions" style={{ marginTop: 0 }}>
+          <button className="btn primary" type="submit" disabled={loading || !po.trim()}>
+            {data?.po && data.po.toLowerCase() === po.trim().toLowerCase() ? "Refresh" : "Load"}
+          </button>
+        </div>
+      </form>
+
+      {data ? (
+        <div className="hint" style={{ marginTop: 8 }}>
+          {rows.length
+            ? `${rows.length} location × size cell(s) posted for PO ${data.po}${flagged ? ` · ${flagged} below what was posted` : ""}`
+            : `Nothing posted to Shopify for PO ${data.po} yet.`}
+        </div>
+      ) : null}
+
+      {rows.length ? (
+        <table style={{ width: "100%", borderCollapse: "collapse", marginTop: 8 }}>
+          <thead>
+            <tr style={{ background: "#f5f5f5" }}>
+              <th style={{ ...cell, textAlign: "left" }}>Product</th>
+              {multiShop ? <th style={{ ...cell, textAlign: "left" }}>Shop</th> : null}
+              <th style={{ ...cell, textAlign: "left" }}>Location</th>
+              <th style={cell}>Size</th>
+              <th style={cell}>Posted</th>
+              <th style={cell}>Shopify available</th>
+              <th style={{ ...cell, textAlign: "left" }}>Last posted</th>
+              <th style={{ ...cell, textAlign: "left" }}>Since then</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={`${r.shop}|${r.inventoryItemId}|${r.locationId}`} style={r.belowPosted ? { background: "#fef2f2" } : undefined}>
+                <td style={cell}>{r.product}</td>
+                {multiShop ? <td style={cell}>{r.shop}</td> : null}
+                <td style={cell} title={r.locationId}>{r.location || r.locationId}</td>
+                <td style={{ ...cell, textAlign: "center" }}>{r.size || "—"}</td>
+                <td style={{ ...cell, textAlign: "center", fontWeight: 600 }}>{r.posted}</td>
+                <td style={{ ...cell, textAlign: "center" }} title={r.availableSource === "webhook" ? "Last webhook update (Shopify unreachable)" : undefined}>
+                  {r.available === null ? "—" : r.available}
+                  {r.availableSource === "webhook" ? " *" : ""}
+                </td>
+                <td style={{ ...cell, whiteSpace: "nowrap" }}>{r.lastPostedAt ? new Date(r.lastPostedAt).toLocaleString() : "—"}</td>
+                <td style={cell}>
+                  {r.overwrittenAt ? (
+                    <span className="tag warn">dropped below posted {new Date(r.overwrittenAt).toLocaleString()}</span>
+                  ) : r.belowPosted ? (
+                    <span className="tag warn">below posted</span>
+                  ) : r.changesSincePost ? (
+                    `${r.changesSincePost} update(s)`
+                  ) : (
+                    "—"
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : null}
+    </div>
+  );
+}
+
+/* ---------------- Catalog Audit Panel ---------------- */
+
+function CatalogAuditPanel({ job, report, loading, onRun }) {
+  const cell = { padding: "6px 8px", border: "1px solid #e0e0e0", fontSize: 12 };
+  const running = job?.running;
+
+  function variantTable(rows, extra) {
+    return (
+      <table style={{ width: "100%", borderCollapse: "collapse", marginTop: 6 }}>
+        <thead>
+          <tr style={{ background: "#f5f5f5" }}>
+            <th style={{ ...cell, textAlign: "left" }}>Product</th>
+            <th style={{ ...cell, textAlign: "left" }}>Variant</th>
+            <th style={{ ...cell, textAlign: "left" }}>SKU</th>
+            {extra ? <th style={{ ...cell, textAlign: "left" }}>{extra.label}</th> : null}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((v) => (
+            <tr key={v.variantId}>
+              <td style={cell} title={v.productId}>{v.productTitle}</td>
+              <td style={cell} title={v.variantId}>{v.variantTitle || "—"}</td>
+              <td style={cell}>{v.sku || "—"}</td>
+              {extra ? <td style={cell}>{extra.value(v)}</td> : null}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  }
+
+  return (
+    <div>
+      <div className="sectionTitle">Mode 11 — Catalog Audit</div>
+
+      <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+        <button className="btn primary" type="button" onClick={onRun} disabled={loading || !!running}>
+          {running ? "Running…" : "Run Audit"}
+        </button>
+        <div className="hint" style={{ margin: 0 }}>
+          {running
+            ? `Shopify export (${running}) running since ${new Date(job.startedAt).toLocaleTimeString()}…`
+            : report
+              ? `Last run ${new Date(report.generatedAt).toLocaleString()} by ${report.generatedBy} — ${report.productCount} product(s), ${report.variantCount} variant(s), ${report.linkedRecordCount} linked record(s).`
+              : "No audit has been run yet."}
+        </div>
+      </div>
+
+      {report ? (
+        <>
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginTop: 10 }}>
+            <span className={`tag ${report.missingBarcodes.length ? "warn" : ""}`}>No barcode: {report.missingBarcodes.length}</span>
+            <span className={`tag ${report.duplicateBarcodes.length ? "warn" : ""}`}>Shared barcodes: {report.duplicateBarcodes.length}</span>
+            <span className={`tag ${report.missingSize.length ? "warn" : ""}`}>No size option: {report.missingSize.length}</span>
+            <span className={`tag ${report.missingProducts.length ? "warn" : ""}`}>Linked product gone: {report.missingProducts.length}</span>
+          </div>
+
+          {report.missingProducts.length ? (
+            <div className="tableCard" style={{ marginTop: 12, padding: 12 }}>
+              <div className="sectionTitle" style={{ margin: 0 }}>Airtable records linked to a deleted Shopify product</div>
+              <table style={{ width: "100%", borderCollapse: "collapse", marginTop: 6 }}>
+                <thead>
+                  <tr style={{ background: "#f5f5f5" }}>
+                    <th style={{ ...cell, textAlign: "left" }}>PO</th>
+                    <th style={{ ...cell, textAlign: "left" }}>Product</th>
+                    <th style={{ ...cell, textAlign: "left" }}>Shopify_Product_GID</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.missingProducts.map((r) => (
+                    <tr key={r.recordId}>
+                      <td style={cell}>{r.po}</td>
+                      <td style={cell} title={r.recordId}>{r.label}</td>
+                      <td style={cell}>{r.productId}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : null}
+
+          {report.duplicateBarcodes.length ? (
+            <div className="tableCard" style={{ marginTop: 12, padding: 12 }}>
+              <div className="sectionTitle" style={{ margin: 0 }}>Barcodes on more than one variant</div>
+              {report.duplicateBarcodes.map((d) => (
+                <div key={d.barcode} style={{ marginTop: 8 }}>
+                  <strong>{d.barcode}</strong>
+                  {variantTable(d.variants)}
+                </div>
+              ))}
+            </div>
+          ) : null}
+
+          {report.missingBarcodes.length ? (
+            <div className="tableCard" style={{ marginTop: 12, padding: 12 }}>
+              <div className="sectionTitle" style={{ margin: 0 }}>Variants without a barcode</div>
+              {variantTable(report.missingBarcodes)}
+            </div>
+          ) : null}
+
+          {report.missingSize.length ? (
+            <div className="tableCard" style={{ marginTop: 12, padding: 12 }}>
+              <div className="sectionTitle" style={{ margin: 0 }}>Variants without a size option</div>
+              {variantTable(report.missingSize, { label: "Options", value: (v) => (v.options || []).join(", ") || "—" })}
+            </div>
+          ) : null}
+        </>
+      ) : null}
+    </div>
+  );
+}
+
+/* ---------------- Allocation Rules Panel ---------------- */
+
+function listToText(list) {
+  return (list || []).join(", ");
+}
+
+function textToList(text) {
+  return String(text || "").split(",").map((x) => x.trim()).filter(Boolean);
+}
+
+function draftFromRuleSet(rs) {
+  return {
+    id: rs.id,
+    name: rs.name || rs.id,
+    vendorsText: listToText(rs.vendors),
+    categoriesText: listToText(rs.categories),
+    rules: structuredClone(rs.rules)
+  };
+}
+
+function AllocationRulesPanel({ ruleSets, locations, sizes, sizeScales = [], loading, onSave, onDelete, onLoadHistory, sellThrough, onImportSellThrough }) {
+  // The built-in default shows up as "v0" until someone saves an edited copy.
+  const allSets = ruleSets.some((r) => r.id === "default") ? ruleSets : [DEFAULT_RULE_SET, ...ruleSets];
+
+  const [currentId, setCurrentId] = useState("default");
+  const [isNew, setIsNew] = useState(false);
+  const [draft, setDraft] = useState(() => draftFromRuleSet(allSets.find((r) => r.id === "default")));
+  const [history, setHistory] = useState([]);
+  const [historyOpen, setHistoryOpen] = useState(false);
+
+  const current = allSets.find((r) => r.id === currentId) || null;
+
+  function selectRuleSet(id) {
+    const rs = allSets.find((r) => r.id === id);
+    if (!rs) return;
+    setCurrentId(id);
+    setIsNew(false);
+    setDraft(draftFromRuleSet(rs));
+    setHistory([]);
+    setHistoryOpen(false);
+  }
+
+  function startNew() {
+    setIsNew(true);
+    setCurrentId("");
+    setDraft({ ...draftFromRuleSet(allSets.find((r) => r.id === "default") || DEFAULT_RULE_SET), id: "", name: "" });
+    setHistory([]);
+    setHistoryOpen(false);
+  }
+
+  function setRule(key, value) {
+    setDraft((d) => ({ ...d, rules: { ...d.rules, [key]: value } }));
+  }
+
+  function setSeq(i, loc) {
+    const next = [...draft.rules.packSequence];
+    next[i] = loc;
+    setRule("packSequence", next);
+  }
+
+  function moveSeq(i, dir) {
+    const j = i + dir;
+    const next = [...draft.rules.packSequence];
+    if (j < 0 || j >= next.length) return;
+    [next[i], next[j]] = [next[j], next[i]];
+    setRule("packSequence", next);
+  }
+
+  function setPackCell(key, size, value) {
+    const v = clampInt(value);
+    const next = { ...(draft.rules[key] || {}) };
+    if (v > 0) next[size] = v;
+    else delete next[size];
+    setRule(key, next);
+  }
+
+  // Scales other than the default one get their own pack; empty = engine fallback.
+  const otherScales = sizeScales.filter((sc) => sc.sizes.join() !== sizes.join());
+
+  function setScalePackCell(scaleId, size, value) {
+    const v = clampInt(value);
+    const pack = { ...(draft.rules.scalePacks?.[scaleId] || {}) };
+    if (v > 0) pack[size] = v;
+    else delete pack[size];
+    const next = { ...(draft.rules.scalePacks || {}), [scaleId]: pack };
+    if (!Object.keys(pack).length) delete next[scaleId];
+    setRule("scalePacks", next);
+  }
+
+  async function toggleHistory() {
+    if (historyOpen) { setHistoryOpen(false); return; }
+    setHistory(current && current.version ? await onLoadHistory(current.id) : []);
+    setHistoryOpen(true);
+  }
+
+  async function save() {
+    const id = isNew ? draft.id.trim() : currentId;
+    if (!id) return;
+    const saved = await onSave(id, {
+      name: draft.name,
+      vendors: textToList(draft.vendorsText),
+      categories: textToList(draft.categoriesText),
+      rules: draft.rules
+    });
+    if (saved) {
+      setIsNew(false);
+      setCurrentId(saved.id);
+      setDraft(draftFromRuleSet(saved));
+      setHistoryOpen(false);
+    }
+  }
+
+  async function remove() {
+    if (await onDelete(currentId)) selectRuleSet("default");
+  }
+
+  const seqCounts = {};
+  for (const loc of draft.rules.packSequence) seqCounts[loc] = (seqCounts[loc] || 0) + 1;
+  const overflow = draft.rules.overflow || { mode: "cycle", ratio: {} };
+
+  function setRatio(loc, value) {
+    const n = Number(value);
+    const ratio = { ...(overflow.ratio || {}) };
+    if (Number.isFinite(n) && n > 0) ratio[loc] = n;
+    else delete ratio[loc];
+    setRule("overflow", { ...overflow, ratio });
+  }
+  const packTotal = (p) => Object.values(p || {}).reduce((a, b) => a + Number(b), 0);
+  const cell = { padding: "5px 8px", border: "1px solid #e0e0e0", fontSize: 13 };
+  const isDefault = (isNew ? draft.id : currentId) === "default";
+
+  return (
+    <div style={{ maxWidth: 860 }}>
+      <div className="sectionTitle">Mode 8 — Allocation Rules</div>
+
+      <div className="hstack" style={{ marginTop: 8 }}>
+        <select className="select" value={isNew ? "" : currentId} onChange={(e) => selectRuleSet(e.target.value)} style={{ flex: 1 }}>
+          {isNew ? <option value="">(new rule set)</option> : null}
+          {allSets.map((r) => (
+            <option key={r.id} value={r.id}>
+              {r.name || r.id} — v{r.version}{r.id === "default" ? " (fallback)" : ""}
+            </option>
+          ))}
+        </select>
+        <button className="btn" onClick={startNew} disabled={loading} type="button">New Rule Set</button>
+      </div>
+
+      {current && !isNew ? (
+        <div className="hint" style={{ marginTop: 6 }}>
+          {current.version ? `Version ${current.version} · saved ${fmtDateForInput(current.updatedAt)} by ${current.updatedBy || "unknown"}` : "Built-in rules — saving creates version 1."}
+        </div>
+      ) : null}
+
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 14 }}>
+        {isNew ? (
+          <label className="field" style={{ flex: "1 1 160px" }}>
+            <div className="label">Id</div>
+            <input className="input" value={draft.id} onChange={(e) => setDraft((d) => ({ ...d, id: e.target.value }))} placeholder="e.g. denim-vendors" />
+          </label>
+        ) : null}
+        <label className="field" style={{ flex: "1 1 200px" }}>
+          <div className="label">Name</div>
+          <input className="input" value={draft.name} onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))} />
+        </label>
+      </div>
+
+      {!isDefault ? (
+        <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+          <label className="field" style={{ flex: "1 1 260px" }}>
+            <div className="label">Vendors (comma-separated)</div>
+            <input className="input" value={draft.vendorsText} onChange={(e) => setDraft((d) => ({ ...d, vendorsText: e.target.value }))} />
+          </label>
+          <label className="field" style={{ flex: "1 1 260px" }}>
+            <div className="label">Categories (comma-separated)</div>
+            <input className="input" value={draft.categoriesText} onChange={(e) => setDraft((d) => ({ ...d, categoriesText: e.target.value }))} />
+          </label>
+        </div>
+      ) : null}
+
+      {/* Pack sequence */}
+      <div className="label" style={{ marginTop: 10, marginBottom: 6 }}>
+        Pack Sequence ({draft.rules.packSequence.length} packs)
+        <span className="hint" style={{ marginLeft: 8 }}>
+          {Object.entries(seqCounts).map(([loc, n]) => `${loc} ${n}`).join(" · ")}
+        </span>
+      </div>
+      <table style={{ borderCollapse: "collapse" }}>
+        <tbody>
+          {draft.rules.packSequence.map((loc, i) => (
+            <tr key={i}>
+              <td style={{ ...cell, width: 40, textAlign: "right", color: "#6b7280" }}>{i + 1}</td>
+              <td style={cell}>
+                <select className="select" value={loc} onChange={(e) => setSeq(i, e.target.value)}>
+                  {[...new Set([...locations, loc])].map((l) => <option key={l} value={l}>{l}</option>)}
+                </select>
+              </td>
+              <td style={{ ...cell, whiteSpace: "nowrap" }}>
+                <button className="btn small" type="button" onClick={() => moveSeq(i, -1)} disabled={i === 0}>↑</button>{" "}
+                <button className="btn small" type="button" onClick={() => moveSeq(i, 1)} disabled={i === draft.rules.packSequence.length - 1}>↓</button>{" "}
+                <button
+                  className="btn small"
+                  type="button"
+                  onClick={() => setRule("packSequence", draft.rules.packSequence.filter((_, j) => j !== i))}
+                  disabled={draft.rules.packSequence.length <= 1}
+                >×</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button
+        className="btn small"
+        type="button"
+        style={{ marginTop: 6 }}
+        onClick={() => setRule("packSequence", [...draft.rules.packSequence, draft.rules.packSequence[draft.rules.packSequence.length - 1] || locations[0]])}
+      >
+        + Add Pack
+      </button>
+
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 14, alignItems: "flex-end" }}>
+        <label className="field" style={{ flex: "1 1 240px" }}>
+          <div className="label">Packs past #{draft.rules.packSequence.length}</div>
+          <select className="select" value={overflow.mode} onChange={(e) => setRule("overflow", { ...overflow, mode: e.target.value })}>
+            <option value="cycle">Cycle — repeat the sequence from #1</option>
+            <option value="ratio">Ratio — long-run share per store</option>
+            <option value="sink">Warehouse — leave them unallocated</option>
+          </select>
+        </label>
+      </div>
+      {overflow.mode === "ratio" ? (
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 6 }}>
+          {[...new Set(draft.rules.packSequence)].map((loc) => (
+            <label key={loc} className="field" style={{ flex: "0 1 120px" }}>
+              <div className="label">{loc}</div>
+              <input
+                className="input"
+                inputMode="decimal"
+                value={overflow.ratio?.[loc] ?? ""}
+                placeholder={String(seqCounts[loc] || 0)}
+                onChange={(e) => setRatio(loc, e.target.value)}
+              />
+            </label>
+          ))}
+          <div className="hint" style={{ flexBasis: "100%" }}>Leave all blank to use each store's share of the sequence; a blank store gets no overflow packs otherwise.</div>
+        </div>
+      ) : null}
+
+      {/* Pack compositions + office sample */}
+      <div className="label" style={{ marginTop: 16, marginBottom: 6 }}>Pack Composition (units per size)</div>
+      <table style={{ borderCollapse: "collapse" }}>
+        <thead>
+          <tr style={{ background: "#f5f5f5" }}>
+            <th style={{ ...cell, textAlign: "left" }}></th>
+            {sizes.map((s) => <th key={s} style={cell}>{s}</th>)}
+            <th style={cell}>Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          {[["packNoXxs", "Pack (no XXS)"], ["packWithXxs", "Pack (with XXS)"], ["officeSample", "Office sample"]].map(([key, label]) => (
+            <tr key={key}>
+              <td style={{ ...cell, fontWeight: 600 }}>{label}</td>
+              {sizes.map((s) => (
+                <td key={s} style={cell}>
+                  <input className="qty2" inputMode="numeric" value={draft.rules[key]?.[s] ?? 0} onChange={(e) => setPackCell(key, s, e.target.value)} />
+                </td>
+              ))}
+              <td style={{ ...cell, fontWeight: 600, textAlign: "center" }}>{packTotal(draft.rules[key])}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {otherScales.length ? (
+        <>
+          <div className="label" style={{ marginTop: 16, marginBottom: 6 }}>Packs for other size scales</div>
+          {otherScales.map((sc) => (
+            <table key={sc.id} style={{ borderCollapse: "collapse", marginBottom: 8 }}>
+              <thead>
+                <tr style={{ background: "#f5f5f5" }}>
+                  <th style={{ ...cell, textAlign: "left", minWidth: 140 }}>{sc.name}</th>
+                  {sc.sizes.map((s) => <th key={s} style={cell}>{s}</th>)}
+                  <th style={cell}>Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  <td style={{ ...cell, fontWeight: 600 }}>Pack</td>
+                  {sc.sizes.map((s) => (
+                    <td key={s} style={cell}>
+                      <input
+                        className="qty2"
+                        inputMode="numeric"
+                        value={draft.rules.scalePacks?.[sc.id]?.[s] ?? 0}
+                        onChange={(e) => setScalePackCell(sc.id, s, e.target.value)}
+                      />
+                    </td>
+                  ))}
+                  <td style={{ ...cell, fontWeight: 600, textAlign: "center" }}>{packTotal(draft.rules.scalePacks?.[sc.id])}</td>
+                </tr>
+              </tbody>
+            </table>
+          ))}
+          <div className="hint">Leave a scale blank to use one unit of each of its sizes per pack.</div>
+        </>
+      ) : null}
+
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 14 }}>
+        <label className="field" style={{ flex: "1 1 200px" }}>
+          <div className="label">Office sample comes out of</div>
+          <select className="select" value={draft.rules.officeSampleSource || ""} onChange={(e) => setRule("officeSampleSource", e.target.value)}>
+            <option value="">(nobody — taken off the top)</option>
+            {locations.map((l) => <option key={l} value={l}>{l}</option>)}
+          </select>
+        </label>
+        <label className="field" style={{ flex: "2 1 320px" }}>
+          <div className="label">Store fill order (comma-separated)</div>
+          <input className="input" value={listToText(draft.rules.allocationOrder)} onChange={(e) => setRule("allocationOrder", textToList(e.target.value))} />
+        </label>
+      </div>
+      <label className="field">
+        <div className="label">Cap-to-ship removal order (comma-separated)</div>
+        <input className="input" value={listToText(draft.rules.removalOrder)} onChange={(e) => setRule("removalOrder", textToList(e.target.value))} />
+      </label>
+
+      <div className="rowActions">
+        <button className="btn primary" type="button" onClick={save} disabled={loading || (isNew && !draft.id.trim())}>
+          {isNew ? "Create Rule Set" : "Save New Version"}
+        </button>
+        {!isNew && currentId !== "default" ? (
+          <button className="btn" type="button" onClick={remove} disabled={loading}>Delete</button>
+        ) : null}
+        {!isNew && current?.version ? (
+          <button className="btn" type="button" onClick={toggleHistory}>{historyOpen ? "Hide History" : "History"}</button>
+        ) : null}
+      </div>
+
+      {historyOpen ? (
+        history.length === 0 ? (
+          <div className="hint">No earlier versions.</div>
+        ) : (
+          <table style={{ width: "100%", borderCollapse: "collapse", marginTop: 8 }}>
+            <thead>
+              <tr style={{ background: "#f5f5f5" }}>
+                <th style={{ ...cell, textAlign: "left" }}>Version</th>
+                <th style={{ ...cell, textAlign: "left" }}>Saved</th>
+                <th style={{ ...cell, textAlign: "left" }}>By</th>
+                <th style={{ ...cell, textAlign: "left" }}>Sequence</th>
+                <th style={cell}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.map((h) => (
+                <tr key={h.version}>
+                  <td style={cell}>v{h.version}</td>
+                  <td style={cell}>{fmtDateForInput(h.updatedAt)}</td>
+                  <td style={cell}>{h.updatedBy || ""}</td>
+                  <td style={{ ...cell, fontSize: 11, color: "#6b7280" }}>{(h.rules?.packSequence || []).length} packs</td>
+                  <td style={cell}>
+                    <button
+                      className="btn small"
+                      type="button"
+                      onClick={() => setDraft((d) => ({ ...d, vendorsText: listToText(h.vendors), categoriesText: listToText(h.categories), rules: structuredClone(h.rules) }))}
+                    >
+                      Load into editor
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )
+      ) : null}
+
+      <SellThroughSection sizes={[...new Set([...sizes, ...otherScales.flatMap((sc) => sc.sizes)])]} sellThrough={sellThrough} loading={loading} onImport={onImportSellThrough} />
+    </div>
+  );
+}
+
+// Sell-through weights used by "Size-Curve Allocate" (Mode 2). Shared by all rule sets.
+function SellThroughSection({ sizes, sellThrough, loading, onImport }) {
+  const fileRef = useRef(null);
+  const weights = sellThrough?.weights || {};
+  const stores = Object.keys(weights);
+  const cell = { padding: "5px 8px", border: "1px solid #e0e0e0", fontSize: 13, textAlign: "center" };
+
+  async function onFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (file) await onImport(await file.text());
+  }
+
+  return (
+    <div style={{ marginTop: 28 }}>
+      <div className="label" style={{ marginBottom: 6 }}>Sell-Through Weights (size-curve allocation)</div>
+      <div className="hint">
+        Import a Shopify sales CSV (location, size or variant title, quantity) or rebuild from the server&apos;s orders file.
+        Each import replaces the previous weights.
+      </div>
+      <div className="hstack" style={{ marginTop: 8 }}>
+        <input ref={fileRef} type="file" accept=".csv,text/csv" style={{ display: "none" }} onChange={onFile} />
+        <button className="btn" type="button" disabled={loading} onClick={() => fileRef.current?.click()}>Import CSV…</button>
+        <button className="btn" type="button" disabled={loading} onClick={() => onImport(null)}>Rebuild from Orders File</button>
+      </div>
+
+      {sellThrough?.importedAt ? (
+        <div className="hint" style={{ marginTop: 6 }}>
+          From {sellThrough.source === "orders" ? "orders file" : "CSV"} · {fmtDateForInput(sellThrough.importedAt)} by {sellThrough.importedBy}
+          {sellThrough.skipped?.length ? ` · ${sellThrough.skipped.length} row(s) skipped (unknown store/size)` : ""}
+        </div>
+      ) : null}
+
+      {stores.length ? (
+        <table style={{ borderCollapse: "collapse", marginTop: 8 }}>
+          <thead>
+            <tr style={{ background: "#f5f5f5" }}>
+              <th style={{ ...cell, textAlign: "left" }}>Store</th>
+              {sizes.map((s) => <th key={s} style={cell}>{s}</th>)}
+              <th style={cell}>Units</th>
+            </tr>
+          </thead>
+          <tbody>
+            {stores.map((loc) => {
+              const total = sizes.reduce((a, s) => a + Number(weights[loc]?.[s] ?? 0), 0);
+              return (
+                <tr key={loc}>
+                  <td style={{ ...cell, textAlign: "left", fontWeight: 600 }}>{loc}</td>
+                  {sizes.map((s) => (
+                    <td key={s} style={cell}>
+                      {total ? `${Math.round((Number(weights[loc]?.[s] ?? 0) / total) * 100)}%` : "—"}
+                    </td>
+                  ))}
+                  <td style={cell}>{total}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      ) : (
+        <div className="hint" style={{ marginTop: 6 }}>No weights imported yet.</div>
+      )}
+    </div>
+  );
+}
+
 /* ---------------- Product Lookup Panel ---------------- */
 
 function ProductLookupPanel({ barcode, onBarcodeChange, onBarcodeSearch, search, onSearchChange, onTitleSearch, searchResults, selectedId, onSelectedIdChange, onSelectProduct, product, linkedPOs, loading }) {
@@ -3390,7 +5252,10 @@ function ProductLookupPanel({ barcode, onBarcodeChange, onBarcodeSearch, search,
                   {linkedPOs.map((r, i) => (
                     <tr key={i} style={{ background: i % 2 === 0 ? "#fff" : "#f9fafb" }}>
                       <td style={{ padding: "7px 10px", border: "1px solid #e0e0e0", fontWeight: 600 }}>{r.po}</td>
-                      <td style={{ padding: "7px 10px", border: "1px solid #e0e0e0" }}>{r.label}</td>
+                      <td style={{ padding: "7px 10px", border: "1px solid #e0e0e0" }}>
+                        {r.label}
+                        {r.shopifyColor ? <span className="tag" style={{ marginLeft: 6 }}>{r.shopifyColor}</span> : null}
+                      </td>
                     </tr>
                   ))}
                 </tbody>
@@ -1,36 +1,79 @@
 // src/allocationEngine.js
 
-// ── Pack sequence (1–15) ─────────────────────────────────────────────────────
-// This defines the distribution ORDER and RATIO of packs across locations.
-// When N full packs can be made from available inventory, we look at the first
-// N entries of this sequence to count how many packs each location receives.
-const PACK_SEQUENCE_1_TO_15 = [
-  "Cedarhurst",    // 1
-  "Cedarhurst",    // 2
-  "Bogota",        // 3
-  "Bogota",        // 4
-  "Toms River",    // 5
-  "Teaneck Store", // 6
-  "Cedarhurst",    // 7
-  "Bogota",        // 8
-  "Toms River",    // 9
-  "Cedarhurst",    // 10
-  "Warehouse",     // 11
-  "Warehouse",     // 12
-  "Bogota",        // 13
-  "Cedarhurst",    // 14
-  "Warehouse"      // 15
-];
-
-// ── Pack composition (units per size in one full pack) ───────────────────────
-// A pack without XXS = 10 units;  with XXS = 11 units.
-const PACK_NO_XXS   = { XS: 3, S: 3, M: 2, L: 1, XL: 1 };           // 10
-const PACK_WITH_XXS = { XXS: 1, XS: 3, S: 3, M: 2, L: 1, XL: 1 };   // 11
-
-// ── Allocation order ─────────────────────────────────────────────────────────
-// Office is handled first (fixed 1 XS + 1 S), then stores in this order.
-// Each location is filled completely before moving to the next.
-const ALLOCATION_ORDER = ["Cedarhurst", "Bogota", "Toms River", "Teaneck Store", "Warehouse"];
+// ── Default rule set ─────────────────────────────────────────────────────────
+// Buyers can override these from the Allocation Rules screen (stored server-
+// side with a version number); this is what applies when nothing is saved.
+//
+//   packSequence       distribution ORDER and RATIO of packs across locations.
+//                      When N full packs can be made from available inventory,
+//                      we look at the first N entries to count how many packs
+//                      each location receives.
+//   packNoXxs          units per size in one full pack (10 units)
+//   packWithXxs        same, for products that carry XXS (11 units)
+//   allocationOrder    stores are filled completely, one at a time, in this order
+//   officeSample       Office is handled first and gets exactly these units
+//   officeSampleSource the Office units come out of this store's allocation
+//   removalOrder       where excess is taken from when capping to ship totals
+//   scalePacks         pack composition per size scale id (denim, plus, …);
+//                      scales without one fall back to packNoXxs/packWithXxs
+//                      when those sizes exist, else one unit of every size
+//   overflow           what happens to packs past the end of packSequence:
+//                        "cycle" — start the sequence again from entry 1
+//                        "ratio" — hand them out by overflow.ratio weights
+//                                  (defaults to each store's share of the sequence)
+//                        "sink"  — leave them for Warehouse (the old behaviour)
+export const DEFAULT_ALLOCATION_RULES = {
+  packSequence: [
+    "Cedarhurst",    // 1
+    "Cedarhurst",    // 2
+    "Bogota",        // 3
+    "Bogota",        // 4
+    "Toms River",    // 5
+    "Teaneck Store", // 6
+    "Cedarhurst",    // 7
+    "Bogota",        // 8
+    "Toms River",    // 9
+    "Cedarhurst",    // 10
+    "Warehouse",     // 11
+    "Warehouse",     // 12
+    "Bogota",        // 13
+    "Cedarhurst",    // 14
+    "Warehouse"      // 15
+  ],
+  packNoXxs:   { XS: 3, S: 3, M: 2, L: 1, XL: 1 },           // 10
+  packWithXxs: { XXS: 1, XS: 3, S: 3, M: 2, L: 1, XL: 1 },   // 11
+  allocationOrder: ["Cedarhurst", "Bogota", "Toms River", "Teaneck Store", "Warehouse"],
+  officeSample: { XS: 1, S: 1 },
+  officeSampleSource: "Bogota",
+  removalOrder: ["Warehouse", "Teaneck Store", "Toms River", "Bogota", "Cedarhurst", "Office"],
+  scalePacks: {},
+  overflow: { mode: "cycle", ratio: {} }
+};
+
+export const OVERFLOW_MODES = ["cycle", "ratio", "sink"];
+
+export const DEFAULT_RULE_SET = { id: "default", name: "Default", version: 0, vendors: [], categories: [], rules: DEFAULT_ALLOCATION_RULES };
+
+/**
+ * Pick the rule set for a record: a vendor match wins over a category match,
+ * which wins over the saved "default" set, which wins over the built-in one.
+ * Matching is case-insensitive; vendor/category may be comma-joined lists.
+ */
+export function resolveRuleSet(ruleSets, { vendor, category } = {}) {
+  const split = (v) => String(v || "").split(",").map((s) => s.trim().toLowerCase()).filter(Boolean);
+  const vendors = split(vendor);
+  const categories = split(category);
+  const sets = Array.isArray(ruleSets) ? ruleSets : [];
+
+  const hits = (list, wanted) => (list || []).some((x) => wanted.includes(String(x).trim().toLowerCase()));
+
+  return (
+    sets.find((r) => r.id !== "default" && vendors.length && hits(r.vendors, vendors)) ||
+    sets.find((r) => r.id !== "default" && categories.length && hits(r.categories, categories)) ||
+    sets.find((r) => r.id === "default") ||
+    DEFAULT_RULE_SET
+  );
+}
 
 // ── Matrix helpers ───────────────────────────────────────────────────────────
 function emptyMatrix(locations, sizes) {
@@ -58,11 +101,10 @@ function perSizeTotalsFromMatrix(matrix, locations, sizes) {
   return t;
 }
 
-function capToShipTotals(built, locations, sizes, ship) {
+function capToShipTotals(built, locations, sizes, ship, rules) {
   // Safety cap: total allocated per size must never exceed total shipped per size.
-  // Remove excess from: Warehouse → Teaneck → Toms River → Bogota → Cedarhurst → Office
-  const removalOrder = ["Warehouse", "Teaneck Store", "Toms River", "Bogota", "Cedarhurst", "Office"]
-    .filter((l) => locations.includes(l));
+  // Remove excess in rules.removalOrder (Warehouse → … → Office by default).
+  const removalOrder = (rules.removalOrder || []).filter((l) => locations.includes(l));
 
   const out = structuredClone(built);
 
@@ -85,6 +127,87 @@ function capToShipTotals(built, locations, sizes, ship) {
   return out;
 }
 
+function defaultSink(locations) {
+  return locations.includes("Warehouse") ? "Warehouse" : locations[locations.length - 1];
+}
+
+// The sink, or the default one when it isn't among `locations` (hidden or
+// renamed in the registry) — leftovers must land on a row that's shown and saved.
+function sinkIn(locations, sink) {
+  const resolved = locations.includes(sink) ? sink : defaultSink(locations);
+  if (!resolved) throw new Error("No location to put leftover units in");
+  return resolved;
+}
+
+// Units per size in one pack for this record's size scale.
+function packComposition(rules, { buy, ship, sizes, sizeScale }) {
+  const scalePack = sizeScale ? rules.scalePacks?.[sizeScale] : null;
+  if (scalePack && Object.keys(scalePack).length) return scalePack;
+  const productHasXXS = Number(buy?.XXS ?? 0) > 0 || Number(ship?.XXS ?? 0) > 0;
+  const alpha = productHasXXS ? rules.packWithXxs : rules.packNoXxs;
+  if (Object.keys(alpha).every((s) => sizes.includes(s))) return alpha;
+  return Object.fromEntries(sizes.map((s) => [s, 1]));
+}
+
+function splitAvailable(buy, ship, sizes) {
+  const avail   = {};
+  const overage = {};
+  for (const s of sizes) {
+    avail[s]   = Math.min(Number(buy?.[s] ?? 0), Number(ship?.[s] ?? 0));
+    overage[s] = Math.max(0, Number(ship?.[s] ?? 0) - Number(buy?.[s] ?? 0));
+  }
+  return { avail, overage };
+}
+
+// Office gets the full sample or nothing. Mutates `inv`; returns what Office got.
+function takeOfficeSample(inv, locations, rules, office) {
+  const officeGot = {};
+  const sample = Object.entries(rules.officeSample || {});
+  if (
+    locations.includes(office) &&
+    sample.length &&
+    sample.every(([s, qty]) => Number(inv?.[s] ?? 0) >= qty)
+  ) {
+    for (const [s, qty] of sample) {
+      officeGot[s] = qty;
+      inv[s] -= qty;
+    }
+  }
+  return officeGot;
+}
+
+/**
+ * Assign the packs past the end of the sequence. Returns one location per
+ * overflow pack (empty for "sink"). "ratio" uses smooth weighted round-robin
+ * so any prefix of the overflow is as close to the ratio as possible.
+ */
+function overflowAssignments(rules, count) {
+  const seq = rules.packSequence;
+  const mode = rules.overflow?.mode || "cycle";
+  if (count <= 0 || mode === "sink") return [];
+  if (mode !== "ratio") return Array.from({ length: count }, (_, i) => seq[i % seq.length]);
+
+  let weights = Object.entries(rules.overflow?.ratio || {}).filter(([, w]) => Number(w) > 0);
+  if (!weights.length) {
+    const counts = {};
+    for (const loc of seq) counts[loc] = (counts[loc] || 0) + 1;
+    weights = Object.entries(counts);
+  }
+  const total = weights.reduce((a, [, w]) => a + Number(w), 0);
+  const current = Object.fromEntries(weights.map(([loc]) => [loc, 0]));
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    let best = null;
+    for (const [loc, w] of weights) {
+      current[loc] += Number(w);
+      if (best === null || current[loc] > current[best]) best = loc;
+    }
+    current[best] -= total;
+    out.push(best);
+  }
+  return out;
+}
+
 /**
  * Main allocation engine.
  *
@@ -92,14 +215,16 @@ function capToShipTotals(built, locations, sizes, ship) {
  *   1.  avail[s] = min(buy[s], ship[s])           — units available to pack
  *   2.  overage[s] = max(0, ship[s] − buy[s])     — extra shipped units
  *   3.  totalAvail = Σ avail[s]
- *   4.  packSize   = Σ PACK_COMPOSITION[s]         (10 normally, 11 with XXS)
+ *   4.  packSize   = Σ packComposition[s]          (10 normally, 11 with XXS;
+ *                                                  rules.scalePacks for other scales)
  *   5.  totalPacks = floor(totalAvail / packSize)
- *   6.  Count each location's appearances in PACK_SEQUENCE[0 .. totalPacks−1]
- *       → packCounts[loc] = how many packs that location receives
+ *   6.  Count each location's appearances in packSequence[0 .. totalPacks−1]
+ *       → packCounts[loc] = how many packs that location receives.
+ *       Packs past the end of the sequence follow rules.overflow.
  *   7.  Allocate in order:
- *         a. Office  → always gets exactly 1 XS + 1 S (if available)
- *         b. For each store (Cedarhurst → Bogota → Toms River → Teaneck → Warehouse):
- *              target[s] = packCounts[loc] × PACK_COMPOSITION[s]
+ *         a. Office  → always gets exactly rules.officeSample (if available)
+ *         b. For each store in rules.allocationOrder:
+ *              target[s] = packCounts[loc] × packComposition[s]
  *              actual[s] = min(target[s], inv[s])
  *              Subtract actual[s] from running inventory before moving on.
  *   8.  Remaining inventory → Warehouse (sink).
@@ -108,65 +233,78 @@ function capToShipTotals(built, locations, sizes, ship) {
  *
  * No first-pack gating — a location receives whatever is available for each
  * size even if some sizes are fully depleted (those sizes just get 0).
+ *
+ * `rules` defaults to DEFAULT_ALLOCATION_RULES; pass a resolved rule set's
+ * `rules` to apply a buyer-edited sequence. `office` / `sink` are the
+ * location registry's office and sink ("Office" / "Warehouse" by default); a
+ * sink that isn't in `locations` falls back to the default one.
+ *
+ * Also returns `packSummary` — packs per store and whether they came from the
+ * sequence or the overflow rule — for the allocation PDF.
  */
-export function computeAllocation({ buy, ship, locations, sizes, ignoreTeaneck }) {
+export function computeAllocation({ buy, ship, locations, sizes, ignoreTeaneck, rules = DEFAULT_ALLOCATION_RULES, office = "Office", sink: sinkName, sizeScale }) {
+  const sink = sinkIn(locations, sinkName);
   let built = emptyMatrix(locations, sizes);
 
   // ── Step 1–2: avail & overage ─────────────────────────────────────────────
-  const avail   = {};
-  const overage = {};
-  for (const s of sizes) {
-    avail[s]   = Math.min(Number(buy?.[s] ?? 0), Number(ship?.[s] ?? 0));
-    overage[s] = Math.max(0, Number(ship?.[s] ?? 0) - Number(buy?.[s] ?? 0));
-  }
+  const { avail, overage } = splitAvailable(buy, ship, sizes);
 
   // ── Step 3–5: total packs ─────────────────────────────────────────────────
-  const productHasXXS = Number(buy?.XXS ?? 0) > 0 || Number(ship?.XXS ?? 0) > 0;
-  const packComp      = productHasXXS ? PACK_WITH_XXS : PACK_NO_XXS;
+  const packComp      = packComposition(rules, { buy, ship, sizes, sizeScale });
   const packSize      = Object.values(packComp).reduce((a, b) => a + b, 0);
 
   const totalAvail  = sizes.reduce((a, s) => a + avail[s], 0);
   const totalPacks  = Math.floor(totalAvail / packSize);
 
   // ── Step 6: count packs per location from the sequence ───────────────────
-  const seqLen    = Math.min(totalPacks, PACK_SEQUENCE_1_TO_15.length);
+  const seqLen    = Math.min(totalPacks, rules.packSequence.length);
   const packCounts = {};
+  const fromSequence = {};
+  const fromOverflow = {};
   for (let i = 0; i < seqLen; i++) {
-    const loc = PACK_SEQUENCE_1_TO_15[i];
+    const loc = rules.packSequence[i];
     packCounts[loc] = (packCounts[loc] || 0) + 1;
+    fromSequence[loc] = (fromSequence[loc] || 0) + 1;
+  }
+  const overflowPacks = totalPacks - seqLen;
+  for (const loc of overflowAssignments(rules, overflowPacks)) {
+    packCounts[loc] = (packCounts[loc] || 0) + 1;
+    fromOverflow[loc] = (fromOverflow[loc] || 0) + 1;
   }
 
   // Running inventory pool
-  let inv = { ...avail };
+  const inv = { ...avail };
 
-  const sink = locations.includes("Warehouse") ? "Warehouse" : locations[locations.length - 1];
-
-  // ── Step 7a: Office — always 1 XS + 1 S (if both available) ─────────────
-  const officeGot = {};   // track what Office actually received
-  if (locations.includes("Office") && Number(inv?.XS ?? 0) >= 1 && Number(inv?.S ?? 0) >= 1) {
-    officeGot.XS = 1;
-    officeGot.S  = 1;
-    built = addToLoc(built, "Office", { XS: 1, S: 1 });
-    inv   = { ...inv, XS: inv.XS - 1, S: inv.S - 1 };
-  }
+  // ── Step 7a: Office — always the full sample (only if every size is available)
+  const officeGot = takeOfficeSample(inv, locations, rules, office);   // track what Office actually received
+  built = addToLoc(built, office, officeGot);
 
   // ── Step 7b: Stores — fill each location completely before moving on ──────
-  for (const loc of ALLOCATION_ORDER) {
-    // ignoreTeaneck: redirect Teaneck's packs to Warehouse
-    const effectiveLoc = (ignoreTeaneck && loc === "Teaneck Store") ? "Warehouse" : loc;
+  const packStores = [];
+  for (const loc of rules.allocationOrder) {
+    // ignoreTeaneck: redirect Teaneck's packs to the sink (Warehouse)
+    const effectiveLoc = (ignoreTeaneck && loc === "Teaneck Store") ? sink : loc;
     if (!locations.includes(effectiveLoc)) continue;
 
     const nPacks = packCounts[loc] || 0;
     if (nPacks === 0) continue; // this location doesn't appear in the sequence for this batch
 
+    packStores.push({
+      location: effectiveLoc,
+      ...(effectiveLoc !== loc ? { redirectedFrom: loc } : {}),
+      packs: nPacks,
+      sequencePacks: fromSequence[loc] || 0,
+      overflowPacks: fromOverflow[loc] || 0
+    });
+
     const locAlloc = {};
     for (const s of sizes) {
       let target = nPacks * (packComp[s] || 0);
-      // Bogota's first pack has the Office units subtracted so that the office
-      // samples effectively come out of Bogota's allocation.
-      // e.g. 4 packs normally = 33211+33211+33211+33211; with office(1XS,1S)
-      //      → 22211+33211+33211+33211 = total reduced by exactly officeGot.
-      if (loc === "Bogota") {
+      // The source store's first pack has the Office units subtracted so that
+      // the office samples effectively come out of that store's allocation.
+      // e.g. Bogota, 4 packs normally = 33211+33211+33211+33211; with office
+      //      (1XS,1S) → 22211+33211+33211+33211 = total reduced by officeGot.
+      if (loc === rules.officeSampleSource) {
         target = Math.max(0, target - Number(officeGot?.[s] ?? 0));
       }
       const actual = Math.min(target, Number(inv?.[s] ?? 0));
@@ -192,8 +330,110 @@ export function computeAllocation({ buy, ship, locations, sizes, ignoreTeaneck }
   }
 
   // ── Step 10: Hard cap ─────────────────────────────────────────────────────
-  built = capToShipTotals(built, locations, sizes, ship);
+  built = capToShipTotals(built, locations, sizes, ship, rules);
+
+  const totals = perSizeTotalsFromMatrix(built, locations, sizes);
+  const packSummary = {
+    packSize,
+    totalPacks,
+    sequenceLength: rules.packSequence.length,
+    overflowMode: overflowPacks > 0 ? (rules.overflow?.mode || "cycle") : null,
+    // Packs nobody took: sink-mode overflow, or stores missing from allocationOrder.
+    unassignedPacks: totalPacks - packStores.reduce((a, r) => a + r.packs, 0),
+    stores: packStores
+  };
+  return { allocation: built, totals, packSummary };
+}
+
+/**
+ * Size-curve allocation — same pack counts per store as computeAllocation,
+ * but each store's units are split across sizes by its own sell-through
+ * instead of the fixed pack composition.
+ *
+ *   1.  Run computeAllocation to get each store's pack count.
+ *   2.  storeUnits = packs × packSize (the Office source store gives up the
+ *       Office units, as in the standard engine).
+ *   3.  curve[loc][s] = weights[loc][s] / Σ weights[loc] over the pack's sizes;
+ *       stores with no sell-through fall back to the pack composition.
+ *   4.  For each size, available units go to stores in proportion to
+ *       storeUnits × curve (largest remainder), never more than demanded.
+ *   5.  Leftovers + ship overage → sink (Warehouse), then the same hard cap.
+ *
+ * `weights` is { [location]: { [size]: units sold } }.
+ */
+export function computeSizeCurveAllocation({ buy, ship, locations, sizes, ignoreTeaneck, rules = DEFAULT_ALLOCATION_RULES, weights = {}, office = "Office", sink: sinkName, sizeScale }) {
+  const sink = sinkIn(locations, sinkName);
+  const standard = computeAllocation({ buy, ship, locations, sizes, ignoreTeaneck, rules, office, sink, sizeScale });
+  const { packSummary } = standard;
+
+  let built = emptyMatrix(locations, sizes);
+  const { avail, overage } = splitAvailable(buy, ship, sizes);
+  const inv = { ...avail };
+
+  const officeGot = takeOfficeSample(inv, locations, rules, office);
+  built = addToLoc(built, office, officeGot);
+
+  const packComp      = packComposition(rules, { buy, ship, sizes, sizeScale });
+  const curveSizes    = sizes.filter((s) => packComp[s]);
+
+  // Packs per effective location (Teaneck's packs land on Warehouse when ignored)
+  const packsByLoc = {};
+  for (const row of packSummary.stores) {
+    packsByLoc[row.location] = (packsByLoc[row.location] || 0) + row.packs;
+  }
+  const stores = Object.keys(packsByLoc).filter((loc) => locations.includes(loc));
+
+  const curves = {};
+  const demand = {};
+  for (const loc of stores) {
+    const w = weights?.[loc] || {};
+    const wTotal = curveSizes.reduce((a, s) => a + Math.max(0, Number(w[s] ?? 0)), 0);
+    const source = wTotal > 0 ? "sell-through" : "standard";
+    const share = {};
+    for (const s of curveSizes) {
+      share[s] = wTotal > 0 ? Math.max(0, Number(w[s] ?? 0)) / wTotal : packComp[s] / packSummary.packSize;
+    }
+    curves[loc] = { source, share };
+
+    const units = packsByLoc[loc] * packSummary.packSize;
+    demand[loc] = {};
+    for (const s of curveSizes) {
+      let d = units * share[s];
+      if (loc === rules.officeSampleSource) d = Math.max(0, d - Number(officeGot?.[s] ?? 0));
+      demand[loc][s] = d;
+    }
+  }
+
+  // Largest-remainder split of each size's supply; ties go by allocationOrder.
+  const orderIdx = (loc) => {
+    const i = rules.allocationOrder.indexOf(loc);
+    return i < 0 ? rules.allocationOrder.length : i;
+  };
+  for (const s of curveSizes) {
+    const totalDemand = stores.reduce((a, loc) => a + demand[loc][s], 0);
+    if (totalDemand <= 0) continue;
+    const give = Math.min(Number(inv[s] ?? 0), Math.round(totalDemand));
+    const parts = stores.map((loc) => {
+      const exact = (give * demand[loc][s]) / totalDemand;
+      return { loc, whole: Math.floor(exact), frac: exact - Math.floor(exact) };
+    });
+    let left = give - parts.reduce((a, p) => a + p.whole, 0);
+    parts
+      .slice()
+      .sort((a, b) => b.frac - a.frac || orderIdx(a.loc) - orderIdx(b.loc))
+      .forEach((p) => { if (left > 0) { p.whole += 1; left -= 1; } });
+    for (const p of parts) {
+      if (p.whole > 0) built[p.loc][s] = Number(built[p.loc][s] ?? 0) + p.whole;
+    }
+    inv[s] -= give;
+  }
+
+  for (const s of sizes) {
+    built[sink][s] = Number(built?.[sink]?.[s] ?? 0) + Number(inv?.[s] ?? 0) + Number(overage?.[s] ?? 0);
+  }
+
+  built = capToShipTotals(built, locations, sizes, ship, rules);
 
   const totals = perSizeTotalsFromMatrix(built, locations, sizes);
-  return { allocation: built, totals };
+  return { allocation: built, totals, packSummary, curves };
 }
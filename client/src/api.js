@@ -1,3 +1,17 @@
+import { serializeAlloc, serializeScan } from "../../shared/scanSchema.js";
+
+// Shopify calls go to this shop (the loaded PO's, or the one picked in the
+// sidebar); null = the server's default shop.
+let activeShop = null;
+
+export function setActiveShop(shop) {
+  activeShop = shop || null;
+}
+
+function shopHeaders(headers = {}) {
+  return activeShop ? { ...headers, "X-Shopify-Shop": activeShop } : headers;
+}
+
 export async function fetchPO(po) {
   const r = await fetch(`/api/po/${encodeURIComponent(po)}`);
   const j = await r.json();
@@ -5,6 +19,24 @@ export async function fetchPO(po) {
   return j;
 }
 
+export async function savePoShop(po, shop) {
+  const r = await fetch(`/api/po/${encodeURIComponent(po)}/shop`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ shop })
+  });
+  const j = await r.json();
+  if (!r.ok) throw new Error(j.error || "Failed to save the PO's shop");
+  return j;
+}
+
+export async function fetchShopifyStatus() {
+  const r = await fetch("/api/shopify/status");
+  const j = await r.json();
+  if (!r.ok) throw new Error(j.error || "Failed to load Shopify status");
+  return j;
+}
+
 export async function me() {
   const r = await fetch("/api/me");
   const j = await r.json();
@@ -37,6 +69,71 @@ export async function getLocations() {
   return j;
 }
 
+export async function fetchAuditLog({ po, product, from, to } = {}) {
+  const params = new URLSearchParams();
+  if (po) params.set("po", po);
+  if (product) params.set("product", product);
+  if (from) params.set("from", from);
+  if (to) params.set("to", to);
+  const r = await fetch(`/api/audit?${params}`);
+  const j = await r.json();
+  if (!r.ok) throw new Error(j.error || "Failed to load audit log");
+  return j;
+}
+
+export async function fetchReconciliation(po) {
+  const r = await fetch(`/api/po/${encodeURIComponent(po)}/reconciliation`);
+  const j = await r.json();
+  if (!r.ok) throw new Error(j.error || "Failed to load reconciliation");
+  return j;
+}
+
+export async function fetchCatalogAudit() {
+  const r = await fetch("/api/shopify/catalog-audit");
+  const j = await r.json();
+  if (!r.ok) throw new Error(j.error || "Failed to load catalog audit");
+  return j;
+}
+
+export async function runCatalogAudit() {
+  const r = await fetch("/api/shopify/catalog-audit", { method: "POST", headers: shopHeaders() });
+  const j = await r.json();
+  if (!r.ok) throw new Error(j.error || "Could not start catalog audit");
+  return j;
+}
+
+export async function fetchSizeScales() {
+  const r = await fetch("/api/size-scales");
+  const j = await r.json();
+  if (!r.ok) throw new Error(j.error || "Failed to load size scales");
+  return j;
+}
+
+export async function fetchLocationRegistry() {
+  const r = await fetch("/api/location-registry");
+  const j = await r.json();
+  if (!r.ok) throw new Error(j.error || "Failed to load location registry");
+  return j;
+}
+
+export async function saveLocationRegistry(locations) {
+  const r = await fetch("/api/location-registry", {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ locations })
+  });
+  const j = await r.json();
+  if (!r.ok) throw new Error(j.error || "Failed to save locations");
+  return j;
+}
+
+export async function syncLocationRegistry() {
+  const r = await fetch("/api/location-registry/sync", { method: "POST" });
+  const j = await r.json();
+  if (!r.ok) throw new Error(j.error || "Location sync failed");
+  return j;
+}
+
 export async function saveShip(recordId, shipDate, shipTotals, trackingNumber) {
   const r = await fetch(`/api/record/${encodeURIComponent(recordId)}/save-ship`, {
     method: "PATCH",
@@ -48,37 +145,51 @@ export async function saveShip(recordId, shipDate, shipTotals, trackingNumber) {
   return j;
 }
 
-export async function saveAllocation(recordId, allocMatrix) {
+// A 409 from a stale save carries the three-way merge (err.conflict):
+// { currentVersion, current, merged, conflicts: [{ location, size, base, ours, theirs }] }
+function saveError(j, fallback) {
+  const err = new Error(j?.error || fallback);
+  if (j?.conflict) {
+    err.conflict = { currentVersion: j.currentVersion, current: j.current || {}, merged: j.merged || {}, conflicts: j.conflicts || [] };
+  }
+  return err;
+}
+
+// base = { version, json }: what the edit started from (the record's
+// allocVersion / allocJson when loaded, or the last save's response).
+// ruleSet ({ id, version, name }) is stored with the matrix.
+export async function saveAllocation(recordId, allocMatrix, ruleSet, base) {
+  const allocJson = serializeAlloc({ matrix: allocMatrix, ruleSet });
   const r = await fetch(`/api/record/${encodeURIComponent(recordId)}/save-allocation`, {
     method: "PATCH",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ allocJson: JSON.stringify(allocMatrix) })
+    body: JSON.stringify({ allocJson, baseVersion: base?.version, baseJson: base?.json ?? null })
   });
   const j = await r.json();
-  if (!r.ok) throw new Error(j.error || "Failed to save allocation");
+  if (!r.ok) throw saveError(j, "Failed to save allocation");
   return j;
 }
 
-export async function saveScan(recordId, scanMatrix, recTotals) {
+export async function saveScan(recordId, scanMatrix, recTotals, base) {
   const r = await fetch(`/api/record/${encodeURIComponent(recordId)}/save-scan`, {
     method: "PATCH",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ scanJson: JSON.stringify(scanMatrix), recTotals })
+    body: JSON.stringify({ scanJson: serializeScan({ matrix: scanMatrix }), recTotals, baseVersion: base?.version, baseJson: base?.json ?? null })
   });
   const j = await r.json();
-  if (!r.ok) throw new Error(j.error || "Failed to save scan");
+  if (!r.ok) throw saveError(j, "Failed to save scan");
   return j;
 }
 
 export async function shopifyByBarcode(barcode) {
-  const r = await fetch(`/api/shopify/barcode/${encodeURIComponent(barcode)}`);
+  const r = await fetch(`/api/shopify/barcode/${encodeURIComponent(barcode)}`, { headers: shopHeaders() });
   const j = await r.json();
   if (!r.ok) throw new Error(j.error || "Shopify barcode lookup failed");
   return j;
 }
 
 export async function shopifyByProductId(productId) {
-  const r = await fetch(`/api/shopify/product/${encodeURIComponent(productId)}`);
+  const r = await fetch(`/api/shopify/product/${encodeURIComponent(productId)}`, { headers: shopHeaders() });
   const j = await r.json();
   if (!r.ok) throw new Error(j.error || "Shopify product fetch failed");
   return j;
@@ -86,52 +197,99 @@ export async function shopifyByProductId(productId) {
 
 // Search products by title (for manual select)
 export async function shopifySearchByTitle(title) {
-  const r = await fetch(`/api/shopify/search?title=${encodeURIComponent(title)}`);
+  const r = await fetch(`/api/shopify/search?title=${encodeURIComponent(title)}`, { headers: shopHeaders() });
   const j = await r.json();
   if (!r.ok) throw new Error(j.error || "Shopify product search failed");
   return j;
 }
 
-export async function linkShopifyProduct(recordId, productId) {
+export async function linkShopifyProduct(recordId, productId, color = "") {
   const r = await fetch(`/api/record/${encodeURIComponent(recordId)}/link-shopify-product`, {
     method: "PATCH",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ productId })
+    body: JSON.stringify({ productId, color })
   });
   const j = await r.json();
   if (!r.ok) throw new Error(j.error || "Failed to link Shopify product");
   return j;
 }
 
+// A 409 from a "set" closeout carries the cells Shopify refused (conflicts).
+function closeoutError(j) {
+  const err = new Error(j?.error || "Closeout failed");
+  if (j?.conflict) err.conflicts = j.conflicts || [];
+  return err;
+}
+
 export async function closeoutSubmit(payload) {
   const r = await fetch("/api/closeout", {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
+    headers: shopHeaders({ "Content-Type": "application/json" }),
     body: JSON.stringify({ ...payload, skipPdf: true })
   });
 
   const j = await r.json();
-  if (!r.ok) throw new Error(j.error || "Closeout failed");
+  if (!r.ok) throw closeoutError(j);
+  return j;
+}
+
+export async function previewCloseout(payload) {
+  const r = await fetch("/api/closeout/preview", {
+    method: "POST",
+    headers: shopHeaders({ "Content-Type": "application/json" }),
+    body: JSON.stringify(payload)
+  });
+
+  const j = await r.json();
+  if (!r.ok) throw new Error(j.error || "Closeout preview failed");
+  return j;
+}
+
+export async function completeReceiving(recordId) {
+  const r = await fetch("/api/closeout/complete", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ recordId })
+  });
+
+  const j = await r.json();
+  if (!r.ok) throw new Error(j.error || "Could not mark receiving complete");
+  return j;
+}
+
+export async function voidCloseout(payload) {
+  const r = await fetch("/api/closeout/void", {
+    method: "POST",
+    headers: shopHeaders({ "Content-Type": "application/json" }),
+    body: JSON.stringify(payload)
+  });
+
+  const j = await r.json();
+  if (!r.ok) throw new Error(j.error || "Closeout void failed");
   return j;
 }
 
 export async function closeoutPdf(payload) {
   const r = await fetch("/api/closeout", {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
+    headers: shopHeaders({ "Content-Type": "application/json" }),
     body: JSON.stringify(payload)
   });
 
   if (!r.ok) {
-    let msg = "Closeout failed";
+    let j = null;
     try {
-      const j = await r.json();
-      msg = j.error || msg;
+      j = await r.json();
     } catch {}
-    throw new Error(msg);
+    throw closeoutError(j);
   }
 
-  return await r.blob();
+  return {
+    blob: await r.blob(),
+    duplicate: r.headers.get("X-Closeout-Duplicate") === "true",
+    unmappedVariants: Number(r.headers.get("X-Closeout-Unmapped-Variants") || 0),
+    unsentUnits: Number(r.headers.get("X-Closeout-Unsent-Units") || 0)
+  };
 }
 
 export async function bulkAllocPdfs(items, notes) {
@@ -145,7 +303,10 @@ export async function bulkAllocPdfs(items, notes) {
     try { const j = await r.json(); msg = j.error || msg; } catch {}
     throw new Error(msg);
   }
-  return await r.blob();
+  return {
+    blob: await r.blob(),
+    saveFailures: Number(r.headers.get("X-Bulk-Alloc-Save-Failures") || 0)
+  };
 }
 
 export async function bulkAllocMergedPdf(items, notes) {
@@ -159,13 +320,16 @@ export async function bulkAllocMergedPdf(items, notes) {
     try { const j = await r.json(); msg = j.error || msg; } catch {}
     throw new Error(msg);
   }
-  return await r.blob();
+  return {
+    blob: await r.blob(),
+    saveFailures: Number(r.headers.get("X-Bulk-Alloc-Save-Failures") || 0)
+  };
 }
 
 export async function submitOfficeSample(recordId, payload) {
   const r = await fetch(`/api/record/${encodeURIComponent(recordId)}/office-sample`, {
     method: "PATCH",
-    headers: { "Content-Type": "application/json" },
+    headers: shopHeaders({ "Content-Type": "application/json" }),
     body: JSON.stringify(payload)
   });
   const j = await r.json();
@@ -234,11 +398,11 @@ export async function allocationPdf(payload) {
   return await r.blob();
 }
 
-export async function fetchBinLabelPdf({ styleName, color }) {
+export async function fetchBinLabelPdf({ styleName, color, sizeScale }) {
   const r = await fetch("/api/bin-label", {
     method: "POST",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ styleName, color })
+    body: JSON.stringify({ styleName, color, sizeScale })
   });
 
   if (!r.ok) {
@@ -252,3 +416,60 @@ export async function fetchBinLabelPdf({ styleName, color }) {
 
   return await r.blob();
 }
+
+export async function fetchAllocationRules() {
+  const r = await fetch("/api/allocation-rules");
+  const j = await r.json();
+  if (!r.ok) throw new Error(j.error || "Failed to load allocation rules");
+  return j;
+}
+
+export async function fetchAllocationRuleSet(id) {
+  const r = await fetch(`/api/allocation-rules/${encodeURIComponent(id)}`);
+  const j = await r.json();
+  if (!r.ok) throw new Error(j.error || "Failed to load rule set");
+  return j;
+}
+
+export async function saveAllocationRuleSet(id, ruleSet) {
+  const r = await fetch(`/api/allocation-rules/${encodeURIComponent(id)}`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(ruleSet)
+  });
+  const j = await r.json();
+  if (!r.ok) throw new Error(j.error || "Failed to save rule set");
+  return j;
+}
+
+export async function deleteAllocationRuleSet(id) {
+  const r = await fetch(`/api/allocation-rules/${encodeURIComponent(id)}`, { method: "DELETE" });
+  const j = await r.json();
+  if (!r.ok) throw new Error(j.error || "Failed to delete rule set");
+  return j;
+}
+
+export async function fetchSellThrough() {
+  const r = await fetch("/api/sell-through");
+  const j = await r.json();
+  if (!r.ok) throw new Error(j.error || "Failed to load sell-through weights");
+  return j;
+}
+
+export async function importSellThroughCsv(csv) {
+  const r = await fetch("/api/sell-through/import-csv", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ csv })
+  });
+  const j = await r.json();
+  if (!r.ok) throw new Error(j.error || "Sell-through import failed");
+  return j;
+}
+
+export async function importSellThroughFromOrders() {
+  const r = await fetch("/api/sell-through/import-orders", { method: "POST" });
+  const j = await r.json();
+  if (!r.ok) throw new Error(j.error || "Sell-through import failed");
+  return j;
+}
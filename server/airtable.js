@@ -1,10 +1,16 @@
-const BASE = "https://api.airtable.com/v0";
-
-const token = process.env.AIRTABLE_TOKEN;
-const baseId = process.env.AIRTABLE_BASE_ID;
-const table = process.env.AIRTABLE_TABLE_NAME || "Products";
-
-const sizes = (process.env.SIZES || "XXS,XS,S,M,L,XL").split(",").map((s) => s.trim());
+// Product records: the Airtable field layout and what the routes get back.
+// Reads and writes go through the configured storage backend
+// (storage/index.js) — the Airtable base, or a local SQLite copy of it.
+import { getDefaultSizeScale, resolveSizeScale, allScaleSizes } from "./sizeScales.js";
+import { storage } from "./storage/index.js";
+import { docVersion } from "./recordVersions.js";
+import { parseAlloc, parseScan } from "../shared/scanSchema.js";
+import { checkFieldMapping, getFieldCheck, writeBlockReason } from "./airtableSchema.js";
+
+// Default scale's sizes (the only scale unless SIZE_SCALES is set), and every
+// size across all scales — the Buy_/Ship_/Rec_ fields lists have to request.
+const sizes = getDefaultSizeScale().sizes;
+const fieldSizes = allScaleSizes();
 
 const PO_FIELD = process.env.AIRTABLE_PO_FIELD || "PO #";
 const PRODUCT_FIELD = process.env.AIRTABLE_PRODUCT_FIELD || "Product";
@@ -37,6 +43,19 @@ const SHORTAGE_ADJUSTMENT_FIELD = process.env.AIRTABLE_SHORTAGE_ADJUSTMENT_FIELD
 const VENDOR_FIELD = process.env.AIRTABLE_VENDOR_FIELD || "Vendor";
 const ISSUES_FIELD = process.env.AIRTABLE_ISSUES_FIELD || "Issues?";
 
+// Optional category field used to pick a per-category allocation rule set.
+// Left unset by default so bases without the field don't 422 on list.
+const CATEGORY_FIELD = process.env.AIRTABLE_CATEGORY_FIELD || "";
+
+// Optional per-record size scale (id or name from SIZE_SCALES). Unset → every
+// record uses the default scale.
+const SIZE_SCALE_FIELD = process.env.AIRTABLE_SIZE_SCALE_FIELD || "";
+
+// Optional Shopify color option value per record, for products whose
+// Color × Size variants are split across one record per color. Unset → a
+// record owns every variant of its linked product.
+const SHOPIFY_COLOR_FIELD = process.env.AIRTABLE_SHOPIFY_COLOR_FIELD || "";
+
 // Office Samples fields
 const OFFICE_SENT_FIELD = process.env.AIRTABLE_OFFICE_SENT_FIELD || "Office_Sent";
 const OFFICE_SAMPLE_PHOTO_FIELD = process.env.AIRTABLE_OFFICE_SAMPLE_PHOTO_FIELD || "Office_Sample_Photo";
@@ -46,14 +65,58 @@ const LABEL_FIELDS = (process.env.AIRTABLE_DISPLAY_FIELDS || "Product,Style,Colo
   .map((s) => s.trim())
   .filter(Boolean);
 
-function headers() {
-  if (!token) throw new Error("Missing AIRTABLE_TOKEN");
-  if (!baseId) throw new Error("Missing AIRTABLE_BASE_ID");
-  return { Authorization: `Bearer ${token}`, "Content-Type": "application/json" };
+// What each mapped field must be, for airtableSchema.js: `kind` is the value
+// the app reads or writes (null = anything), `write` means the app writes it,
+// `required` means all record writes are refused without it. Only the fields
+// every receiving write depends on are required — the PO, Scan_JSON,
+// Alloc_JSON and Rec_ fields; a problem with any other field fails just the
+// writes that touch it.
+function fieldSpec(name, setting, kind, { write = false, required = false } = {}) {
+  return { name, setting, kind, write, required };
 }
 
-function escapeQuotes(s) {
-  return String(s).replace(/"/g, '\\"');
+function fieldSpecs() {
+  const specs = [
+    fieldSpec(PO_FIELD, "AIRTABLE_PO_FIELD", "text", { required: true }),
+    fieldSpec(PRODUCT_FIELD, "AIRTABLE_PRODUCT_FIELD", "text"),
+    fieldSpec(ATTACH_FIELD, "AIRTABLE_IMAGE_FIELD", "attachment"),
+    fieldSpec(UNIT_COST_FIELD, "AIRTABLE_UNIT_COST_FIELD", "number"),
+    fieldSpec(SHIP_DATE_FIELD, "AIRTABLE_SHIP_DATE_FIELD", "date", { write: true }),
+    fieldSpec(DELIVERY_FIELD, "AIRTABLE_DELIVERY_FIELD", "date", { write: true }),
+    fieldSpec(ALLOC_FIELD, "AIRTABLE_ALLOC_FIELD", "text", { write: true, required: true }),
+    fieldSpec(SCAN_FIELD, "AIRTABLE_SCAN_FIELD", "text", { write: true, required: true }),
+    fieldSpec(SHOPIFY_PRODUCT_GID_FIELD, "AIRTABLE_SHOPIFY_PRODUCT_GID_FIELD", "text", { write: true }),
+    fieldSpec(TRACKING_NUMBER_FIELD, "AIRTABLE_TRACKING_NUMBER_FIELD", "text", { write: true }),
+    fieldSpec(ALLOC_PDF_FIELD, "AIRTABLE_ALLOC_PDF_FIELD", "attachment", { write: true }),
+    fieldSpec(RECEIVING_PDF_FIELD, "AIRTABLE_RECEIVING_PDF_FIELD", "attachment", { write: true }),
+    fieldSpec(PAID_FIELD, "AIRTABLE_PAID_FIELD", "number", { write: true }),
+    fieldSpec(CREDIT_AMOUNT_FIELD, "AIRTABLE_CREDIT_AMOUNT_FIELD", "number"),
+    fieldSpec(INVOICE_AMOUNT_FIELD, "AIRTABLE_INVOICE_AMOUNT_FIELD", "number"),
+    fieldSpec(FINAL_COST_FIELD, "AIRTABLE_FINAL_COST_FIELD", "number"),
+    fieldSpec(BALANCE_FIELD, "AIRTABLE_BALANCE_FIELD", "number"),
+    fieldSpec(SHORTAGE_ADJUSTMENT_FIELD, "AIRTABLE_SHORTAGE_ADJUSTMENT_FIELD", "number"),
+    fieldSpec(VENDOR_FIELD, "AIRTABLE_VENDOR_FIELD", null),
+    fieldSpec(ISSUES_FIELD, "AIRTABLE_ISSUES_FIELD", null),
+    ...(CATEGORY_FIELD ? [fieldSpec(CATEGORY_FIELD, "AIRTABLE_CATEGORY_FIELD", null)] : []),
+    ...(SIZE_SCALE_FIELD ? [fieldSpec(SIZE_SCALE_FIELD, "AIRTABLE_SIZE_SCALE_FIELD", null)] : []),
+    ...(SHOPIFY_COLOR_FIELD ? [fieldSpec(SHOPIFY_COLOR_FIELD, "AIRTABLE_SHOPIFY_COLOR_FIELD", "text", { write: true })] : []),
+    fieldSpec(OFFICE_SENT_FIELD, "AIRTABLE_OFFICE_SENT_FIELD", "date", { write: true }),
+    fieldSpec(OFFICE_SAMPLE_PHOTO_FIELD, "AIRTABLE_OFFICE_SAMPLE_PHOTO_FIELD", "attachment", { write: true }),
+    ...LABEL_FIELDS.map((f) => fieldSpec(f, "AIRTABLE_DISPLAY_FIELDS", null)),
+    ...fieldSizes.flatMap((s) => [
+      fieldSpec(`Buy_${s}`, "size field", "number"),
+      fieldSpec(`Ship_${s}`, "size field", "number", { write: true }),
+      fieldSpec(`Rec_${s}`, "size field", "number", { write: true, required: true })
+    ])
+  ];
+  // A field mapped twice (e.g. Product is also a label field) is checked
+  // once, by its strictest use.
+  const byName = new Map();
+  for (const spec of specs) {
+    const prev = byName.get(spec.name);
+    if (!prev || (spec.write && !prev.write)) byName.set(spec.name, prev?.required ? { ...spec, required: true } : spec);
+  }
+  return [...byName.values()];
 }
 
 function buildLabel(fields) {
@@ -62,6 +125,25 @@ function buildLabel(fields) {
   return parts.length ? parts.join(" • ") : "(Untitled)";
 }
 
+// Linked-record / multi-select fields come back as arrays
+function joinValue(v) {
+  return Array.isArray(v) ? v.join(", ") : String(v || "");
+}
+
+function recordSizeScale(fields) {
+  return SIZE_SCALE_FIELD ? resolveSizeScale(fields?.[SIZE_SCALE_FIELD]) : getDefaultSizeScale();
+}
+
+// Closeout status from Scan_JSON: submitted at least once, locked as
+// complete, and the partial receipts posted so far (matrices left out).
+function closeoutState(scan) {
+  return {
+    hasCloseout: scan.meta.closeoutSubmitted,
+    closeoutComplete: !!scan.meta.closeoutComplete,
+    receipts: scan.receipts.map(({ at, by, units }) => ({ at, by, units }))
+  };
+}
+
 function pickAttachmentUrl(attField) {
   if (!attField || !Array.isArray(attField) || !attField[0]) return null;
   const a0 = attField[0];
@@ -69,52 +151,30 @@ function pickAttachmentUrl(attField) {
 }
 
 export async function listRecordsByPO(po) {
-  const safePO = escapeQuotes(po);
-  const formula = `LOWER(TRIM({${PO_FIELD}}))=LOWER(TRIM("${safePO}"))`;
-
-  const params = new URLSearchParams();
-  params.set("filterByFormula", formula);
-
-  // Fields
-  params.append("fields[]", PO_FIELD);
-  params.append("fields[]", ATTACH_FIELD);
-  params.append("fields[]", UNIT_COST_FIELD);
-  params.append("fields[]", SHIP_DATE_FIELD);
-  params.append("fields[]", DELIVERY_FIELD);
-  params.append("fields[]", ALLOC_FIELD);
-  params.append("fields[]", SCAN_FIELD);
-  params.append("fields[]", SHOPIFY_PRODUCT_GID_FIELD);
-  params.append("fields[]", OFFICE_SENT_FIELD);
-  params.append("fields[]", TRACKING_NUMBER_FIELD);
-  params.append("fields[]", PAID_FIELD);
-  params.append("fields[]", CREDIT_AMOUNT_FIELD);
-  params.append("fields[]", INVOICE_AMOUNT_FIELD);
-  params.append("fields[]", FINAL_COST_FIELD);
-  params.append("fields[]", BALANCE_FIELD);
-
-  for (const f of LABEL_FIELDS) params.append("fields[]", f);
-
-  for (const s of sizes) {
-    params.append("fields[]", `Buy_${s}`);
-    params.append("fields[]", `Ship_${s}`);
-    params.append("fields[]", `Rec_${s}`);
-  }
-
-  const url = `${BASE}/${baseId}/${encodeURIComponent(table)}?${params.toString()}`;
-  const res = await fetch(url, { headers: headers() });
-  if (!res.ok) throw new Error(`Airtable list failed (${res.status}): ${await res.text()}`);
+  const fields = [
+    PO_FIELD, ATTACH_FIELD, UNIT_COST_FIELD, SHIP_DATE_FIELD, DELIVERY_FIELD, ALLOC_FIELD, SCAN_FIELD,
+    SHOPIFY_PRODUCT_GID_FIELD, OFFICE_SENT_FIELD, TRACKING_NUMBER_FIELD, PAID_FIELD, CREDIT_AMOUNT_FIELD,
+    INVOICE_AMOUNT_FIELD, FINAL_COST_FIELD, BALANCE_FIELD, VENDOR_FIELD,
+    ...(CATEGORY_FIELD ? [CATEGORY_FIELD] : []),
+    ...(SIZE_SCALE_FIELD ? [SIZE_SCALE_FIELD] : []),
+    ...(SHOPIFY_COLOR_FIELD ? [SHOPIFY_COLOR_FIELD] : []),
+    ...LABEL_FIELDS,
+    ...fieldSizes.flatMap((s) => [`Buy_${s}`, `Ship_${s}`, `Rec_${s}`])
+  ];
 
-  const data = await res.json();
+  const records = await storage.list({ filter: { field: PO_FIELD, op: "eqi", value: po }, fields });
 
   return {
     po,
     sizes,
-    records: (data.records || []).map((r) => {
+    records: records.map((r) => {
       const f = r.fields || {};
+      const scale = recordSizeScale(f);
+      const scan = parseScan(f[SCAN_FIELD]);
       const buy = {},
         ship = {},
         rec = {};
-      for (const s of sizes) {
+      for (const s of scale.sizes) {
         buy[s] = Number(f[`Buy_${s}`] ?? 0);
         ship[s] = Number(f[`Ship_${s}`] ?? 0);
         rec[s] = Number(f[`Rec_${s}`] ?? 0);
@@ -129,7 +189,12 @@ export async function listRecordsByPO(po) {
         delivery: f[DELIVERY_FIELD] ?? null,
         allocJson: f[ALLOC_FIELD] ?? null,
         scanJson: f[SCAN_FIELD] ?? null,
+        // Sent back on save-allocation / save-scan (see recordVersions.js)
+        allocVersion: docVersion(parseAlloc(f[ALLOC_FIELD])),
+        scanVersion: docVersion(scan),
         shopifyProductGid: f[SHOPIFY_PRODUCT_GID_FIELD] ?? null,
+        // null = color linking not configured; "" = configured, no color set
+        shopifyColor: SHOPIFY_COLOR_FIELD ? String(f[SHOPIFY_COLOR_FIELD] ?? "").trim() : null,
         officeSent: f[OFFICE_SENT_FIELD] ?? null,
         trackingNumber: f[TRACKING_NUMBER_FIELD] ?? "",
         paid: Number(f[PAID_FIELD] ?? 0),
@@ -137,9 +202,13 @@ export async function listRecordsByPO(po) {
         invoiceAmount: Number(f[INVOICE_AMOUNT_FIELD] ?? 0),
         finalCost: Number(f[FINAL_COST_FIELD] ?? 0),
         balance: Number(f[BALANCE_FIELD] ?? 0),
-        hasCloseout: (() => { try { return !!JSON.parse(f[SCAN_FIELD] || "{}")._closeoutSubmitted; } catch { return false; } })(),
+        vendor: joinValue(f[VENDOR_FIELD]),
+        category: CATEGORY_FIELD ? joinValue(f[CATEGORY_FIELD]) : "",
+        ...closeoutState(scan),
         styleName: (() => { const p = String(f[PRODUCT_FIELD] ?? ""); const i = p.lastIndexOf(" ("); return i > 0 ? p.slice(0, i) : p; })(),
         colorName: (() => { const p = String(f[PRODUCT_FIELD] ?? ""); const m = p.match(/\(([^)]+)\)\s*$/); return m ? m[1] : ""; })(),
+        sizeScale: scale.id,
+        sizes: scale.sizes,
         buy,
         ship,
         rec
@@ -148,122 +217,177 @@ export async function listRecordsByPO(po) {
   };
 }
 
-export async function updateRecord(id, fieldsPatch) {
-  const url = `${BASE}/${baseId}/${encodeURIComponent(table)}/${id}`;
+// Refuses a write while the field check has required fields missing or
+// mistyped (err.status 503).
+async function assertWritable() {
+  const reason = await writeBlockReason(fieldSpecs());
+  if (!reason) return;
+  const err = new Error(reason);
+  err.status = 503;
+  throw err;
+}
 
-  const res = await fetch(url, {
-    method: "PATCH",
-    headers: headers(),
-    body: JSON.stringify({ fields: fieldsPatch })
-  });
+export async function updateRecord(id, fieldsPatch) {
+  await assertWritable();
+  return await storage.update(id, fieldsPatch);
+}
 
-  if (!res.ok) throw new Error(`Airtable update failed (${res.status}): ${await res.text()}`);
-  return await res.json();
+/**
+ * Patch many records ([{ id, fields }]), 10 per request on Airtable.
+ * Resolves one { id, ok, record } / { id, ok: false, error } per update, in
+ * order — a record the backend refuses doesn't stop the others.
+ */
+export async function updateRecords(updates) {
+  await assertWritable();
+  return await storage.updateMany(updates);
 }
 
-/** Fetch one Airtable record by id. Returns { id, fields } or throws. */
+/** Fetch one record by id. Returns { id, fields } or throws. */
 export async function getRecord(id) {
-  const url = `${BASE}/${baseId}/${encodeURIComponent(table)}/${id}`;
-  const res = await fetch(url, { headers: headers() });
-  if (!res.ok) throw new Error(`Airtable get failed (${res.status}): ${await res.text()}`);
-  return await res.json();
+  return await storage.get(id);
+}
+
+/**
+ * Keep a file on the backend when it stores files itself (SQLite). Returns the
+ * attachment entry to patch onto a record, or null when the backend fetches
+ * attachments by URL (Airtable).
+ */
+export async function saveAttachment(data, { filename, contentType }) {
+  return storage.saveAttachment ? await storage.saveAttachment(data, { filename, contentType }) : null;
+}
+
+/** A file kept by saveAttachment(): { filename, contentType, data }, or null. */
+export async function getAttachment(id) {
+  return storage.getAttachment ? await storage.getAttachment(id) : null;
+}
+
+/** Requests, retries and 429s since the server started, and which backend. */
+export function getAirtableMetrics() {
+  return { backend: storage.name, ...storage.getMetrics() };
+}
+
+/**
+ * Check the field mapping against the base (see airtableSchema.js) and keep
+ * the result. Never throws.
+ */
+export async function checkAirtableFields() {
+  return await checkFieldMapping(fieldSpecs());
+}
+
+/** The last field check's result, as reported on /api/health. */
+export function getAirtableFieldCheck() {
+  return getFieldCheck();
+}
+
+/** Why record writes are refused right now, or null. */
+export async function airtableWriteBlock() {
+  return await writeBlockReason(fieldSpecs());
 }
 
+/** Default scale's sizes. Use getRecordSizes() when writing a specific record. */
 export function getSizes() {
   return sizes;
 }
 
-/** Find all Airtable records linked to a given Shopify Product GID. */
-export async function listRecordsByShopifyGid(gid) {
-  const formula = `{${SHOPIFY_PRODUCT_GID_FIELD}}="${escapeQuotes(gid)}"`;
+/**
+ * Sizes of the scale a record declares — the Buy_/Ship_/Rec_ fields it owns.
+ * Costs a read when SIZE_SCALE_FIELD is set; with the record already loaded,
+ * use sizesForRecord().
+ */
+export async function getRecordSizes(id) {
+  if (!SIZE_SCALE_FIELD) return sizes;
+  return sizesForRecord(await getRecord(id));
+}
 
-  const params = new URLSearchParams();
-  params.set("filterByFormula", formula);
-  params.append("fields[]", PO_FIELD);
-  params.append("fields[]", SHIP_DATE_FIELD);
-  for (const f of LABEL_FIELDS) params.append("fields[]", f);
+/** getRecordSizes() for a record already fetched ({ id, fields }). */
+export function sizesForRecord(record) {
+  return recordSizeScale(record?.fields).sizes;
+}
 
-  const url = `${BASE}/${baseId}/${encodeURIComponent(table)}?${params.toString()}`;
-  const res = await fetch(url, { headers: headers() });
-  if (!res.ok) throw new Error(`Airtable GID lookup failed (${res.status}): ${await res.text()}`);
+/** Find all Airtable records linked to a given Shopify Product GID. */
+export async function listRecordsByShopifyGid(gid) {
+  const fields = [PO_FIELD, SHIP_DATE_FIELD, ...(SHOPIFY_COLOR_FIELD ? [SHOPIFY_COLOR_FIELD] : []), ...LABEL_FIELDS];
+  const records = await storage.list({ filter: { field: SHOPIFY_PRODUCT_GID_FIELD, op: "eq", value: gid }, fields });
+  return records.map((r) => ({
+    id: r.id,
+    po: r.fields?.[PO_FIELD] || "",
+    label: buildLabel(r.fields || {}),
+    shipDate: r.fields?.[SHIP_DATE_FIELD] || null,
+    shopifyColor: SHOPIFY_COLOR_FIELD ? String(r.fields?.[SHOPIFY_COLOR_FIELD] ?? "").trim() : null
+  }));
+}
 
-  const data = await res.json();
-  return (data.records || []).map((r) => ({
+/** Every record linked to a Shopify product (GID field not blank). */
+export async function listLinkedShopifyRecords() {
+  const records = await storage.list({
+    filter: { field: SHOPIFY_PRODUCT_GID_FIELD, op: "notBlank" },
+    fields: [PO_FIELD, SHOPIFY_PRODUCT_GID_FIELD, ...LABEL_FIELDS]
+  });
+  return records.map((r) => ({
     id: r.id,
     po: r.fields?.[PO_FIELD] || "",
     label: buildLabel(r.fields || {}),
-    shipDate: r.fields?.[SHIP_DATE_FIELD] || null
+    shopifyProductGid: String(r.fields?.[SHOPIFY_PRODUCT_GID_FIELD] || "").trim()
   }));
 }
 
-/** List all invoicing records (shipped). Handles Airtable pagination. */
+/** List all invoicing records (shipped). */
 export async function listInvoicingRecords() {
   // Fetch all records that have an invoice amount (i.e. shipped units > 0)
-  const formula = `{${INVOICE_AMOUNT_FIELD}}>0`;
-
   const fields = [
     PO_FIELD, PRODUCT_FIELD, ATTACH_FIELD, UNIT_COST_FIELD, SHIP_DATE_FIELD, DELIVERY_FIELD,
     TRACKING_NUMBER_FIELD, PAID_FIELD, CREDIT_AMOUNT_FIELD, INVOICE_AMOUNT_FIELD,
     FINAL_COST_FIELD, BALANCE_FIELD, SHORTAGE_ADJUSTMENT_FIELD, VENDOR_FIELD, ISSUES_FIELD,
-    ...sizes.flatMap((s) => [`Buy_${s}`, `Ship_${s}`, `Rec_${s}`])
+    ...(SIZE_SCALE_FIELD ? [SIZE_SCALE_FIELD] : []),
+    ...fieldSizes.flatMap((s) => [`Buy_${s}`, `Ship_${s}`, `Rec_${s}`])
   ];
 
-  let allRecords = [];
-  let offset = null;
-
-  do {
-    const params = new URLSearchParams();
-    params.set("filterByFormula", formula);
-    for (const f of fields) params.append("fields[]", f);
-    if (offset) params.set("offset", offset);
-
-    const url = `${BASE}/${baseId}/${encodeURIComponent(table)}?${params.toString()}`;
-    const res = await fetch(url, { headers: headers() });
-    if (!res.ok) throw new Error(`Airtable list failed (${res.status}): ${await res.text()}`);
-
-    const data = await res.json();
-    offset = data.offset || null;
-
-    for (const r of data.records || []) {
-      const f = r.fields || {};
-      const buy = {}, ship = {}, rec = {};
-      for (const s of sizes) {
-        buy[s] = Number(f[`Buy_${s}`] ?? 0);
-        ship[s] = Number(f[`Ship_${s}`] ?? 0);
-        rec[s] = Number(f[`Rec_${s}`] ?? 0);
-      }
-      const buyUnits = sizes.reduce((sum, s) => sum + buy[s], 0);
-      const shipUnits = sizes.reduce((sum, s) => sum + ship[s], 0);
-      const recUnits = sizes.reduce((sum, s) => sum + rec[s], 0);
-      const vendorRaw = f[VENDOR_FIELD];
-      const vendor = Array.isArray(vendorRaw) ? vendorRaw.join(", ") : String(vendorRaw || "");
-      const issuesRaw = f[ISSUES_FIELD];
-      const issues = Array.isArray(issuesRaw) ? issuesRaw.join(", ") : (issuesRaw ? String(issuesRaw) : "");
-      const productName = f[PRODUCT_FIELD] || "";
-      allRecords.push({
-        id: r.id,
-        po: f[PO_FIELD] || "",
-        label: productName || "(Untitled)",
-        vendor,
-        imageUrl: pickAttachmentUrl(f[ATTACH_FIELD]),
-        unitCost: Number(f[UNIT_COST_FIELD] ?? 0),
-        shipDate: f[SHIP_DATE_FIELD] ?? null,
-        delivery: f[DELIVERY_FIELD] ?? null,
-        trackingNumber: f[TRACKING_NUMBER_FIELD] ?? "",
-        paid: Number(f[PAID_FIELD] ?? 0),
-        creditAmount: Number(f[CREDIT_AMOUNT_FIELD] ?? 0),
-        shortageAdjustment: Number(f[SHORTAGE_ADJUSTMENT_FIELD] ?? 0),
-        invoiceAmount: Number(f[INVOICE_AMOUNT_FIELD] ?? 0),
-        finalCost: Number(f[FINAL_COST_FIELD] ?? 0),
-        balance: Number(f[BALANCE_FIELD] ?? 0),
-        issues,
-        buyUnits, shipUnits, recUnits,
-        buy, ship, rec
-      });
+  const allRecords = [];
+  for (const r of await storage.list({ filter: { field: INVOICE_AMOUNT_FIELD, op: "gt", value: 0 }, fields })) {
+    const f = r.fields || {};
+    const scale = recordSizeScale(f);
+    // Keyed by every size so mixed-scale rows line up in one table; sizes
+    // outside the record's scale are 0.
+    const buy = {}, ship = {}, rec = {};
+    for (const s of fieldSizes) {
+      const own = scale.sizes.includes(s);
+      buy[s] = own ? Number(f[`Buy_${s}`] ?? 0) : 0;
+      ship[s] = own ? Number(f[`Ship_${s}`] ?? 0) : 0;
+      rec[s] = own ? Number(f[`Rec_${s}`] ?? 0) : 0;
     }
-  } while (offset);
+    const buyUnits = scale.sizes.reduce((sum, s) => sum + buy[s], 0);
+    const shipUnits = scale.sizes.reduce((sum, s) => sum + ship[s], 0);
+    const recUnits = scale.sizes.reduce((sum, s) => sum + rec[s], 0);
+    const vendor = joinValue(f[VENDOR_FIELD]);
+    const issuesRaw = f[ISSUES_FIELD];
+    const issues = Array.isArray(issuesRaw) ? issuesRaw.join(", ") : (issuesRaw ? String(issuesRaw) : "");
+    const productName = f[PRODUCT_FIELD] || "";
+    allRecords.push({
+      id: r.id,
+      po: f[PO_FIELD] || "",
+      label: productName || "(Untitled)",
+      vendor,
+      imageUrl: pickAttachmentUrl(f[ATTACH_FIELD]),
+      unitCost: Number(f[UNIT_COST_FIELD] ?? 0),
+      shipDate: f[SHIP_DATE_FIELD] ?? null,
+      delivery: f[DELIVERY_FIELD] ?? null,
+      trackingNumber: f[TRACKING_NUMBER_FIELD] ?? "",
+      paid: Number(f[PAID_FIELD] ?? 0),
+      creditAmount: Number(f[CREDIT_AMOUNT_FIELD] ?? 0),
+      shortageAdjustment: Number(f[SHORTAGE_ADJUSTMENT_FIELD] ?? 0),
+      invoiceAmount: Number(f[INVOICE_AMOUNT_FIELD] ?? 0),
+      finalCost: Number(f[FINAL_COST_FIELD] ?? 0),
+      balance: Number(f[BALANCE_FIELD] ?? 0),
+      issues,
+      sizeScale: scale.id,
+      buyUnits, shipUnits, recUnits,
+      buy, ship, rec
+    });
+  }
 
-  return { sizes, records: allRecords };
+  // Only the sizes some record actually uses, in scale order.
+  const usedSizes = fieldSizes.filter((s) => allRecords.some((r) => r.buy[s] || r.ship[s] || r.rec[s]));
+  return { sizes: usedSizes.length ? usedSizes : sizes, records: allRecords };
 }
 
 export const AIRTABLE_FIELDS = {
@@ -272,6 +396,7 @@ export const AIRTABLE_FIELDS = {
   ALLOC_FIELD,
   SCAN_FIELD,
   SHOPIFY_PRODUCT_GID_FIELD,
+  SHOPIFY_COLOR_FIELD,
   OFFICE_SENT_FIELD,
   OFFICE_SAMPLE_PHOTO_FIELD,
   TRACKING_NUMBER_FIELD,
@@ -0,0 +1,163 @@
+// server/airtableClient.js
+//
+// Airtable REST client shared by everything in airtable.js.
+//
+//   - requests go out one at a time, at most AIRTABLE_MAX_RPS (default 5, the
+//     per-base limit) per second
+//   - 429s are retried with exponential backoff + jitter, honouring
+//     Retry-After (Airtable asks for 30s once the limit trips). 5xx and
+//     network failures are retried for reads only, since a PATCH may have
+//     landed.
+//   - listAll() follows `offset` until every page is read
+//   - updateRecords() PATCHes 10 records per request (Airtable's maximum) and
+//     reports each record's outcome; a batch Airtable refuses as a whole
+//     (one bad record fails all ten) is retried record by record so only the
+//     bad ones are reported
+//
+// fetch / sleep are injectable, like shopifyClient.js.
+
+const BATCH_SIZE = 10;
+
+function defaultSleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Error carrying the HTTP status Airtable answered with.
+function airtableError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+export function createAirtableClient({
+  baseUrl = "https://api.airtable.com/v0",
+  getToken,
+  getBaseId,
+  fetch: fetchImpl = globalThis.fetch,
+  sleep = defaultSleep,
+  random = Math.random,
+  maxRetries = 5,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  maxRequestsPerSecond = 5
+}) {
+  const metrics = { calls: 0, retries: 0, rateLimited: 0, failures: 0 };
+  const minIntervalMs = Math.ceil(1000 / Math.max(1, maxRequestsPerSecond));
+  let lastSentAt = 0;
+  let queue = Promise.resolve();
+
+  function backoff(attempt) {
+    const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return Math.round(cap / 2 + random() * (cap / 2));
+  }
+
+  async function send(method, path, { query, body, meta = false } = {}) {
+    const isRead = method === "GET";
+    for (let attempt = 0; ; attempt++) {
+      const spacing = lastSentAt + minIntervalMs - Date.now();
+      if (spacing > 0) await sleep(spacing);
+
+      const token = getToken();
+      const baseId = getBaseId();
+      if (!token) throw new Error("Missing AIRTABLE_TOKEN");
+      if (!baseId) throw new Error("Missing AIRTABLE_BASE_ID");
+      const qs = query ? `?${query.toString()}` : "";
+      // Metadata API paths live under /meta/bases/{baseId}/
+      const url = meta ? `${baseUrl}/meta/bases/${baseId}/${path}${qs}` : `${baseUrl}/${baseId}/${path}${qs}`;
+
+      metrics.calls++;
+      lastSentAt = Date.now();
+      let res;
+      try {
+        res = await fetchImpl(url, {
+          method,
+          headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+          body: body === undefined ? undefined : JSON.stringify(body)
+        });
+      } catch (e) {
+        if (!isRead || attempt >= maxRetries) {
+          metrics.failures++;
+          throw e;
+        }
+        metrics.retries++;
+        await sleep(backoff(attempt));
+        continue;
+      }
+
+      const retry = res.status === 429 || (isRead && res.status >= 500);
+      if (res.ok || !retry || attempt >= maxRetries) {
+        if (!res.ok) {
+          metrics.failures++;
+          throw airtableError(`Airtable ${method} failed (${res.status}): ${await res.text()}`, res.status);
+        }
+        return await res.json();
+      }
+
+      if (res.status === 429) metrics.rateLimited++;
+      metrics.retries++;
+      const retryAfter = Number(res.headers?.get?.("Retry-After"));
+      await sleep(Math.max(Number.isFinite(retryAfter) ? retryAfter * 1000 : 0, backoff(attempt)));
+    }
+  }
+
+  /**
+   * Send one request; resolves the parsed JSON or throws (err.status = HTTP
+   * status). `meta: true` sends it to the metadata API instead (e.g. "tables").
+   */
+  function request(method, path, options) {
+    const run = queue.then(() => send(method, path, options));
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  /** Every record of a list query, following `offset` across pages. */
+  async function listAll(table, params) {
+    const records = [];
+    let offset = null;
+    do {
+      const query = new URLSearchParams(params);
+      if (offset) query.set("offset", offset);
+      const data = await request("GET", encodeURIComponent(table), { query });
+      records.push(...(data.records || []));
+      offset = data.offset || null;
+    } while (offset);
+    return records;
+  }
+
+  /**
+   * PATCH [{ id, fields }] in batches of 10. Never throws for a record:
+   * resolves [{ id, ok, record }] / [{ id, ok: false, error }] in input order.
+   */
+  async function updateRecords(table, updates) {
+    const results = [];
+    for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+      const batch = updates.slice(i, i + BATCH_SIZE);
+      try {
+        const data = await request("PATCH", encodeURIComponent(table), { body: { records: batch } });
+        const byId = new Map((data.records || []).map((r) => [r.id, r]));
+        for (const u of batch) results.push({ id: u.id, ok: byId.has(u.id), record: byId.get(u.id) || null });
+      } catch (e) {
+        // A rejected batch wrote nothing; find out which records were the problem.
+        if (batch.length === 1 || !e.status || e.status === 429) {
+          for (const u of batch) results.push({ id: u.id, ok: false, error: e.message });
+          continue;
+        }
+        for (const u of batch) {
+          try {
+            const record = await request("PATCH", `${encodeURIComponent(table)}/${u.id}`, { body: { fields: u.fields } });
+            results.push({ id: u.id, ok: true, record });
+          } catch (err) {
+            results.push({ id: u.id, ok: false, error: err.message });
+          }
+        }
+      }
+    }
+    return results;
+  }
+
+  function getMetrics() {
+    return { ...metrics };
+  }
+
+  return { request, listAll, updateRecords, getMetrics };
+}
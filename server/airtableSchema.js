@@ -0,0 +1,140 @@
+// server/airtableSchema.js
+//
+// Checks the field mapping in airtable.js — the AIRTABLE_*_FIELD settings and
+// the Buy_/Ship_/Rec_ field of every size — against the fields the table
+// actually has, so a renamed or retyped field shows up on /api/health rather
+// than as a 422 halfway through a closeout.
+//
+// The table's fields come from AIRTABLE_SCHEMA_PATH when it's set (a saved
+// copy of the metadata API's answer, { tables: [...] }, or one table
+// { name, fields }), for tokens without schema.bases:read or to check a
+// SQLite copy; otherwise from the metadata API. On SQLite without a schema
+// file there's nothing to check against and the result is "skipped".
+//
+// A required field (see fieldSpecs() in airtable.js) that's missing or can't
+// hold what's written to it blocks record writes until a re-check passes —
+// see writeBlockReason(). Anything else is only reported. A check that can't
+// run at all blocks nothing.
+import fs from "fs";
+import { storage } from "./storage/index.js";
+
+// Airtable field types each kind of field can be. Computed types only count
+// for fields the app just reads.
+const COMPUTED = ["formula", "rollup", "multipleLookupValues", "lookup", "count", "autoNumber"];
+const FIELD_TYPES = {
+  text: {
+    write: ["singleLineText", "multilineText", "richText"],
+    read: ["singleSelect", "multipleSelects", "multipleRecordLinks", "email", "url", "phoneNumber", "barcode", "number", ...COMPUTED]
+  },
+  number: { write: ["number", "currency", "percent"], read: COMPUTED },
+  // Dates are sent as YYYY-MM-DD strings, which a text field takes as well.
+  date: { write: ["date", "dateTime", "singleLineText"], read: ["createdTime", "lastModifiedTime", ...COMPUTED] },
+  attachment: { write: ["multipleAttachments"], read: ["multipleLookupValues", "lookup"] }
+};
+
+// Re-check at most this often while writes are blocked, so fixing the base
+// unblocks them without a restart.
+const BLOCKED_RECHECK_MS = 60 * 1000;
+
+let lastCheck = { status: "pending", checkedAt: null };
+let running = null;
+
+function compatibleTypes(spec) {
+  const t = FIELD_TYPES[spec.kind];
+  if (!t) return null; // any type
+  return spec.write ? t.write : [...t.write, ...t.read];
+}
+
+function readSchemaFile(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  const table = process.env.AIRTABLE_TABLE_NAME || "Products";
+  const t = Array.isArray(data.tables) ? data.tables.find((x) => x.name === table || x.id === table) : data;
+  if (!t || !Array.isArray(t.fields)) throw new Error(`Table "${table}" not found in ${file}`);
+  return { name: t.name || table, fields: t.fields.map((f) => ({ name: f.name, type: f.type })) };
+}
+
+async function loadTable() {
+  const file = process.env.AIRTABLE_SCHEMA_PATH;
+  if (file) return { source: "file", table: readSchemaFile(file) };
+  if (!storage.describeTable) return { source: null, table: null };
+  return { source: "metadata-api", table: await storage.describeTable() };
+}
+
+/**
+ * Compare field specs ([{ name, setting, kind, write, required }]) with a
+ * table's fields ([{ name, type }]).
+ * -> { missing: [{ name, setting, required }], incompatible: [{ name, setting, type, expected, required }] }
+ */
+export function compareFields(specs, fields) {
+  const byName = new Map(fields.map((f) => [f.name, f]));
+  const missing = [];
+  const incompatible = [];
+  for (const spec of specs) {
+    const field = byName.get(spec.name);
+    if (!field) {
+      missing.push({ name: spec.name, setting: spec.setting, required: !!spec.required });
+      continue;
+    }
+    const expected = compatibleTypes(spec);
+    if (expected && !expected.includes(field.type)) {
+      incompatible.push({ name: spec.name, setting: spec.setting, type: field.type, expected, required: !!spec.required });
+    }
+  }
+  return { missing, incompatible };
+}
+
+/**
+ * Run the check for `specs` and keep the result (one check at a time).
+ * Never throws; a schema that can't be read gives status "error".
+ */
+export function checkFieldMapping(specs) {
+  if (running) return running;
+  running = (async () => {
+    const checkedAt = new Date().toISOString();
+    try {
+      const { source, table } = await loadTable();
+      if (!table) {
+        lastCheck = { status: "skipped", checkedAt, source, reason: `No schema to check against on the ${storage.name} backend (set AIRTABLE_SCHEMA_PATH)` };
+      } else {
+        const { missing, incompatible } = compareFields(specs, table.fields);
+        const blocking = [...missing, ...incompatible].filter((f) => f.required);
+        lastCheck = {
+          status: missing.length || incompatible.length ? "problems" : "ok",
+          checkedAt,
+          source,
+          table: table.name,
+          checked: specs.length,
+          missing,
+          incompatible,
+          writesBlocked: blocking.length > 0
+        };
+      }
+    } catch (e) {
+      lastCheck = { status: "error", checkedAt, error: e.message };
+    }
+    return lastCheck;
+  })().finally(() => {
+    running = null;
+  });
+  return running;
+}
+
+/** The last check's result ({ status: "pending" } before the first one finishes). */
+export function getFieldCheck() {
+  return lastCheck;
+}
+
+/**
+ * Why record writes are refused, or null if they aren't. While they are, a
+ * call re-runs the check (at most once a minute) with `specs` and answers
+ * from the fresh result.
+ */
+export async function writeBlockReason(specs) {
+  if (!lastCheck.writesBlocked) return null;
+  if (Date.now() - Date.parse(lastCheck.checkedAt) > BLOCKED_RECHECK_MS) await checkFieldMapping(specs);
+  if (!lastCheck.writesBlocked) return null;
+  const names = [...lastCheck.missing, ...lastCheck.incompatible]
+    .filter((f) => f.required)
+    .map((f) => `"${f.name}" (${f.setting}${f.type ? `, is ${f.type}` : ", missing"})`);
+  return `Record writes are disabled until the Airtable field mapping is fixed: ${names.join(", ")}. See /api/health.`;
+}
@@ -0,0 +1,154 @@
+// server/allocationRules.js
+//
+// Versioned allocation rule sets (pack sequence, pack compositions, store
+// order, Office sample rule), persisted to a local JSON file so buyers can
+// change the store rotation without a code deploy.
+//
+// The built-in defaults live in client/src/allocationEngine.js. A rule set
+// with id "default" saved here overrides them; any other rule set applies to
+// the vendors / categories listed in its scope.
+import fs from "fs";
+import path from "path";
+
+const MAX_HISTORY = 50;
+const OVERFLOW_MODES = ["cycle", "ratio", "sink"];
+
+function rulesPath() {
+  return process.env.ALLOCATION_RULES_PATH || path.join(process.cwd(), "allocation_rules.json");
+}
+
+function loadStore() {
+  try {
+    const p = rulesPath();
+    if (!fs.existsSync(p)) return { ruleSets: [] };
+    const json = JSON.parse(fs.readFileSync(p, "utf8"));
+    return { ruleSets: Array.isArray(json?.ruleSets) ? json.ruleSets : [] };
+  } catch (e) {
+    console.error("[allocation-rules] Could not read rule store:", e.message);
+    return { ruleSets: [] };
+  }
+}
+
+function saveStore(store) {
+  const p = rulesPath();
+  const dir = path.dirname(p);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(p, JSON.stringify(store, null, 2));
+}
+
+function cleanList(v) {
+  if (!Array.isArray(v)) return [];
+  return v.map((s) => String(s ?? "").trim()).filter(Boolean);
+}
+
+function cleanPack(v) {
+  const out = {};
+  for (const [size, qty] of Object.entries(v || {})) {
+    const n = Math.floor(Number(qty));
+    if (String(size).trim() && Number.isFinite(n) && n > 0) out[String(size).trim()] = n;
+  }
+  return out;
+}
+
+function cleanRatio(v) {
+  const out = {};
+  for (const [loc, w] of Object.entries(v || {})) {
+    const n = Number(w);
+    if (String(loc).trim() && Number.isFinite(n) && n > 0) out[String(loc).trim()] = n;
+  }
+  return out;
+}
+
+/** Validate + normalize a rules object. Throws with a user-facing message. */
+export function normalizeRules(rules) {
+  if (!rules || typeof rules !== "object") throw new Error("rules must be an object");
+
+  const packSequence = cleanList(rules.packSequence);
+  if (!packSequence.length) throw new Error("packSequence must list at least one location");
+
+  const packNoXxs = cleanPack(rules.packNoXxs);
+  const packWithXxs = cleanPack(rules.packWithXxs);
+  if (!Object.keys(packNoXxs).length) throw new Error("packNoXxs must contain at least one size");
+  if (!Object.keys(packWithXxs).length) throw new Error("packWithXxs must contain at least one size");
+
+  const allocationOrder = cleanList(rules.allocationOrder);
+  if (!allocationOrder.length) throw new Error("allocationOrder must list at least one location");
+
+  const mode = rules.overflow?.mode || "cycle";
+  if (!OVERFLOW_MODES.includes(mode)) throw new Error(`overflow.mode must be one of ${OVERFLOW_MODES.join(", ")}`);
+
+  return {
+    packSequence,
+    packNoXxs,
+    packWithXxs,
+    allocationOrder,
+    removalOrder: cleanList(rules.removalOrder),
+    officeSample: cleanPack(rules.officeSample),
+    officeSampleSource: String(rules.officeSampleSource || "").trim(),
+    scalePacks: Object.fromEntries(
+      Object.entries(rules.scalePacks || {})
+        .map(([scale, pack]) => [String(scale).trim(), cleanPack(pack)])
+        .filter(([scale, pack]) => scale && Object.keys(pack).length)
+    ),
+    overflow: { mode, ratio: cleanRatio(rules.overflow?.ratio) }
+  };
+}
+
+/** All saved rule sets, without their version history. */
+export function listRuleSets() {
+  return loadStore().ruleSets.map(({ history, ...rest }) => rest);
+}
+
+/** One rule set including its history (newest first), or null. */
+export function getRuleSet(id) {
+  return loadStore().ruleSets.find((r) => r.id === id) || null;
+}
+
+/**
+ * Create or update a rule set. Every save bumps the version and keeps the
+ * previous version in history so a saved Alloc_JSON can be traced back.
+ */
+export function saveRuleSet(id, { name, vendors, categories, rules }, username) {
+  const safeId = String(id || "").trim();
+  if (!/^[a-z0-9][a-z0-9_-]*$/i.test(safeId)) throw new Error("Rule set id may only contain letters, numbers, - and _");
+
+  const store = loadStore();
+  const normalized = normalizeRules(rules);
+  const now = new Date().toISOString();
+  const idx = store.ruleSets.findIndex((r) => r.id === safeId);
+  const prev = idx >= 0 ? store.ruleSets[idx] : null;
+
+  const history = prev
+    ? [{ version: prev.version, rules: prev.rules, vendors: prev.vendors, categories: prev.categories, updatedAt: prev.updatedAt, updatedBy: prev.updatedBy }, ...(prev.history || [])].slice(0, MAX_HISTORY)
+    : [];
+
+  const next = {
+    id: safeId,
+    name: String(name || prev?.name || safeId).trim(),
+    // The default rule set applies to everything, so it never carries a scope.
+    vendors: safeId === "default" ? [] : cleanList(vendors),
+    categories: safeId === "default" ? [] : cleanList(categories),
+    version: (prev?.version || 0) + 1,
+    rules: normalized,
+    updatedAt: now,
+    updatedBy: username || "unknown",
+    history
+  };
+
+  if (idx >= 0) store.ruleSets[idx] = next;
+  else store.ruleSets.push(next);
+  saveStore(store);
+
+  const { history: _h, ...rest } = next;
+  return rest;
+}
+
+export function deleteRuleSet(id) {
+  if (id === "default") throw new Error("The default rule set cannot be deleted");
+  const store = loadStore();
+  const before = store.ruleSets.length;
+  store.ruleSets = store.ruleSets.filter((r) => r.id !== id);
+  if (store.ruleSets.length === before) return false;
+  saveStore(store);
+  return true;
+}
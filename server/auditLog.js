@@ -0,0 +1,173 @@
+// server/auditLog.js
+//
+// Append-only log of every inventory adjustment sent to Shopify. One JSON
+// line per change (location × inventory item) in a local JSONL file
+// (AUDIT_LOG_PATH), so store counts can be reconciled against what the app
+// actually pushed:
+//
+//   { at, user, action, mode, shop, recordId, po, product, location, locationId,
+//     inventoryItemId, size, delta, compareQuantity, reason, adjustmentGroupId,
+//     submissionId, reverses, outcome, error }
+//
+// `mode` is "adjust" (relative delta) or "set" (absolute set guarded by
+// compareQuantity). `outcome` is "ok", "stale" (a set refused because Shopify
+// changed since it was read) or "failed". Entries are never edited or removed.
+// `shop` is null on entries from before multi-shop (= the default shop).
+// `submissionId` is the closeout's idempotency key (null for other actions and
+// older entries), so a retry can tell Shopify already took it. `reverses` on a
+// void's entries names the closeout receipts it reversed (null otherwise).
+import fs from "fs";
+import path from "path";
+import { listShops } from "./shops.js";
+
+function logPath() {
+  return process.env.AUDIT_LOG_PATH || path.join(process.cwd(), "audit_log.jsonl");
+}
+
+function readLog() {
+  const p = logPath();
+  if (!fs.existsSync(p)) return [];
+  const entries = [];
+  for (const line of fs.readFileSync(p, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {}
+  }
+  return entries;
+}
+
+// Net units the app has posted per shop × inventory item × location (ok
+// entries only, so a void cancels its closeout), for checking Shopify's
+// levels against. Built from the log on first use, then kept current.
+let posted = null; // `${shop}|${inventoryItemId}|${locationId}` -> { units, lastAt }
+
+function postedKey(shop, inventoryItemId, locationId) {
+  return `${shop || listShops()[0] || ""}|${inventoryItemId}|${locationId}`;
+}
+
+function addPosted(e) {
+  const key = postedKey(e.shop, e.inventoryItemId, e.locationId);
+  const prev = posted.get(key) || { units: 0, lastAt: null };
+  posted.set(key, { units: prev.units + Number(e.delta || 0), lastAt: e.at > (prev.lastAt || "") ? e.at : prev.lastAt });
+}
+
+function postedIndex() {
+  if (!posted) {
+    posted = new Map();
+    for (const e of readLog()) if (e.outcome === "ok") addPosted(e);
+  }
+  return posted;
+}
+
+/** { units, lastAt } the app has posted to this item × location, or null if never. */
+export function getPostedUnits(shop, inventoryItemId, locationId) {
+  return postedIndex().get(postedKey(shop, inventoryItemId, locationId)) || null;
+}
+
+/** Successful entries for exactly this PO (case-insensitive), oldest first. */
+export function listPostedForPo(po) {
+  const q = String(po || "").trim().toLowerCase();
+  if (!q) return [];
+  return readLog()
+    .filter((e) => e.outcome === "ok" && String(e.po || "").trim().toLowerCase() === q)
+    .map((e) => ({ ...e, shop: e.shop || listShops()[0] || null }));
+}
+
+/** Receipt refs the record's successful voids have reversed. */
+export function listReversedReceipts(recordId) {
+  const refs = new Set();
+  if (!recordId) return refs;
+  for (const e of readLog()) {
+    if (e.outcome === "ok" && e.recordId === recordId && e.action === "closeout-void") for (const r of e.reverses || []) refs.add(r);
+  }
+  return refs;
+}
+
+/** Successful entries a record's `action` posted for one submission id, oldest first. */
+export function listPostedForSubmission(recordId, action, submissionId) {
+  if (!recordId || !submissionId) return [];
+  return readLog().filter((e) => e.outcome === "ok" && e.recordId === recordId && e.action === action && e.submissionId === submissionId);
+}
+
+function firstError(result) {
+  const e = result?.errors?.[0];
+  if (!e) return null;
+  if (e.message) return e.message;
+  const msgs = [...(e.userErrors || []), ...(e.errors || [])].map((x) => x?.message).filter(Boolean);
+  return msgs.join("; ") || `Shopify responded ${e.status ?? result.status ?? "with an error"}`;
+}
+
+/**
+ * Record one adjustInventoryQuantities / setInventoryQuantities call.
+ * `changes` are the changes that were sent (extra `location` / `size` keys are
+ * kept for the log); `result` is what the call returned, or { ok: false, error }
+ * when it threw. Never throws — by the time we log, Shopify has already been
+ * called — but returns false when the entries couldn't be written.
+ */
+export function recordInventoryAdjustment({ user, action, mode = "adjust", shop, recordId, po, product, reason, submissionId, reverses, changes, result }) {
+  if (!Array.isArray(changes) || !changes.length) return true;
+  try {
+    const at = new Date().toISOString();
+    const outcome = result?.ok ? "ok" : result?.stale ? "stale" : "failed";
+    const error = result?.ok ? null : result?.error || firstError(result);
+    const entries = changes.map((c) => ({
+      at,
+      user: user || "unknown",
+      action,
+      mode,
+      shop: shop || null,
+      recordId: recordId || null,
+      po: po || "",
+      product: product || "",
+      location: c.location || null,
+      locationId: c.locationId,
+      inventoryItemId: c.inventoryItemId,
+      size: c.size || null,
+      delta: Number(c.delta || 0),
+      compareQuantity: c.compareQuantity ?? null,
+      reason: reason || null,
+      adjustmentGroupId: result?.adjustmentGroupId || null,
+      submissionId: submissionId || null,
+      reverses: reverses || null,
+      outcome,
+      error
+    }));
+
+    const p = logPath();
+    const dir = path.dirname(p);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.appendFileSync(p, entries.map((e) => JSON.stringify(e)).join("\n") + "\n");
+    if (posted && outcome === "ok") entries.forEach(addPosted);
+    return true;
+  } catch (e) {
+    console.error("[audit] Could not write audit log:", e.message);
+    return false;
+  }
+}
+
+/**
+ * Search the log, newest first. `po` and `product` are case-insensitive
+ * substring matches; `from` / `to` are dates (YYYY-MM-DD, inclusive) or ISO
+ * timestamps.
+ */
+export function searchAuditLog({ po, product, from, to, limit = 500 } = {}) {
+  const poQ = String(po || "").trim().toLowerCase();
+  const productQ = String(product || "").trim().toLowerCase();
+  const fromQ = from ? String(from) : "";
+  // A bare date as the upper bound means "through the end of that day".
+  const toQ = to ? (/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : String(to)) : "";
+
+  const matches = [];
+  for (const e of readLog()) {
+    if (poQ && !String(e.po || "").toLowerCase().includes(poQ)) continue;
+    if (productQ && !String(e.product || "").toLowerCase().includes(productQ)) continue;
+    if (fromQ && String(e.at) < fromQ) continue;
+    if (toQ && String(e.at) > toQ) continue;
+    matches.push(e);
+  }
+
+  matches.reverse();
+  const max = Math.max(1, Math.min(Number(limit) || 500, 5000));
+  return { entries: matches.slice(0, max), total: matches.length };
+}
@@ -0,0 +1,96 @@
+// server/catalogAudit.js
+//
+// Whole-catalog barcode audit, built from a Shopify bulk export so problems
+// show up before a scan fails in receiving:
+//
+//   - missingBarcodes:  variants with an empty barcode (can't be scanned)
+//   - duplicateBarcodes: barcodes on more than one variant (a scan can land
+//     on the wrong product / size)
+//   - missingSize:      variants with no size option — none named in
+//     SHOPIFY_SIZE_OPTION_NAMES, plain or combined (closeout can't map their
+//     units to a size)
+//   - missingProducts:  Airtable records whose Shopify_Product_GID points at a
+//     product that no longer exists
+//
+// An audit covers one shop (`shop` on the report). The latest report is
+// persisted to a local JSON file (CATALOG_AUDIT_PATH).
+import fs from "fs";
+import path from "path";
+
+function storePath() {
+  return process.env.CATALOG_AUDIT_PATH || path.join(process.cwd(), "catalog_audit.json");
+}
+
+export function getCatalogAudit() {
+  try {
+    const p = storePath();
+    if (!fs.existsSync(p)) return null;
+    return JSON.parse(fs.readFileSync(p, "utf8"));
+  } catch (e) {
+    console.error("[catalog-audit] Could not read report:", e.message);
+    return null;
+  }
+}
+
+function saveCatalogAudit(report) {
+  const p = storePath();
+  const dir = path.dirname(p);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(p, JSON.stringify(report, null, 2));
+}
+
+function variantRow(product, v) {
+  return {
+    productId: product.productId,
+    productTitle: product.title,
+    variantId: v.variantId,
+    variantTitle: v.title || "",
+    sku: v.sku || "",
+    barcode: v.barcode || ""
+  };
+}
+
+/**
+ * Build and save the report. `products` come from exportAllProductVariants,
+ * `linkedRecords` from listLinkedShopifyRecords (those targeting `shop`).
+ */
+export function runCatalogAudit({ products, linkedRecords, shop }, username) {
+  const missingBarcodes = [];
+  const missingSize = [];
+  const byBarcode = new Map();
+  let variantCount = 0;
+
+  for (const product of products || []) {
+    for (const v of product.variants || []) {
+      variantCount++;
+      const barcode = String(v.barcode || "").trim();
+      if (!barcode) missingBarcodes.push(variantRow(product, v));
+      else byBarcode.set(barcode, [...(byBarcode.get(barcode) || []), variantRow(product, v)]);
+      if (!v.sizeValue) missingSize.push({ ...variantRow(product, v), options: (v.options || []).map((o) => o.name) });
+    }
+  }
+
+  const duplicateBarcodes = [...byBarcode.entries()]
+    .filter(([, variants]) => variants.length > 1)
+    .map(([barcode, variants]) => ({ barcode, variants }));
+
+  const productIds = new Set((products || []).map((p) => p.productId));
+  const missingProducts = (linkedRecords || [])
+    .filter((r) => r.shopifyProductGid && !productIds.has(r.shopifyProductGid))
+    .map((r) => ({ recordId: r.id, po: r.po, label: r.label, productId: r.shopifyProductGid }));
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    generatedBy: username || "unknown",
+    shop: shop || null,
+    productCount: (products || []).length,
+    variantCount,
+    linkedRecordCount: (linkedRecords || []).length,
+    missingBarcodes,
+    duplicateBarcodes,
+    missingSize,
+    missingProducts
+  };
+  saveCatalogAudit(report);
+  return report;
+}
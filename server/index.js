@@ -5,26 +5,144 @@ import cookieParser from "cookie-parser";
 import archiver from "archiver";
 import { PDFDocument } from "pdf-lib";
 
-import { listRecordsByPO, updateRecord, getSizes, AIRTABLE_FIELDS, listRecordsByShopifyGid, listInvoicingRecords, getRecord } from "./airtable.js";
 import {
-  getLocations,
+  listRecordsByPO,
+  updateRecord,
+  updateRecords,
+  getAirtableMetrics,
+  checkAirtableFields,
+  getAirtableFieldCheck,
+  airtableWriteBlock,
+  getRecordSizes,
+  sizesForRecord,
+  AIRTABLE_FIELDS,
+  listRecordsByShopifyGid,
+  listInvoicingRecords,
+  getRecord,
+  listLinkedShopifyRecords,
+  saveAttachment,
+  getAttachment
+} from "./airtable.js";
+import { docVersion, mergeDocs } from "./recordVersions.js";
+import { emptyScan, parseAlloc, parseScan, serializeAlloc, serializeScan, sizeTotals } from "../shared/scanSchema.js";
+import {
+  fetchShopifyLocations,
   lookupVariantByBarcode,
   fetchProductVariants,
   adjustInventoryQuantities,
-  searchProductsByTitle
+  setInventoryQuantities,
+  fetchInventoryLevels,
+  getShopifyMetrics,
+  searchProductsByTitle,
+  productFromWebhook,
+  exportAllProductVariants,
+  registerWebhooks,
+  variantsForColor,
+  fetchAccessScopes
 } from "./shopify.js";
+import { listShops, getDefaultShop, resolveShop, isKnownShop, normalizeShopDomain, getPoShop, setPoShop } from "./shops.js";
 
 import { buildCloseoutPdf, buildAllocationPdf, buildOfficeSamplesPdf, buildInvoicingPdf, buildBinLabelPdf } from "./pdf.js";
 
-import { buildAuthorizeUrl, exchangeCodeForToken, makeState } from "./shopifyAuth.js";
-import { setShopifyAccessToken, hasShopifyAccessToken, getShopifyAccessToken } from "./shopifyTokenStore.js";
+import { listRuleSets, getRuleSet, saveRuleSet, deleteRuleSet } from "./allocationRules.js";
+import {
+  getLocations,
+  getOfficeLocation,
+  getSinkLocation,
+  listLocationRegistry,
+  saveLocationRegistry,
+  syncLocationRegistry
+} from "./locationRegistry.js";
+import { listSizeScales, getSizeScale, getDefaultSizeScale, allScaleSizes, normalizeSizeValue } from "./sizeScales.js";
+import { getSellThrough, importSellThroughCsv, importSellThroughFromOrders } from "./sellThrough.js";
+import { recordInventoryAdjustment, searchAuditLog, getPostedUnits, listPostedForPo, listPostedForSubmission, listReversedReceipts } from "./auditLog.js";
+import { recordInventoryLevel, getInventoryLevel } from "./inventoryLevels.js";
+import {
+  getCachedProduct,
+  getCachedProductByBarcode,
+  putCachedProduct,
+  removeCachedProduct,
+  replaceCachedProducts,
+  getVariantCacheStatus
+} from "./variantCache.js";
+import { getCatalogAudit, runCatalogAudit } from "./catalogAudit.js";
+
+import {
+  buildAuthorizeUrl,
+  exchangeCodeForToken,
+  makeState,
+  verifyWebhookHmac,
+  verifyCallbackHmac,
+  isValidShopDomain,
+  missingScopes,
+  getRequiredScopes
+} from "./shopifyAuth.js";
+import { setShopifyAccessToken, hasShopifyAccessToken, getShopifyTokenInfo } from "./shopifyTokenStore.js";
 
-let OAUTH_STATE = null;
 
 const app = express();
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({
+    limit: "10mb",
+    // Webhook HMACs are computed over the exact bytes Shopify sent
+    verify: (req, _res, buf) => {
+      if (req.originalUrl.startsWith("/api/shopify/webhooks")) req.rawBody = buf;
+    }
+  })
+);
 app.use(cookieParser());
 
+// ---- Shopify shop per request ----
+// Shopify calls go to the shop in the X-Shopify-Shop header (the client sends
+// the loaded PO's shop), else a `shop` body / query field, else the default
+// SHOPIFY_SHOP. See shops.js.
+function requestShop(req) {
+  return resolveShop(req.get("X-Shopify-Shop") || req.body?.shop || req.query?.shop);
+}
+
+// Shop for a write that belongs to a PO: the PO's stored shop, decided here
+// rather than by the client, so a tab loaded before someone switched the PO
+// can't post to the old store. A request naming a different shop gets
+// { error } instead. Without a PO it falls back to requestShop().
+function poShop(req, po) {
+  if (!String(po || "").trim()) return { shop: requestShop(req) };
+  const shop = getPoShop(po) || requestShop(req);
+  const asked = req.get("X-Shopify-Shop") || req.body?.shop || req.query?.shop;
+  if (asked && normalizeShopDomain(asked) !== shop) {
+    return { error: `PO ${po} is now set to ${shop}, not ${normalizeShopDomain(asked)}. Reload the PO and try again.` };
+  }
+  return { shop };
+}
+
+// Naming a shop we aren't configured for is a bad request, not a server error.
+// The OAuth callback answers with its own error page.
+app.use("/api", (req, res, next) => {
+  if (req.path === "/shopify/callback") return next();
+  const shop = req.get("X-Shopify-Shop") || req.body?.shop || req.query?.shop;
+  if (shop && !isKnownShop(shop)) return res.status(400).json({ error: `Unknown Shopify shop "${shop}"` });
+  next();
+});
+
+// Location name -> Shopify location id in `shop`. The registry holds the
+// default shop's ids; another shop's locations are matched to registry
+// names by their Shopify name, and kept for a few minutes.
+const shopLocationIdCache = new Map(); // shop -> { at, ids }
+
+async function shopLocationIds(shop) {
+  if (shop === getDefaultShop()) return new Map(getLocations().map((l) => [l.name, l.id]));
+  const hit = shopLocationIdCache.get(shop);
+  if (hit && Date.now() - hit.at < 10 * 60 * 1000) return hit.ids;
+
+  const byName = new Map((await fetchShopifyLocations(shop)).map((l) => [l.name, l.id]));
+  const ids = new Map();
+  for (const l of getLocations()) {
+    const id = byName.get(l.shopifyName || l.name) || byName.get(l.name);
+    if (id) ids.set(l.name, id);
+  }
+  shopLocationIdCache.set(shop, { at: Date.now(), ids });
+  return ids;
+}
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const clientDist = path.join(__dirname, "public");
@@ -57,6 +175,14 @@ function requireAuth(req, res, next) {
   next();
 }
 
+// Record-writing routes refuse up front (503) while the Airtable field check
+// has a required field missing — before any Shopify change is made.
+async function requireWritableFields(req, res, next) {
+  const reason = await airtableWriteBlock();
+  if (reason) return res.status(503).json({ error: reason, fieldCheck: getAirtableFieldCheck() });
+  next();
+}
+
 app.get("/api/me", (req, res) => {
   if (!AUTH_ENABLED) return res.json({ ok: true, user: { username: "guest" }, authEnabled: false });
   const username = req.cookies?.yb_user;
@@ -87,29 +213,126 @@ app.post("/api/logout", (req, res) => {
 });
 
 // -------------------- SHOPIFY OAUTH --------------------
+// ?shop= picks which configured shop to connect (default SHOPIFY_SHOP). A
+// grant missing any required scope is refused instead of saved, so a token
+// that can't write inventory never gets as far as a closeout.
+//
+// Each /auth starts its own flow: the state goes into oauthStates and into an
+// httpOnly cookie on the browser that asked, expires after
+// OAUTH_STATE_TTL_MS and is used once. The callback needs the matching cookie
+// instead of requireAuth — yb_user is SameSite=Strict, so the browser leaves
+// it off the redirect back from Shopify — and a valid Shopify hmac.
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+const oauthStates = new Map(); // state -> { shop, username, expires }
+
+function escapeHtml(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+function oauthErrorPage(res, status, message) {
+  res
+    .status(status)
+    .type("html")
+    .send(
+      `<!doctype html><html><head><meta charset="utf-8"><title>Shopify connection failed</title></head>` +
+        `<body style="font-family:system-ui,sans-serif;max-width:560px;margin:60px auto;padding:0 16px">` +
+        `<h2>Shopify connection failed</h2><p>${escapeHtml(message)}</p>` +
+        `<p><a href="/">Back to the app</a> and start the connection again.</p></body></html>`
+    );
+}
+
 app.get("/api/shopify/auth", requireAuth, (req, res) => {
-  OAUTH_STATE = makeState();
-  const url = buildAuthorizeUrl(OAUTH_STATE);
-  res.redirect(url);
+  try {
+    const shop = requestShop(req);
+    const now = Date.now();
+    for (const [k, v] of oauthStates) if (v.expires < now) oauthStates.delete(k);
+
+    const state = makeState();
+    oauthStates.set(state, { shop, username: req.user?.username || "unknown", expires: now + OAUTH_STATE_TTL_MS });
+    // Lax, not Strict: it has to come back on Shopify's redirect to the callback
+    res.cookie("yb_shopify_oauth", state, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: process.env.NODE_ENV === "production",
+      maxAge: OAUTH_STATE_TTL_MS,
+      path: "/api/shopify/callback"
+    });
+    res.redirect(buildAuthorizeUrl(state, shop));
+  } catch (e) {
+    oauthErrorPage(res, 400, e.message);
+  }
 });
 
-app.get("/api/shopify/callback", requireAuth, async (req, res) => {
-  try {
-    const { code, state } = req.query;
-    if (!code) return res.status(400).send("Missing code");
-    if (!state || state !== OAUTH_STATE) return res.status(400).send("Invalid state");
+app.get("/api/shopify/callback", async (req, res) => {
+  const { code, state, shop } = req.query;
+  const pending = state ? oauthStates.get(String(state)) : null;
+  const cookieState = req.cookies?.yb_shopify_oauth;
+  if (state) oauthStates.delete(String(state));
+  res.clearCookie("yb_shopify_oauth", { path: "/api/shopify/callback" });
 
-    const token = await exchangeCodeForToken(code);
-    setShopifyAccessToken(token);
+  try {
+    if (!verifyCallbackHmac(req.query)) return oauthErrorPage(res, 400, "The response didn't come from Shopify (bad or missing hmac).");
+    if (!pending || !cookieState || cookieState !== state) {
+      return oauthErrorPage(res, 400, "This connection wasn't started from this browser, or it was already used.");
+    }
+    if (pending.expires < Date.now()) return oauthErrorPage(res, 400, "The connection took too long and expired.");
+    if (!isValidShopDomain(shop) || shop !== pending.shop) {
+      return oauthErrorPage(res, 400, `Shopify answered for "${shop || "no shop"}", but ${pending.shop} was being connected.`);
+    }
+    if (!code) return oauthErrorPage(res, 400, "Shopify didn't send an authorization code.");
+
+    const { accessToken, scopes } = await exchangeCodeForToken(code, pending.shop);
+    const missing = missingScopes(scopes);
+    if (missing.length) {
+      return oauthErrorPage(
+        res,
+        400,
+        `Shopify granted ${scopes.join(", ") || "no scopes"} but ${missing.join(", ")} ${missing.length > 1 ? "are" : "is"} required. Add ${missing.length > 1 ? "them" : "it"} to SHOPIFY_SCOPES and connect again.`
+      );
+    }
+    setShopifyAccessToken(pending.shop, accessToken, scopes);
+    console.log(`[shopify-oauth] ${pending.shop} connected by ${pending.username}`);
 
-    res.redirect("/?shopify=connected");
+    res.redirect(`/?shopify=connected&shop=${encodeURIComponent(pending.shop)}`);
   } catch (e) {
-    res.status(500).send(`Shopify auth failed: ${e.message}`);
+    oauthErrorPage(res, 500, e.message);
   }
 });
 
-app.get("/api/shopify/status", requireAuth, (req, res) => {
-  res.json({ ok: true, hasToken: hasShopifyAccessToken() });
+// Every configured shop: connected or not, where its token came from, the
+// scopes it has and any required ones it's missing. Env tokens never went
+// through OAuth, so their scopes are asked from Shopify.
+app.get("/api/shopify/status", requireAuth, async (req, res) => {
+  let defaultShop = null;
+  try {
+    defaultShop = getDefaultShop();
+  } catch {}
+
+  const shops = await Promise.all(
+    listShops().map(async (shop) => {
+      const info = getShopifyTokenInfo(shop);
+      let { scopes, error } = info;
+      if (info.connected && info.source === "env") {
+        try {
+          scopes = await fetchAccessScopes(shop);
+        } catch (e) {
+          error = e.message;
+        }
+      }
+      return {
+        shop,
+        default: shop === defaultShop,
+        connected: info.connected,
+        source: info.source,
+        savedAt: info.savedAt,
+        scopes,
+        missingScopes: scopes ? missingScopes(scopes) : null,
+        error
+      };
+    })
+  );
+
+  res.json({ ok: true, hasToken: !!defaultShop && hasShopifyAccessToken(defaultShop), requiredScopes: getRequiredScopes(), shops });
 });
 
 // ---- Airtable PO ----
@@ -117,12 +340,27 @@ app.get("/api/po/:po", requireAuth, async (req, res) => {
   try {
     const po = (req.params.po || "").trim();
     if (!po) return res.status(400).json({ error: "Missing PO #" });
-    res.json(await listRecordsByPO(po));
+    res.json({ ...(await listRecordsByPO(po)), shop: getPoShop(po) });
   } catch (e) {
     res.status(500).json({ error: e.message || "Server error" });
   }
 });
 
+// ---- PO → Shopify shop ----
+// Which shop a PO's scans, closeouts and office samples go to.
+app.get("/api/po/:po/shop", requireAuth, (req, res) => {
+  res.json({ ok: true, shop: getPoShop(req.params.po), shops: listShops() });
+});
+
+app.put("/api/po/:po/shop", requireAuth, (req, res) => {
+  try {
+    const shop = setPoShop(req.params.po, req.body?.shop, req.user?.username || "unknown");
+    res.json({ ok: true, shop });
+  } catch (e) {
+    res.status(400).json({ error: e.message || "Could not set the PO's shop" });
+  }
+});
+
 // ---- Invoicing: get all invoicing records ----
 app.get("/api/invoicing/records", requireAuth, async (req, res) => {
   try {
@@ -134,22 +372,20 @@ app.get("/api/invoicing/records", requireAuth, async (req, res) => {
 });
 
 // ---- Invoicing: mark records as paid ----
-app.post("/api/invoicing/mark-paid", requireAuth, async (req, res) => {
+// Batched; records Airtable refuses come back with ok: false and their error
+// while the rest are still marked.
+app.post("/api/invoicing/mark-paid", requireAuth, requireWritableFields, async (req, res) => {
   try {
     const { records } = req.body || {};
     if (!Array.isArray(records) || !records.length) {
       return res.status(400).json({ error: "records must be a non-empty array of { id, amount }" });
     }
 
-    const results = [];
-    for (const { id, amount } of records) {
-      const updated = await updateRecord(id, {
-        [AIRTABLE_FIELDS.PAID_FIELD]: Number(amount)
-      });
-      results.push({ id, ok: true });
-    }
+    const saved = await updateRecords(records.map(({ id, amount }) => ({ id, fields: { [AIRTABLE_FIELDS.PAID_FIELD]: Number(amount) } })));
+    const results = saved.map(({ id, ok, error }) => ({ id, ok, ...(ok ? {} : { error }) }));
+    const failed = results.filter((x) => !x.ok).length;
 
-    res.json({ ok: true, results });
+    res.json({ ok: failed === 0, failed, results });
   } catch (e) {
     res.status(500).json({ error: e.message || "Server error" });
   }
@@ -173,25 +409,166 @@ app.post("/api/invoicing/pdf", requireAuth, async (req, res) => {
 
 // ---- Locations ----
 app.get("/api/locations", requireAuth, (req, res) => {
-  res.json({ ok: true, locations: getLocations().map((l) => l.name) });
+  res.json({
+    ok: true,
+    locations: getLocations().map((l) => l.name),
+    office: getOfficeLocation()?.name || null,
+    sink: getSinkLocation()?.name || null
+  });
+});
+
+// ---- Size scales ----
+app.get("/api/size-scales", requireAuth, (req, res) => {
+  res.json({ ok: true, scales: listSizeScales(), defaultScale: getDefaultSizeScale().id });
 });
 
+// ---- Location registry (names, order, office / sink roles) ----
+app.get("/api/location-registry", requireAuth, (req, res) => {
+  res.json({ ok: true, locations: listLocationRegistry() });
+});
+
+app.put("/api/location-registry", requireAuth, (req, res) => {
+  try {
+    const locations = saveLocationRegistry(req.body?.locations);
+    res.json({ ok: true, locations });
+  } catch (e) {
+    res.status(400).json({ error: e.message || "Invalid locations" });
+  }
+});
+
+app.post("/api/location-registry/sync", requireAuth, async (req, res) => {
+  try {
+    const shopifyLocations = await fetchShopifyLocations();
+    const result = syncLocationRegistry(shopifyLocations);
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Location sync failed" });
+  }
+});
+
+// ---- Allocation rule sets ----
+app.get("/api/allocation-rules", requireAuth, (req, res) => {
+  res.json({ ok: true, ruleSets: listRuleSets() });
+});
+
+app.get("/api/allocation-rules/:id", requireAuth, (req, res) => {
+  const ruleSet = getRuleSet(req.params.id);
+  if (!ruleSet) return res.status(404).json({ error: "Rule set not found" });
+  res.json({ ok: true, ruleSet });
+});
+
+app.put("/api/allocation-rules/:id", requireAuth, (req, res) => {
+  try {
+    const username = req.user?.username || "unknown";
+    const ruleSet = saveRuleSet(req.params.id, req.body || {}, username);
+    res.json({ ok: true, ruleSet });
+  } catch (e) {
+    res.status(400).json({ error: e.message || "Invalid rule set" });
+  }
+});
+
+app.delete("/api/allocation-rules/:id", requireAuth, (req, res) => {
+  try {
+    if (!deleteRuleSet(req.params.id)) return res.status(404).json({ error: "Rule set not found" });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(400).json({ error: e.message || "Delete failed" });
+  }
+});
+
+// ---- Sell-through weights (size-curve allocation) ----
+app.get("/api/sell-through", requireAuth, (req, res) => {
+  res.json({ ok: true, ...getSellThrough() });
+});
+
+app.post("/api/sell-through/import-csv", requireAuth, (req, res) => {
+  try {
+    const { csv } = req.body || {};
+    if (typeof csv !== "string" || !csv.trim()) return res.status(400).json({ error: "csv must be a non-empty string" });
+    const username = req.user?.username || "unknown";
+    const locations = getLocations().map((l) => l.name);
+    const data = importSellThroughCsv(csv, { locations, sizes: allScaleSizes() }, username);
+    res.json({ ok: true, ...data });
+  } catch (e) {
+    res.status(400).json({ error: e.message || "Sell-through import failed" });
+  }
+});
+
+app.post("/api/sell-through/import-orders", requireAuth, (req, res) => {
+  try {
+    const username = req.user?.username || "unknown";
+    const locations = getLocations().map((l) => l.name);
+    const data = importSellThroughFromOrders({ locations, sizes: allScaleSizes() }, username);
+    res.json({ ok: true, ...data });
+  } catch (e) {
+    res.status(400).json({ error: e.message || "Sell-through import failed" });
+  }
+});
+
+// ---- Scan_JSON / Alloc_JSON on a record ----
+// Typed docs (shared/scanSchema.js). Parsing never throws; whatever couldn't
+// be read is logged here and shown to the user by the client.
+function readScan(record) {
+  const scan = parseScan(record?.fields?.[AIRTABLE_FIELDS.SCAN_FIELD]);
+  for (const w of scan.warnings) console.warn(`[scan-json] ${record?.id || "?"}: ${w}`);
+  return scan;
+}
+
+function readAlloc(record) {
+  const alloc = parseAlloc(record?.fields?.[AIRTABLE_FIELDS.ALLOC_FIELD]);
+  for (const w of alloc.warnings) console.warn(`[alloc-json] ${record?.id || "?"}: ${w}`);
+  return alloc;
+}
+
+// ---- Versioned saves (Alloc_JSON / Scan_JSON) ----
+// Saves send baseVersion (the version the edit started from) and baseJson
+// (that blob). If the stored matrix has moved on since, nothing is written:
+// the 409 carries the three-way merge of base, edit and stored matrix, and
+// the client saves again against currentVersion once it's resolved. A
+// baseJson that doesn't match baseVersion merges as an empty base, so every
+// cell both sides touched comes back as a conflict.
+function rejectStaleSave(res, { baseVersion, base, incoming, current, label }) {
+  const currentVersion = docVersion(current);
+  if (baseVersion === currentVersion) return false;
+  const { merged, conflicts } = mergeDocs(docVersion(base) === baseVersion ? base : null, incoming, current);
+  res.status(409).json({
+    error: `${label} was changed by someone else since you loaded it. Nothing was saved — review the merge and save again.`,
+    conflict: true,
+    currentVersion,
+    current: { matrix: current.matrix, ruleSet: current.ruleSet || null },
+    merged,
+    conflicts
+  });
+  return true;
+}
+
 // ---- Save Allocation ----
-app.patch("/api/record/:id/save-allocation", requireAuth, async (req, res) => {
+app.patch("/api/record/:id/save-allocation", requireAuth, requireWritableFields, async (req, res) => {
   try {
     const id = req.params.id;
-    const { allocJson } = req.body || {};
+    const { allocJson, baseVersion, baseJson } = req.body || {};
     if (typeof allocJson !== "string") return res.status(400).json({ error: "allocJson must be a string" });
+    if (typeof baseVersion !== "string") return res.status(400).json({ error: "baseVersion is required — reload the PO" });
 
-    const updated = await updateRecord(id, { [AIRTABLE_FIELDS.ALLOC_FIELD]: allocJson });
-    res.json({ ok: true, updated });
+    const incoming = parseAlloc(allocJson, "allocJson");
+    if (incoming.invalid) return res.status(400).json({ error: "allocJson is not valid JSON" });
+
+    const existing = await getRecord(id);
+    const current = readAlloc(existing);
+    if (rejectStaleSave(res, { baseVersion, base: parseAlloc(baseJson), incoming, current, label: "This allocation" })) return;
+
+    // Unknown keys / unreadable text on the stored value stay for recovery.
+    const saved = { ...current, matrix: incoming.matrix, ruleSet: incoming.ruleSet };
+    const savedJson = serializeAlloc(saved);
+    const updated = await updateRecord(id, { [AIRTABLE_FIELDS.ALLOC_FIELD]: savedJson });
+    res.json({ ok: true, updated, allocJson: savedJson, version: docVersion(saved) });
   } catch (e) {
     res.status(500).json({ error: e.message || "Server error" });
   }
 });
 
 // ---- Save Ship + Ship Date ----
-app.patch("/api/record/:id/save-ship", requireAuth, async (req, res) => {
+app.patch("/api/record/:id/save-ship", requireAuth, requireWritableFields, async (req, res) => {
   try {
     const id = req.params.id;
     const { shipDate, shipTotals, trackingNumber } = req.body || {};
@@ -200,7 +577,7 @@ app.patch("/api/record/:id/save-ship", requireAuth, async (req, res) => {
       return res.status(400).json({ error: "shipTotals must be an object" });
     }
 
-    const sizes = getSizes();
+    const sizes = await getRecordSizes(id);
     const patch = {};
 
     if (shipDate !== undefined) {
@@ -223,34 +600,62 @@ app.patch("/api/record/:id/save-ship", requireAuth, async (req, res) => {
 });
 
 // ---- Save Scan + Rec totals ----
-app.patch("/api/record/:id/save-scan", requireAuth, async (req, res) => {
+app.patch("/api/record/:id/save-scan", requireAuth, requireWritableFields, async (req, res) => {
   try {
     const id = req.params.id;
-    const { scanJson, recTotals } = req.body || {};
+    const { scanJson, recTotals, baseVersion, baseJson } = req.body || {};
     if (typeof scanJson !== "string") return res.status(400).json({ error: "scanJson must be a string" });
+    if (typeof baseVersion !== "string") return res.status(400).json({ error: "baseVersion is required — reload the PO" });
 
-    const patch = { [AIRTABLE_FIELDS.SCAN_FIELD]: scanJson };
+    const incoming = parseScan(scanJson, "scanJson");
+    if (incoming.invalid) return res.status(400).json({ error: "scanJson is not valid JSON" });
 
-    const sizes = getSizes();
-    for (const s of sizes) patch[`Rec_${s}`] = Number(recTotals?.[s] ?? 0);
+    // Only the matrix comes from the client; the stored meta, receipts and
+    // applied submission ids are kept.
+    const existing = await getRecord(id);
+    const stored = readScan(existing);
+    if (stored.meta.closeoutComplete) {
+      return res.status(409).json({ error: "Receiving for this record is marked complete. Void the closeout to reopen it." });
+    }
+    if (rejectStaleSave(res, { baseVersion, base: parseScan(baseJson), incoming, current: stored, label: "This scan" })) return;
+
+    const saved = { ...stored, matrix: incoming.matrix };
+    const savedJson = serializeScan(saved);
+    const patch = { [AIRTABLE_FIELDS.SCAN_FIELD]: savedJson };
+
+    for (const s of sizesForRecord(existing)) patch[`Rec_${s}`] = Number(recTotals?.[s] ?? 0);
 
     const updated = await updateRecord(id, patch);
-    res.json({ ok: true, updated });
+    res.json({ ok: true, updated, scanJson: savedJson, version: docVersion(saved) });
   } catch (e) {
     res.status(500).json({ error: e.message || "Server error" });
   }
 });
 
 // ---- Shopify barcode lookup ----
+// Served from the variant cache when the barcode is known; otherwise looked
+// up live and written through, so the next scan of that product is instant.
 app.get("/api/shopify/barcode/:barcode", requireAuth, async (req, res) => {
   try {
     const barcode = (req.params.barcode || "").trim();
     if (!barcode) return res.status(400).json({ error: "Missing barcode" });
+    const shop = requestShop(req);
+
+    const cached = getCachedProductByBarcode(barcode, shop);
+    if (cached) {
+      return res.json({
+        ok: true,
+        found: true,
+        cached: true,
+        product: { productId: cached.productId, title: cached.title, variants: cached.variants }
+      });
+    }
 
-    const v = await lookupVariantByBarcode(barcode);
+    const v = await lookupVariantByBarcode(barcode, shop);
     if (!v) return res.json({ ok: true, found: false });
 
-    const product = await fetchProductVariants(v.productId);
+    const product = await fetchProductVariants(v.productId, shop);
+    putCachedProduct(product, { shop });
 
     res.json({
       ok: true,
@@ -267,22 +672,153 @@ app.get("/api/shopify/barcode/:barcode", requireAuth, async (req, res) => {
 });
 
 // ---- Shopify product fetch by productId ----
+// Live (linking wants current variants), refreshing the cache; falls back to
+// the cached copy when Shopify can't be reached.
 app.get("/api/shopify/product/:productId", requireAuth, async (req, res) => {
+  const productId = (req.params.productId || "").trim();
+  if (!productId) return res.status(400).json({ error: "Missing productId" });
+
+  let shop;
   try {
-    const productId = (req.params.productId || "").trim();
-    if (!productId) return res.status(400).json({ error: "Missing productId" });
+    shop = requestShop(req);
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
 
-    const product = await fetchProductVariants(productId);
-    res.json({
-      ok: true,
-      product: {
-        productId: product.productId,
-        title: product.title,
-        variants: product.variants
+  let product;
+  let cached = false;
+  try {
+    product = await fetchProductVariants(productId, shop);
+    putCachedProduct(product, { shop });
+  } catch (e) {
+    product = getCachedProduct(productId, shop);
+    cached = true;
+    if (!product) return res.status(500).json({ error: e.message || "Shopify product fetch error" });
+    console.error("[shopify] Product fetch failed, serving cached variants:", e.message);
+  }
+
+  res.json({
+    ok: true,
+    ...(cached ? { cached: true } : {}),
+    product: {
+      productId: product.productId,
+      title: product.title,
+      variants: product.variants
+    }
+  });
+});
+
+// ---- Shopify webhooks ----
+// products/create|update|delete keep single products in the variant cache
+// current (a full rebuild runs from a bulk export on demand and every
+// VARIANT_CACHE_REFRESH_HOURS). inventory_levels/update is kept for pairs
+// the app has posted units to, for reconciliation. Webhooks are
+// unauthenticated apart from the HMAC, so anything that doesn't verify is
+// refused, as is a shop we don't serve (X-Shopify-Shop-Domain).
+// /api/shopify/webhooks/products is the older URL, still subscribed on
+// existing installs; it takes every topic too.
+function handleProductWebhook(topic, payload, shop) {
+  if (topic === "products/delete") {
+    const productId = payload.admin_graphql_api_id || (payload.id ? `gid://shopify/Product/${payload.id}` : null);
+    if (productId) removeCachedProduct(productId, shop);
+  } else {
+    const product = productFromWebhook(payload);
+    if (product) putCachedProduct(product, { updatedAt: payload.updated_at, shop });
+  }
+}
+
+function handleInventoryLevelWebhook(payload, shop, webhookId) {
+  if (payload.inventory_item_id == null || payload.location_id == null) return;
+  const inventoryItemId = `gid://shopify/InventoryItem/${payload.inventory_item_id}`;
+  const locationId = `gid://shopify/Location/${payload.location_id}`;
+  const posted = getPostedUnits(shop, inventoryItemId, locationId);
+  if (!posted) return;
+
+  const available = Number(payload.available ?? 0);
+  // A missing or unparseable updated_at falls back to the receive time rather
+  // than failing the delivery, which Shopify would only redeliver.
+  const parsedAt = Date.parse(payload.updated_at);
+  const updatedAt = new Date(Number.isFinite(parsedAt) ? parsedAt : Date.now()).toISOString();
+  const belowPosted = posted.units > 0 && available < posted.units && updatedAt > posted.lastAt;
+  recordInventoryLevel({ shop, inventoryItemId, locationId, available, updatedAt, belowPosted, webhookId });
+  if (belowPosted) {
+    console.warn(`[inventory-levels] ${shop} ${inventoryItemId} @ ${locationId}: available ${available}, app posted ${posted.units}`);
+  }
+}
+
+function receiveWebhook(req, res) {
+  if (!verifyWebhookHmac(req.rawBody, req.get("X-Shopify-Hmac-Sha256"))) {
+    return res.status(401).send("Invalid webhook signature");
+  }
+  const shop = normalizeShopDomain(req.get("X-Shopify-Shop-Domain"));
+  if (!isKnownShop(shop)) return res.status(400).send("Unknown shop");
+
+  const topic = String(req.get("X-Shopify-Topic") || "");
+  try {
+    const payload = req.body || {};
+    if (["products/create", "products/update", "products/delete"].includes(topic)) handleProductWebhook(topic, payload, shop);
+    else if (topic === "inventory_levels/update") handleInventoryLevelWebhook(payload, shop, req.get("X-Shopify-Webhook-Id") || null);
+    res.status(200).send("ok");
+  } catch (e) {
+    // 500 makes Shopify redeliver
+    console.error(`[webhooks] ${topic} failed:`, e.message);
+    res.status(500).send("Webhook error");
+  }
+}
+
+app.post("/api/shopify/webhooks", receiveWebhook);
+app.post("/api/shopify/webhooks/products", receiveWebhook);
+
+// Shopify runs one bulk query per shop at a time, so the variant cache
+// refresh and the catalog audit share one job slot. The audit's export is the
+// whole catalog too, so it rebuilds the cache on the way. Shops are exported
+// one after another; one failing doesn't stop the rest.
+const bulkExport = { running: null, shop: null, startedAt: null, finishedAt: null, lastJob: null, lastError: null };
+
+async function runBulkExport(job, shops, onProducts) {
+  if (bulkExport.running) return false;
+  Object.assign(bulkExport, { running: job, startedAt: new Date().toISOString(), lastError: null });
+  const errors = [];
+  try {
+    for (const shop of shops) {
+      bulkExport.shop = shop;
+      try {
+        await onProducts(await exportAllProductVariants({ shop }), shop);
+      } catch (e) {
+        errors.push(`${shop}: ${e.message}`);
+        console.error(`[${job}] Bulk export failed for ${shop}:`, e.message);
       }
-    });
+    }
+  } finally {
+    Object.assign(bulkExport, { running: null, shop: null, finishedAt: new Date().toISOString(), lastJob: job, lastError: errors.join("; ") || null });
+  }
+  return true;
+}
+
+function refreshVariantCache(source) {
+  return runBulkExport("variant-cache", listShops(), async (products, shop) => replaceCachedProducts(products, source, shop));
+}
+
+app.get("/api/shopify/variant-cache", requireAuth, (req, res) => {
+  res.json({ ok: true, ...getVariantCacheStatus(), refresh: bulkExport });
+});
+
+// A bulk export takes a while, so this only starts it; poll the GET above.
+app.post("/api/shopify/variant-cache/refresh", requireAuth, (req, res) => {
+  if (bulkExport.running) return res.status(409).json({ error: `A Shopify export (${bulkExport.running}) is already running`, refresh: bulkExport });
+  refreshVariantCache(`manual:${req.user?.username || "unknown"}`);
+  res.status(202).json({ ok: true, refresh: bulkExport });
+});
+
+// Subscribe this server to the webhooks above. SHOPIFY_WEBHOOK_URL overrides
+// the callback when the public URL differs from what this request came in on.
+app.post("/api/shopify/webhooks/register", requireAuth, async (req, res) => {
+  try {
+    const callbackUrl = process.env.SHOPIFY_WEBHOOK_URL || `${req.protocol}://${req.get("host")}/api/shopify/webhooks`;
+    const results = await registerWebhooks(callbackUrl, requestShop(req));
+    res.status(results.every((r) => r.ok) ? 200 : 502).json({ ok: results.every((r) => r.ok), callbackUrl, results });
   } catch (e) {
-    res.status(500).json({ error: e.message || "Shopify product fetch error" });
+    res.status(500).json({ error: e.message || "Webhook registration error" });
   }
 });
 
@@ -292,7 +828,7 @@ app.get("/api/shopify/search", requireAuth, async (req, res) => {
     const title = String(req.query?.title || "").trim();
     if (!title) return res.status(400).json({ error: "Missing title" });
 
-    const products = await searchProductsByTitle(title, 10);
+    const products = await searchProductsByTitle(title, 10, requestShop(req));
     res.json({ ok: true, products });
   } catch (e) {
     res.status(500).json({ error: e.message || "Shopify product search error" });
@@ -312,25 +848,358 @@ app.get("/api/airtable/by-shopify-gid", requireAuth, async (req, res) => {
 });
 
 // ---- Link Airtable record to Shopify product ----
-app.patch("/api/record/:id/link-shopify-product", requireAuth, async (req, res) => {
+app.patch("/api/record/:id/link-shopify-product", requireAuth, requireWritableFields, async (req, res) => {
   try {
     const id = req.params.id;
-    const { productId } = req.body || {};
+    const { productId, color } = req.body || {};
     if (!productId || typeof productId !== "string") return res.status(400).json({ error: "productId is required" });
 
-    const updated = await updateRecord(id, { [AIRTABLE_FIELDS.SHOPIFY_PRODUCT_GID_FIELD]: productId });
+    const patch = { [AIRTABLE_FIELDS.SHOPIFY_PRODUCT_GID_FIELD]: productId };
+    // Relinking always rewrites the color, so a previous product's color can't linger.
+    if (AIRTABLE_FIELDS.SHOPIFY_COLOR_FIELD) patch[AIRTABLE_FIELDS.SHOPIFY_COLOR_FIELD] = String(color || "").trim();
+    else if (color) return res.status(400).json({ error: "Color linking isn't configured (AIRTABLE_SHOPIFY_COLOR_FIELD)" });
+
+    const updated = await updateRecord(id, patch);
     res.json({ ok: true, updated });
   } catch (e) {
     res.status(500).json({ error: e.message || "Server error" });
   }
 });
 
+// ---- Inventory audit log ----
+// Every Shopify inventory adjustment goes through here so it lands in the
+// audit log, whether Shopify accepted it, rejected it or the call threw.
+// mode "set" writes absolute quantities guarded by each change's
+// compareQuantity (see setInventoryQuantities) instead of plain deltas.
+// `audited` on the result is false when the log entry couldn't be written.
+async function adjustInventoryWithAudit(audit, { name = "available", reason = "correction", changes, mode = "adjust", shop }) {
+  const write = mode === "set" ? setInventoryQuantities : adjustInventoryQuantities;
+  let result;
+  try {
+    result = await write({ name, reason, changes, shop });
+  } catch (e) {
+    recordInventoryAdjustment({ ...audit, shop, mode, reason, changes, result: { ok: false, error: e.message } });
+    throw e;
+  }
+  if (result.skipped) return result;
+  return { ...result, audited: recordInventoryAdjustment({ ...audit, shop, mode, reason, changes, result }) };
+}
+
+app.get("/api/audit", requireAuth, (req, res) => {
+  try {
+    const { po, product, from, to, limit } = req.query || {};
+    res.json({ ok: true, ...searchAuditLog({ po, product, from, to, limit }) });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Audit log error" });
+  }
+});
+
+// ---- Reconciliation: what the app posted vs. what Shopify has now ----
+// Per PO: the net units closeouts and office samples posted to each item ×
+// location (audit log, voids netted out) next to Shopify's current
+// available — read live, or the last inventory_levels/update webhook when
+// Shopify can't be reached. Available below posted usually means a store
+// recount overwrote the receipt (or the units have sold since).
+app.get("/api/po/:po/reconciliation", requireAuth, async (req, res) => {
+  try {
+    const po = (req.params.po || "").trim();
+    if (!po) return res.status(400).json({ error: "Missing PO #" });
+
+    const groups = new Map();
+    for (const e of listPostedForPo(po)) {
+      const key = `${e.shop}|${e.inventoryItemId}|${e.locationId}`;
+      const g = groups.get(key) || {
+        shop: e.shop,
+        product: e.product,
+        size: e.size,
+        location: e.location,
+        inventoryItemId: e.inventoryItemId,
+        locationId: e.locationId,
+        posted: 0,
+        lastPostedAt: null
+      };
+      g.posted += Number(e.delta || 0);
+      g.lastPostedAt = e.at;
+      groups.set(key, g);
+    }
+    const posted = [...groups.values()].filter((g) => g.posted !== 0);
+
+    const live = new Map();
+    const liveErrors = {};
+    for (const shop of new Set(posted.map((g) => g.shop))) {
+      try {
+        live.set(shop, await fetchInventoryLevels(posted.filter((g) => g.shop === shop).map((g) => g.inventoryItemId), shop));
+      } catch (e) {
+        liveErrors[shop] = e.message;
+      }
+    }
+
+    const order = new Map(getLocations().map((l, i) => [l.name, i]));
+    const rows = posted
+      .map((g) => {
+        const webhook = getInventoryLevel(g.shop, g.inventoryItemId, g.locationId);
+        const levels = live.get(g.shop);
+        const key = `${g.inventoryItemId}|${g.locationId}`;
+        const available = levels ? (levels.has(key) ? levels.get(key) : null) : webhook ? webhook.available : null;
+        const since = (webhook?.events || []).filter((ev) => ev.updatedAt > g.lastPostedAt);
+        return {
+          ...g,
+          available,
+          availableSource: levels ? "live" : webhook ? "webhook" : null,
+          belowPosted: available !== null && g.posted > 0 && available < g.posted,
+          changesSincePost: since.length,
+          overwrittenAt: since.find((ev) => ev.belowPosted)?.updatedAt || null
+        };
+      })
+      .sort(
+        (a, b) =>
+          String(a.product).localeCompare(String(b.product)) ||
+          (order.get(a.location) ?? 999) - (order.get(b.location) ?? 999) ||
+          String(a.size).localeCompare(String(b.size), undefined, { numeric: true })
+      );
+
+    res.json({ ok: true, po, rows, liveErrors });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Reconciliation error" });
+  }
+});
+
 // ---- Closeout ----
-app.post("/api/closeout", requireAuth, async (req, res) => {
+
+// Shopify deltas for a scan matrix: one change per location × size with a
+// non-zero count, for sizes the product has a variant for. Cells that can't
+// be sent — no variant for the size, or a location without a Shopify id —
+// come back in unmatchedSizes / unknownLocations instead of vanishing, and
+// variants that can't take units — no size option, or a size outside the
+// record's scale — in unmappedVariants. With a record color, only that
+// color's variants are considered; other colors belong to other records.
+// `locationIds` is the target shop's name -> id map (shopLocationIds).
+function buildCloseoutChanges({ shopifyProduct, color, locationIds, locations, sizes, scanned, skipLocation }) {
+  const sizeToInv = new Map();
+  const unmappedVariants = [];
+  const recordSizes = new Set((sizes || []).map(normalizeSizeValue));
+  for (const v of variantsForColor(shopifyProduct?.variants, color)) {
+    const size = normalizeSizeValue(v.sizeValue);
+    const reason = !size ? "no size option" : !recordSizes.has(size) ? "size not in this record's scale" : !v.inventoryItemId ? "no inventory item" : null;
+    if (reason) {
+      unmappedVariants.push({
+        variantId: v.variantId,
+        barcode: v.barcode || "",
+        sizeValue: v.sizeValue || "",
+        options: (v.options || []).map((o) => `${o.name}: ${o.value}`).join(" / "),
+        reason
+      });
+      continue;
+    }
+    sizeToInv.set(size, v.inventoryItemId);
+  }
+
+  const changes = [];
+  const unmatched = {};
+  const unknownLocations = [];
+
+  for (const loc of locations || []) {
+    if (skipLocation && loc === skipLocation) continue;
+
+    const locId = locationIds.get(loc);
+    if (!locId) {
+      const units = (sizes || []).reduce((a, s) => a + Number(scanned?.[loc]?.[s] ?? 0), 0);
+      if (units !== 0) unknownLocations.push({ location: loc, units });
+      continue;
+    }
+
+    for (const s of sizes || []) {
+      const delta = Number(scanned?.[loc]?.[s] ?? 0);
+      if (delta === 0) continue;
+
+      const invId = sizeToInv.get(normalizeSizeValue(s));
+      if (!invId) {
+        unmatched[s] = (unmatched[s] || 0) + delta;
+        continue;
+      }
+
+      changes.push({ inventoryItemId: invId, locationId: locId, delta, location: loc, size: s });
+    }
+  }
+
+  const unmatchedSizes = Object.entries(unmatched).map(([size, units]) => ({ size, units }));
+  return { changes, unmatchedSizes, unknownLocations, unmappedVariants };
+}
+
+// The record's Shopify color option value ("" = owns every variant).
+function recordShopifyColor(record) {
+  const field = AIRTABLE_FIELDS.SHOPIFY_COLOR_FIELD;
+  return field ? String(record?.fields?.[field] ?? "").trim() : "";
+}
+
+// scan.receipts: one entry per partial closeout,
+//   { at, by, submissionId, matrix: { [loc]: { [size]: units } }, units, adjustmentGroupId }.
+// A record closed out before receipts existed counts as one receipt holding
+// its scan for the submitted locations (the full matrix went out as deltas).
+function receiptHistory(scan, locations) {
+  if (scan.receipts.length) return scan.receipts;
+  if (!scan.meta.closeoutSubmitted) return [];
+  const matrix = {};
+  for (const loc of locations || []) if (scan.matrix[loc]) matrix[loc] = { ...scan.matrix[loc] };
+  const units = Object.values(matrix).reduce((a, row) => a + Object.values(row).reduce((b, n) => b + Number(n || 0), 0), 0);
+  return [{ at: null, by: null, legacy: true, matrix, units }];
+}
+
+// What a void's audit entries name as reversed, one per receipt.
+function receiptRefs(receipts) {
+  return receipts.map((r) => r.submissionId || r.adjustmentGroupId || r.at || "legacy");
+}
+
+function sumMatrices(matrices) {
+  const out = {};
+  for (const m of matrices) {
+    for (const [loc, row] of Object.entries(m || {})) {
+      out[loc] = out[loc] || {};
+      for (const [s, n] of Object.entries(row || {})) out[loc][s] = Number(out[loc][s] ?? 0) + Number(n || 0);
+    }
+  }
+  return out;
+}
+
+// next − prev for the given locations × sizes, non-zero cells only.
+function matrixDelta(next, prev, locations, sizes) {
+  const out = {};
+  for (const loc of locations || []) {
+    for (const s of sizes || []) {
+      const d = Number(next?.[loc]?.[s] ?? 0) - Number(prev?.[loc]?.[s] ?? 0);
+      if (d === 0) continue;
+      out[loc] = out[loc] || {};
+      out[loc][s] = d;
+    }
+  }
+  return out;
+}
+
+// scan.meta.closeoutPosted: the deltas closeouts have pushed to Shopify for
+// this record, as a matrix plus the ids needed to reverse them. `shop` is
+// missing on closeouts from before multi-shop (= the default shop).
+//   { shop, productId, matrix: { [loc]: { [size]: delta } }, locationIds: { [loc]: gid },
+//     inventoryItemIds: { [size]: gid }, at, by }
+function addPostedChanges(prev, changes, { productId, username, shop }) {
+  const posted = {
+    shop,
+    productId,
+    matrix: structuredClone(prev?.matrix || {}),
+    locationIds: { ...(prev?.locationIds || {}) },
+    inventoryItemIds: { ...(prev?.inventoryItemIds || {}) },
+    at: new Date().toISOString(),
+    by: username
+  };
+  for (const c of changes) {
+    posted.matrix[c.location] = posted.matrix[c.location] || {};
+    posted.matrix[c.location][c.size] = Number(posted.matrix[c.location][c.size] ?? 0) + Number(c.delta);
+    posted.locationIds[c.location] = c.locationId;
+    posted.inventoryItemIds[c.size] = c.inventoryItemId;
+  }
+  return posted;
+}
+
+// ---- Closeout dry run ----
+// Same body as /api/closeout. Builds the changes the closeout would send and
+// returns them with Shopify's current "available" before / after, plus the
+// scanned units that would not reach Shopify, and the version of the stored
+// scan it was built from (`scanVersion`). Writes nothing.
+app.post("/api/closeout/preview", requireAuth, async (req, res) => {
+  try {
+    const { recordId, po, sizes, locations, scanned, shopifyProduct } = req.body || {};
+    if (!recordId) return res.status(400).json({ error: "Missing recordId" });
+
+    const record = await getRecord(recordId);
+    const priorScan = readScan(record);
+
+    const priorReceipts = receiptHistory(priorScan, locations);
+    const receiptMatrix = matrixDelta(scanned, sumMatrices(priorReceipts.map((r) => r.matrix)), locations, sizes);
+    const skipLocation = req.body.officeAlreadySent === true ? getOfficeLocation()?.name : null;
+    const base = {
+      ok: true,
+      receiptNumber: priorReceipts.length + 1,
+      scanVersion: docVersion(priorScan),
+      complete: !!priorScan.meta.closeoutComplete,
+      skippedLocation: skipLocation
+    };
+
+    if (!shopifyProduct?.productId || !Array.isArray(shopifyProduct?.variants)) {
+      return res.json({ ...base, shopifyLinked: false, rows: [], unmatchedSizes: [], unknownLocations: [], unmappedVariants: [] });
+    }
+
+    const { shop, error: shopError } = poShop(req, po);
+    if (shopError) return res.status(409).json({ error: shopError });
+    const { changes, unmatchedSizes, unknownLocations, unmappedVariants } = buildCloseoutChanges({
+      shopifyProduct,
+      color: recordShopifyColor(record),
+      locationIds: await shopLocationIds(shop),
+      locations,
+      sizes,
+      scanned: receiptMatrix,
+      skipLocation
+    });
+
+    const levels = await fetchInventoryLevels(changes.map((c) => c.inventoryItemId), shop);
+    const rows = changes.map((c) => {
+      const key = `${c.inventoryItemId}|${c.locationId}`;
+      const before = levels.has(key) ? levels.get(key) : null;
+      return {
+        location: c.location,
+        size: c.size,
+        inventoryItemId: c.inventoryItemId,
+        locationId: c.locationId,
+        delta: c.delta,
+        before,
+        after: before === null ? c.delta : before + c.delta,
+        stocked: before !== null
+      };
+    });
+
+    res.json({ ...base, shopifyLinked: true, shop, rows, unmatchedSizes, unknownLocations, unmappedVariants });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Closeout preview error" });
+  }
+});
+
+// Records with a closeout being processed. One at a time per record, so a
+// double click — or a second device closing out the same record — can't
+// read the same earlier receipts and post the same units twice.
+const closeoutsInFlight = new Set();
+
+// Idempotency: the client sends one submissionId per closeout attempt and
+// reuses it on retry. Ids that went through are kept in the scan's
+// submissions.closeout; a repeat skips both the Shopify
+// adjust and the Airtable write and answers with `duplicate: true` (or the
+// X-Closeout-Duplicate header when a PDF is returned). An id the audit log
+// shows Shopify already took, but that never reached Scan_JSON (the Airtable
+// write failed), skips the Shopify adjust and only redoes the write.
+//
+// inventoryMode "set" writes absolute quantities instead of deltas: each
+// cell becomes what Shopify had when it was read + the units received, and
+// Shopify refuses the write if it has changed since. `expectedLevels`
+// ({ "<inventoryItemId>|<locationId>": available | null }) is what the client
+// was shown by the preview; cells it doesn't cover are read just before the
+// write. A refused write answers 409 with `conflict: true` and the cells that
+// moved — nothing is written to Shopify or Airtable, so the same
+// submissionId can be retried after re-reading.
+//
+// `previewScanVersion` is the preview's `scanVersion`; when it's sent and the
+// stored scan has changed since, the closeout answers 409 with
+// `scanChanged: true` and posts nothing.
+app.post("/api/closeout", requireAuth, requireWritableFields, async (req, res) => {
+  let locked = null;
   try {
     const username = req.user?.username || "unknown";
-    const { po, productLabel, recordId, sizes, locations, allocation, scanned, shopifyProduct, buy, ship } = req.body || {};
+    const { submissionId, po, productLabel, recordId, sizes, locations, allocation, scanned, shopifyProduct, buy, ship, expectedLevels, previewScanVersion } =
+      req.body || {};
     if (!recordId) return res.status(400).json({ error: "Missing recordId" });
+    const inventoryMode = req.body.inventoryMode === "set" ? "set" : "adjust";
+
+    if (closeoutsInFlight.has(recordId)) {
+      return res.status(409).json({ error: "A closeout for this record is already being submitted — wait for it to finish, then reload." });
+    }
+    closeoutsInFlight.add(recordId);
+    locked = recordId;
 
     // Read existing Scan_JSON so we preserve any non-warehouse entries that
     // were recorded outside this closeout — notably Office units submitted
@@ -338,91 +1207,170 @@ app.post("/api/closeout", requireAuth, async (req, res) => {
     // out. Without this merge, the closeout would overwrite Scan_JSON (losing
     // the Office entries) and set Rec_* based on warehouse counts only (making
     // Airtable show fewer units received than reality).
-    let priorScan = {};
+    //
+    // It's also what tells a retried submissionId and earlier receipts apart
+    // from new units, so without it nothing is posted: guessing would push
+    // the whole cumulative scan to Shopify again.
+    let existing;
     try {
-      const existing = await getRecord(recordId);
-      const raw = existing?.fields?.[AIRTABLE_FIELDS.SCAN_FIELD];
-      if (raw) priorScan = JSON.parse(raw) || {};
+      existing = await getRecord(recordId);
     } catch (e) {
-      // Non-fatal: if we can't read the existing record we fall back to the
-      // client-provided scan only. Log and continue so a flaky Airtable read
-      // doesn't block a closeout submission.
-      console.error("[closeout] Could not read prior Scan_JSON, proceeding without merge:", e.message);
+      console.error("[closeout] Could not read prior Scan_JSON:", e.message);
+      return res.status(e.status === 404 ? 404 : 503).json({
+        error: `Could not read this record's current scan, so nothing was posted — try again. (${e.message})`
+      });
+    }
+    const shopifyColor = recordShopifyColor(existing);
+    const priorScan = readScan(existing);
+    if (priorScan.invalid) return res.status(500).json({ error: "Scan_JSON on this record is not valid JSON" });
+
+    const alreadyApplied = !!(submissionId && priorScan.submissions.closeout.includes(submissionId));
+    const postedEarlier = alreadyApplied ? [] : listPostedForSubmission(recordId, "closeout", submissionId);
+    if (!alreadyApplied && !postedEarlier.length && previewScanVersion && previewScanVersion !== docVersion(priorScan)) {
+      return res.status(409).json({ error: "This record's scan changed since the preview — preview again before submitting.", scanChanged: true });
+    }
+    if (!alreadyApplied && priorScan.meta.closeoutComplete) {
+      return res.status(409).json({ error: "Receiving for this record is marked complete. Void the closeout to reopen it." });
+    }
+
+    // Partial deliveries: `scanned` is everything received so far; this
+    // receipt is only what's new since the earlier ones, and only that goes
+    // to Shopify.
+    const priorReceipts = receiptHistory(priorScan, locations);
+    const reversed = listReversedReceipts(recordId);
+    if (!alreadyApplied && receiptRefs(priorReceipts).some((r) => reversed.has(r))) {
+      return res.status(409).json({ error: "This closeout was reversed in Shopify but the void wasn't saved. Void it again to finish, then submit." });
+    }
+    const receiptMatrix = matrixDelta(scanned, sumMatrices(priorReceipts.map((r) => r.matrix)), locations, sizes);
+    const receiptUnits = Object.values(receiptMatrix).reduce((a, row) => a + Object.values(row).reduce((b, n) => b + n, 0), 0);
+    const receiptNumber = priorReceipts.length + 1;
+    if (!alreadyApplied && priorReceipts.length && !Object.keys(receiptMatrix).length) {
+      return res.status(400).json({ error: `Nothing new since receipt #${priorReceipts.length} — scan the new carton first.` });
     }
 
     // Warehouse locations in this submission fully replace their prior values
     // (this is what the user just scanned). Any location present in priorScan
     // but NOT in this submission (e.g. "Office") is preserved as-is.
-    const submittedLocs = new Set(locations || []);
-    const mergedScan = { ...priorScan };
-    // Drop the internal flag before merging so it doesn't pollute the matrix
-    delete mergedScan._closeoutSubmitted;
+    const mergedMatrix = { ...priorScan.matrix };
     for (const loc of locations || []) {
-      mergedScan[loc] = { ...(scanned?.[loc] || {}) };
+      mergedMatrix[loc] = { ...(scanned?.[loc] || {}) };
     }
 
     // Rec totals per size must include ALL locations in the merged scan —
     // warehouse locations from this submission + preserved locations like
     // Office — so Airtable's Rec_* reflects total units physically received.
-    const recTotals = {};
-    for (const s of sizes || []) {
-      let total = 0;
-      for (const loc of Object.keys(mergedScan)) {
-        if (loc.startsWith("_")) continue;
-        total += Number(mergedScan[loc]?.[s] ?? 0);
+    const recTotals = sizeTotals(mergedMatrix, sizes);
+
+    // Shopify adjustments (optional) — first, so a failed adjust leaves the
+    // record unsubmitted and the same submissionId can be retried.
+    let shopifyResult = alreadyApplied ? { skipped: true, duplicate: true } : { skipped: true };
+    let posted = priorScan.meta.closeoutPosted;
+    // Variants / scanned sizes that couldn't be matched up, reported back so
+    // units that never reached Shopify don't go unnoticed.
+    let unmapped = { unmappedVariants: [], unmatchedSizes: [] };
+    if (postedEarlier.length) {
+      const shop = postedEarlier[0].shop || getDefaultShop();
+      shopifyResult = { ok: true, resumed: true, adjustmentGroupId: postedEarlier[0].adjustmentGroupId };
+      posted = addPostedChanges(posted, postedEarlier, { productId: shopifyProduct?.productId || posted?.productId || null, username, shop });
+    } else if (!alreadyApplied && shopifyProduct?.productId && Array.isArray(shopifyProduct?.variants)) {
+      const { shop, error: shopError } = poShop(req, po);
+      if (shopError) return res.status(409).json({ error: shopError });
+      // Every receipt of a record goes to one shop, so a void reverses them in one place.
+      const postedShop = posted ? posted.shop || getDefaultShop() : shop;
+      if (postedShop !== shop) {
+        return res.status(409).json({ error: `Earlier receipts for this record went to ${postedShop}. Switch the PO back, or void the closeout first.` });
       }
-      recTotals[s] = total;
-    }
 
-    // Save scan + totals to Airtable (mark closeout as submitted)
-    const scanWithFlag = { ...mergedScan, _closeoutSubmitted: true };
-    await updateRecord(recordId, {
-      [AIRTABLE_FIELDS.SCAN_FIELD]: JSON.stringify(scanWithFlag),
-      ...Object.fromEntries(getSizes().map((s) => [`Rec_${s}`, Number(recTotals[s] ?? 0)]))
-    });
-
-    // Shopify adjustments (optional)
-    let shopifyResult = { skipped: true };
-    if (shopifyProduct?.productId && Array.isArray(shopifyProduct?.variants)) {
-      const sizeToInv = new Map();
-      for (const v of shopifyProduct.variants) {
-        if (!v.sizeValue || !v.inventoryItemId) continue;
-        const normalized = String(v.sizeValue).trim().toUpperCase();
-        sizeToInv.set(normalized, v.inventoryItemId);
+      // Skip Office Shopify adjustment if office samples were already handled
+      const { changes, unmappedVariants, unmatchedSizes } = buildCloseoutChanges({
+        shopifyProduct,
+        color: shopifyColor,
+        locationIds: await shopLocationIds(shop),
+        locations,
+        sizes,
+        scanned: receiptMatrix,
+        skipLocation: req.body.officeAlreadySent === true ? getOfficeLocation()?.name : null
+      });
+      unmapped = { unmappedVariants, unmatchedSizes };
+      if (unmappedVariants.length || unmatchedSizes.length) {
+        console.warn(
+          `[closeout] ${recordId}: ${unmappedVariants.length} unmapped variant(s), unsent sizes: ${unmatchedSizes.map((u) => `${u.size}×${u.units}`).join(", ") || "none"}`
+        );
       }
 
-      const locMap = new Map(getLocations().map((l) => [l.name, l.id]));
-      const changes = [];
-
-      const officeAlreadySent = req.body.officeAlreadySent === true;
-
-      for (const loc of locations || []) {
-        // Skip Office Shopify adjustment if office samples were already handled
-        if (officeAlreadySent && loc === "Office") continue;
-
-        const locId = locMap.get(loc);
-        if (!locId) continue;
-
-        for (const s of sizes || []) {
-          const invId = sizeToInv.get(String(s).toUpperCase());
-          if (!invId) continue;
-
-          const delta = Number(scanned?.[loc]?.[s] ?? 0);
-          if (delta !== 0) changes.push({ inventoryItemId: invId, locationId: locId, delta });
+      if (inventoryMode === "set") {
+        for (const c of changes) {
+          const key = `${c.inventoryItemId}|${c.locationId}`;
+          // null in the preview = not stocked yet, i.e. 0 once activated
+          if (expectedLevels && key in expectedLevels) c.compareQuantity = Number(expectedLevels[key] ?? 0);
         }
       }
 
-      const result = await adjustInventoryQuantities({
-        name: "available",
-        reason: "correction",
-        changes
-      });
+      const result = await adjustInventoryWithAudit(
+        { user: username, action: "closeout", recordId, po, product: productLabel, submissionId },
+        { name: "available", reason: "correction", changes, mode: inventoryMode, shop }
+      );
 
       shopifyResult = result;
 
+      if (result.stale) {
+        const byKey = new Map(changes.map((c) => [`${c.inventoryItemId}|${c.locationId}`, c]));
+        const conflicts = (result.conflicts || []).map((x) => {
+          const c = byKey.get(`${x.inventoryItemId}|${x.locationId}`);
+          return { location: c?.location || null, size: c?.size || null, delta: c?.delta ?? null, ...x };
+        });
+        return res.status(409).json({
+          error: "Shopify inventory changed since it was read — nothing was written. Re-read and try again.",
+          conflict: true,
+          conflicts
+        });
+      }
+
       if (!result.ok) {
         return res.status(400).json({ error: "Shopify inventory adjust failed", shopify: result });
       }
+
+      // Remember exactly what went to Shopify so a void can reverse it.
+      if (changes.length) posted = addPostedChanges(posted, changes, { productId: shopifyProduct.productId, username, shop });
+    }
+
+    // Save scan + totals to Airtable (mark closeout as submitted)
+    if (!alreadyApplied) {
+      const nextScan = {
+        ...priorScan,
+        matrix: mergedMatrix,
+        meta: { ...priorScan.meta, closeoutSubmitted: true, closeoutPosted: posted || null },
+        receipts: [
+          ...priorReceipts,
+          {
+            at: new Date().toISOString(),
+            by: username,
+            submissionId: submissionId || null,
+            matrix: receiptMatrix,
+            units: receiptUnits,
+            adjustmentGroupId: shopifyResult.adjustmentGroupId || null
+          }
+        ],
+        submissions: {
+          ...priorScan.submissions,
+          closeout: submissionId ? [...priorScan.submissions.closeout, submissionId] : priorScan.submissions.closeout
+        }
+      };
+      try {
+        await updateRecord(recordId, {
+          [AIRTABLE_FIELDS.SCAN_FIELD]: serializeScan(nextScan),
+          ...Object.fromEntries(sizesForRecord(existing).map((s) => [`Rec_${s}`, Number(recTotals[s] ?? 0)]))
+        });
+      } catch (e) {
+        if (shopifyResult.ok && !shopifyResult.skipped) {
+          throw new Error(
+            submissionId && shopifyResult.audited !== false
+              ? `Shopify inventory was adjusted but saving to Airtable failed — submitting again only finishes the save. (${e.message})`
+              : `Shopify inventory was adjusted but saving to Airtable failed — do not resubmit; save the scan instead. (${e.message})`
+          );
+        }
+        throw e;
+      }
     }
 
     // PDF
@@ -437,11 +1385,12 @@ app.post("/api/closeout", requireAuth, async (req, res) => {
       scanned,
       createdAtISO,
       buy: buy || {},
-      ship: ship || {}
+      ship: ship || {},
+      receipt: !alreadyApplied && receiptNumber > 1 ? { number: receiptNumber, matrix: receiptMatrix, units: receiptUnits } : null
     });
 
     // Upload closeout PDF to Airtable "Receiving PDFs" field (non-blocking, non-fatal)
-    if (recordId) {
+    if (recordId && !alreadyApplied) {
       const pdfFilename = `closeout_${po || "PO"}_${Date.now()}.pdf`;
       uploadPdfToAirtable(recordId, pdfBuffer, pdfFilename, AIRTABLE_FIELDS.RECEIVING_PDF_FIELD).catch((e) => {
         console.error("[closeout] Airtable PDF upload failed:", e.message);
@@ -450,24 +1399,245 @@ app.post("/api/closeout", requireAuth, async (req, res) => {
 
     // If skipPdf, don't send the PDF to the client (it's still uploaded to Airtable above)
     if (req.body.skipPdf) {
-      return res.json({ ok: true, shopify: shopifyResult });
+      return res.json({
+        ok: true,
+        duplicate: alreadyApplied,
+        receipt: alreadyApplied ? null : { number: receiptNumber, units: receiptUnits },
+        shopify: shopifyResult,
+        ...unmapped
+      });
     }
 
+    if (alreadyApplied) res.setHeader("X-Closeout-Duplicate", "true");
+    res.setHeader("X-Closeout-Unmapped-Variants", String(unmapped.unmappedVariants.length));
+    res.setHeader("X-Closeout-Unsent-Units", String(unmapped.unmatchedSizes.reduce((a, u) => a + u.units, 0)));
     res.setHeader("Content-Type", "application/pdf");
     res.setHeader("Content-Disposition", `attachment; filename="closeout_${po || "PO"}_${Date.now()}.pdf"`);
     res.send(pdfBuffer);
   } catch (e) {
     res.status(500).json({ error: e.message || "Closeout error" });
+  } finally {
+    if (locked) closeoutsInFlight.delete(locked);
+  }
+});
+
+// ---- Mark receiving complete ----
+// Locks the record after the last partial receipt: further closeouts and scan
+// saves are refused until the closeout is voided.
+app.post("/api/closeout/complete", requireAuth, requireWritableFields, async (req, res) => {
+  try {
+    const { recordId } = req.body || {};
+    if (!recordId) return res.status(400).json({ error: "Missing recordId" });
+
+    const record = await getRecord(recordId);
+    const scan = readScan(record);
+    if (scan.invalid) return res.status(500).json({ error: "Scan_JSON on this record is not valid JSON" });
+    if (!scan.meta.closeoutSubmitted) return res.status(400).json({ error: "Submit at least one receipt before marking complete" });
+    if (scan.meta.closeoutComplete) return res.json({ ok: true, complete: scan.meta.closeoutComplete });
+
+    const complete = { at: new Date().toISOString(), by: req.user?.username || "unknown" };
+    await updateRecord(recordId, { [AIRTABLE_FIELDS.SCAN_FIELD]: serializeScan({ ...scan, meta: { ...scan.meta, closeoutComplete: complete } }) });
+    res.json({ ok: true, complete });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Could not mark receiving complete" });
+  }
+});
+
+// ---- Void a submitted closeout ----
+// Pushes the negative of what the closeout sent to Shopify, takes those units
+// back out of Scan_JSON (office samples recorded separately stay), clears
+// the closeout meta, recomputes Rec_* and attaches a VOID-stamped PDF.
+// Closeouts from before closeoutPosted existed are reversed from the stored
+// scan matrix, which needs the linked shopifyProduct from the client — they
+// are refused without it unless the record was never linked.
+//
+// One void per record at a time: a double click or a retry after a timeout
+// would otherwise read the same submitted closeout and reverse it twice.
+const voidsInFlight = new Set(); // recordId
+
+app.post("/api/closeout/void", requireAuth, requireWritableFields, async (req, res) => {
+  let inFlightKey = null;
+  try {
+    const username = req.user?.username || "unknown";
+    const { recordId, po, productLabel, reason, shopifyProduct, buy, ship } = req.body || {};
+    if (!recordId) return res.status(400).json({ error: "Missing recordId" });
+    if (voidsInFlight.has(recordId)) {
+      return res.status(409).json({ error: "This closeout is already being voided", duplicate: true });
+    }
+    voidsInFlight.add(recordId);
+    inFlightKey = recordId;
+
+    const record = await getRecord(recordId);
+    const scan = readScan(record);
+    if (scan.invalid) return res.status(500).json({ error: "Scan_JSON on this record is not valid JSON" });
+    if (!scan.meta.closeoutSubmitted) {
+      return res.status(400).json({ error: "This record has no submitted closeout to void" });
+    }
+
+    const recordSizes = sizesForRecord(record);
+    const scanLocations = Object.keys(scan.matrix);
+
+    let posted = scan.meta.closeoutPosted || null;
+    // Reverse in the shop the closeout went to, not wherever the PO points now.
+    let shop = posted ? posted.shop || getDefaultShop() : null;
+    if (!shop) {
+      const resolved = poShop(req, po);
+      if (resolved.error) return res.status(409).json({ error: resolved.error });
+      shop = resolved.shop;
+    }
+    const hasProduct = !!(shopifyProduct?.productId && Array.isArray(shopifyProduct?.variants));
+    // Without the product there's nothing to reverse with, and voiding anyway
+    // would leave the units live in Shopify. Only a record that was never
+    // linked can have sent nothing.
+    if (!posted && !hasProduct && String(record?.fields?.[AIRTABLE_FIELDS.SHOPIFY_PRODUCT_GID_FIELD] || "").trim()) {
+      return res.status(400).json({
+        error: "This closeout was submitted before the app recorded what it posted, so its Shopify units can only be reversed using the linked product. Load the Shopify product and void again."
+      });
+    }
+    if (!posted && hasProduct) {
+      const { changes: legacy } = buildCloseoutChanges({
+        shopifyProduct,
+        color: recordShopifyColor(record),
+        locationIds: await shopLocationIds(shop),
+        locations: scanLocations,
+        sizes: recordSizes,
+        scanned: scan.matrix,
+        skipLocation: req.body.officeAlreadySent === true ? getOfficeLocation()?.name : null
+      });
+      posted = addPostedChanges(null, legacy, { productId: shopifyProduct.productId, username, shop });
+    }
+
+    // 1. Reverse in Shopify
+    const changes = [];
+    for (const [loc, row] of Object.entries(posted?.matrix || {})) {
+      for (const [size, qty] of Object.entries(row || {})) {
+        const delta = -Number(qty || 0);
+        const locationId = posted.locationIds?.[loc];
+        const inventoryItemId = posted.inventoryItemIds?.[size];
+        if (delta !== 0 && locationId && inventoryItemId) changes.push({ inventoryItemId, locationId, delta, location: loc, size });
+      }
+    }
+
+    // A void whose reversal reached Shopify but whose Airtable write failed
+    // leaves the closeout submitted. The reversal's audit entries name the
+    // receipts it reversed, so the retry only finishes the write instead of
+    // reversing a second time.
+    const refs = receiptRefs(receiptHistory(scan, scanLocations));
+    const reversedRefs = listReversedReceipts(recordId);
+    const alreadyReversed = refs.length > 0 && refs.every((r) => reversedRefs.has(r));
+    if (!alreadyReversed && refs.some((r) => reversedRefs.has(r))) {
+      return res.status(409).json({
+        error: "Part of this closeout was already reversed in Shopify by an earlier void. Check the audit log and correct Shopify by hand — voiding now would reverse those units twice."
+      });
+    }
+
+    let shopifyResult = { skipped: true };
+    if (alreadyReversed) {
+      shopifyResult = { skipped: true, alreadyReversed: true };
+    } else if (changes.length) {
+      shopifyResult = await adjustInventoryWithAudit(
+        { user: username, action: "closeout-void", recordId, po, product: productLabel, reverses: refs },
+        { name: "available", reason: "correction", changes, shop }
+      );
+      if (!shopifyResult.ok) {
+        return res.status(400).json({ error: "Shopify inventory reversal failed — closeout left in place", shopify: shopifyResult });
+      }
+      // Without the audit entry only the Airtable write below records the reversal.
+      if (!shopifyResult.audited) console.error(`[closeout-void] ${recordId}: reversal posted but the audit log could not be written`);
+    }
+
+    // 2. Scan_JSON without the reversed units, flag cleared, void kept on file
+    const voidedAt = new Date().toISOString();
+    const matrix = structuredClone(scan.matrix);
+    for (const [loc, row] of Object.entries(posted?.matrix || {})) {
+      if (!matrix[loc]) continue;
+      for (const [size, qty] of Object.entries(row || {})) {
+        matrix[loc][size] = Math.max(0, Number(matrix[loc][size] ?? 0) - Number(qty || 0));
+      }
+    }
+    const nextScan = {
+      ...scan,
+      matrix,
+      meta: {
+        closeoutSubmitted: false,
+        closeoutComplete: null,
+        closeoutPosted: null,
+        voidedCloseouts: [
+          ...scan.meta.voidedCloseouts,
+          {
+            at: voidedAt,
+            by: username,
+            reason: reason || "",
+            matrix: posted?.matrix || null,
+            receipts: scan.receipts,
+            adjustmentGroupId: shopifyResult.adjustmentGroupId || null
+          }
+        ]
+      },
+      receipts: []
+    };
+
+    const recTotals = sizeTotals(matrix, recordSizes);
+
+    const scanJson = serializeScan(nextScan);
+    try {
+      await updateRecord(recordId, {
+        [AIRTABLE_FIELDS.SCAN_FIELD]: scanJson,
+        ...Object.fromEntries(recordSizes.map((s) => [`Rec_${s}`, Number(recTotals[s] ?? 0)]))
+      });
+    } catch (e) {
+      if (shopifyResult.ok && !shopifyResult.audited) {
+        throw new Error(`Shopify inventory was reversed but neither the audit log nor Airtable could record it — do NOT void again; clear the closeout by hand. (${e.message})`);
+      }
+      if (shopifyResult.ok || shopifyResult.alreadyReversed) {
+        throw new Error(`Shopify inventory was reversed but saving to Airtable failed — voiding again only finishes the save. (${e.message})`);
+      }
+      throw e;
+    }
+
+    // 3. VOID PDF, added alongside the original closeout PDF
+    const allocation = readAlloc(record).matrix;
+    const pdfBuffer = await buildCloseoutPdf({
+      username,
+      po,
+      productLabel,
+      sizes: recordSizes,
+      locations: getLocations().map((l) => l.name),
+      allocation,
+      scanned: posted?.matrix || {},
+      createdAtISO: voidedAt,
+      buy: buy || {},
+      ship: ship || {},
+      voided: { at: voidedAt, by: username, reason: reason || "" }
+    });
+    const pdfFilename = `closeout_VOID_${po || "PO"}_${Date.now()}.pdf`;
+    uploadPdfToAirtable(recordId, pdfBuffer, pdfFilename, AIRTABLE_FIELDS.RECEIVING_PDF_FIELD, { append: true }).catch((e) => {
+      console.error("[closeout-void] Airtable PDF upload failed:", e.message);
+    });
+
+    res.json({
+      ok: true,
+      shopify: shopifyResult,
+      reversed: alreadyReversed ? 0 : changes.length,
+      auditLogFailed: shopifyResult.ok === true && !shopifyResult.audited,
+      scanJson,
+      recTotals
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Closeout void error" });
+  } finally {
+    if (inFlightKey) voidsInFlight.delete(inFlightKey);
   }
 });
 
 // ---- Bin Label PDF (Brother QL-810W) ----
 app.post("/api/bin-label", requireAuth, async (req, res) => {
   try {
-    const { styleName, color } = req.body || {};
+    const { styleName, color, sizeScale } = req.body || {};
     if (!styleName && !color) return res.status(400).json({ error: "styleName or color required" });
 
-    const pdfBuffer = await buildBinLabelPdf({ styleName: styleName || "", color: color || "" });
+    const scale = getSizeScale(sizeScale);
+    const pdfBuffer = await buildBinLabelPdf({ styleName: styleName || "", color: color || "", sizes: scale.labelSizes || scale.sizes });
 
     res.setHeader("Content-Type", "application/pdf");
     res.setHeader("Content-Disposition", "inline; filename=\"bin-label.pdf\"");
@@ -478,24 +1648,25 @@ app.post("/api/bin-label", requireAuth, async (req, res) => {
 });
 
 // ---- Allocation PDF only ----
-async function uploadPdfToAirtable(recordId, pdfBuffer, filename, airtableField) {
-  const APP_URL = process.env.APP_URL;
-  if (!APP_URL) return; // silently skip if no APP_URL configured
+// `append` keeps the attachments already in the field (Airtable replaces the
+// list on PATCH, so existing ones are re-sent by id).
+async function uploadPdfToAirtable(recordId, pdfBuffer, filename, airtableField, { append = false } = {}) {
+  const attachment = await attachmentFor(pdfBuffer, filename, "application/pdf");
+  if (!attachment) return; // silently skip if no APP_URL configured
 
-  const tempId = crypto.randomUUID();
-  _tempPhotos.set(tempId, { buffer: pdfBuffer, contentType: "application/pdf", expires: Date.now() + 5 * 60 * 1000 });
-  for (const [k, v] of _tempPhotos) { if (v.expires < Date.now()) _tempPhotos.delete(k); }
+  const keep = append
+    ? ((await getRecord(recordId))?.fields?.[airtableField] || []).map((a) => ({ id: a.id }))
+    : [];
 
-  const pdfUrl = `${APP_URL}/api/temp-photo/${tempId}`;
   await updateRecord(recordId, {
-    [airtableField]: [{ url: pdfUrl, filename }]
+    [airtableField]: [...keep, attachment]
   });
 }
 
 app.post("/api/allocation-pdf", requireAuth, async (req, res) => {
   try {
     const username = req.user?.username || "unknown";
-    const { recordId, po, productLabel, sizes, locations, allocation, buy, ship } = req.body || {};
+    const { recordId, po, productLabel, sizes, locations, allocation, buy, ship, ruleSet } = req.body || {};
 
     if (!po) return res.status(400).json({ error: "Missing po" });
     if (!productLabel) return res.status(400).json({ error: "Missing productLabel" });
@@ -513,7 +1684,8 @@ app.post("/api/allocation-pdf", requireAuth, async (req, res) => {
       allocation,
       createdAtISO,
       buy: buy || {},
-      ship: ship || {}
+      ship: ship || {},
+      ruleSet: ruleSet || null
     });
 
     // Upload PDF to Airtable attachment field (non-blocking, non-fatal)
@@ -544,17 +1716,15 @@ app.get("/api/temp-photo/:id", (req, res) => {
   res.send(entry.buffer);
 });
 
-async function uploadPhotoToAirtable(recordId, photoBase64, photoFilename) {
-  if (!photoBase64) return;
+// Attachment entry for a file to put on a record. A backend that keeps files
+// (SQLite) stores it and hands back a lasting /api/attachments URL; Airtable
+// gets a temp-photo URL to fetch it from, which needs APP_URL (null without).
+async function attachmentFor(buffer, filename, contentType) {
+  const kept = await saveAttachment(buffer, { filename, contentType });
+  if (kept) return kept;
 
   const APP_URL = process.env.APP_URL;
-  if (!APP_URL) throw new Error("APP_URL env var not set — cannot upload photo to Airtable.");
-
-  const commaIdx = photoBase64.indexOf(",");
-  const b64 = commaIdx >= 0 ? photoBase64.slice(commaIdx + 1) : photoBase64;
-  const mimeMatch = photoBase64.match(/data:([^;]+);/);
-  const contentType = mimeMatch ? mimeMatch[1] : "image/jpeg";
-  const buffer = Buffer.from(b64, "base64");
+  if (!APP_URL) return null;
 
   // Store temporarily for 5 minutes so Airtable can fetch it
   const tempId = crypto.randomUUID();
@@ -562,51 +1732,118 @@ async function uploadPhotoToAirtable(recordId, photoBase64, photoFilename) {
   // Clean up expired entries
   for (const [k, v] of _tempPhotos) { if (v.expires < Date.now()) _tempPhotos.delete(k); }
 
-  const photoUrl = `${APP_URL}/api/temp-photo/${tempId}`;
-  const filename = photoFilename || "photo.jpg";
+  return { url: `${APP_URL}/api/temp-photo/${tempId}`, filename };
+}
+
+// Files kept by the SQLite backend
+app.get("/api/attachments/:id", requireAuth, async (req, res) => {
+  try {
+    const file = await getAttachment(req.params.id);
+    if (!file) return res.status(404).send("Not found");
+    res.setHeader("Content-Type", file.contentType);
+    res.setHeader("Content-Disposition", `inline; filename="${String(file.filename).replace(/"/g, "")}"`);
+    res.send(file.data);
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Attachment error" });
+  }
+});
+
+async function uploadPhotoToAirtable(recordId, photoBase64, photoFilename) {
+  if (!photoBase64) return;
+
+  const commaIdx = photoBase64.indexOf(",");
+  const b64 = commaIdx >= 0 ? photoBase64.slice(commaIdx + 1) : photoBase64;
+  const mimeMatch = photoBase64.match(/data:([^;]+);/);
+  const contentType = mimeMatch ? mimeMatch[1] : "image/jpeg";
+  const buffer = Buffer.from(b64, "base64");
+
+  const attachment = await attachmentFor(buffer, photoFilename || "photo.jpg", contentType);
+  if (!attachment) throw new Error("APP_URL env var not set — cannot upload photo to Airtable.");
 
   return await updateRecord(recordId, {
-    [AIRTABLE_FIELDS.OFFICE_SAMPLE_PHOTO_FIELD]: [{ url: photoUrl, filename }]
+    [AIRTABLE_FIELDS.OFFICE_SAMPLE_PHOTO_FIELD]: [attachment]
   });
 }
 
+// Inventory item ids of the variants a record owns (its linked product's,
+// only its Shopify color's) — live, or the cached copy when Shopify can't be
+// reached. null when the record isn't linked.
+async function recordInventoryItemIds(record, shop) {
+  const productId = String(record?.fields?.[AIRTABLE_FIELDS.SHOPIFY_PRODUCT_GID_FIELD] || "").trim();
+  if (!productId) return null;
+  let product;
+  try {
+    product = await fetchProductVariants(productId, shop);
+    putCachedProduct(product, { shop });
+  } catch (e) {
+    product = getCachedProduct(productId, shop);
+    if (!product) throw e;
+  }
+  return new Set(variantsForColor(product.variants, recordShopifyColor(record)).map((v) => v.inventoryItemId));
+}
+
 // ---- Office Samples: submit ----
-app.patch("/api/record/:id/office-sample", requireAuth, async (req, res) => {
+// The inventory items to adjust come from the client, so each one is checked
+// against the record's own variants first.
+app.patch("/api/record/:id/office-sample", requireAuth, requireWritableFields, async (req, res) => {
   try {
     const id = req.params.id;
-    const { submissionId, inventoryAdjustments, officeSentDate, deliveryDate, photoBase64, photoFilename, currentScanJson, scannedSizes } = req.body || {};
+    const { submissionId, inventoryAdjustments, officeSentDate, deliveryDate, photoBase64, photoFilename, currentScanJson, scannedSizes, po, productLabel } = req.body || {};
 
     if (!id) return res.status(400).json({ error: "Missing record id" });
     if (!Array.isArray(inventoryAdjustments) || !inventoryAdjustments.length)
       return res.status(400).json({ error: "inventoryAdjustments must be a non-empty array" });
     if (!officeSentDate) return res.status(400).json({ error: "officeSentDate required" });
 
-    const OFFICE_LOCATION_GID = "gid://shopify/Location/69648253025";
+    const office = getOfficeLocation();
+    if (!office) return res.status(500).json({ error: "No office location configured in the location registry" });
+    const { shop, error: shopError } = poShop(req, po);
+    if (shopError) return res.status(409).json({ error: shopError });
+    const officeLocationId = (await shopLocationIds(shop)).get(office.name);
+    if (!officeLocationId) return res.status(400).json({ error: `${shop} has no location named "${office.shopifyName || office.name}"` });
+
+    let record;
+    try {
+      record = await getRecord(id);
+    } catch (e) {
+      return res.status(e.status === 404 ? 404 : 503).json({ error: `Could not read this record, so nothing was posted — try again. (${e.message})` });
+    }
 
     // Idempotency: if this submissionId was already applied to this record,
     // skip the Shopify adjust to avoid duplicate inventory changes from a
     // double-submit or client retry.
-    let preScan = null;
-    if (submissionId) {
+    const preScan = readScan(record);
+    const alreadyApplied = !!(submissionId && preScan.submissions.office.includes(submissionId));
+
+    // 1. Adjust Shopify inventory at Office (skip if already applied)
+    if (!alreadyApplied) {
+      let owned;
       try {
-        const existing = await getRecord(id);
-        const raw = existing?.fields?.[AIRTABLE_FIELDS.SCAN_FIELD];
-        if (raw) preScan = JSON.parse(raw) || {};
+        owned = await recordInventoryItemIds(record, shop);
       } catch (e) {
-        console.error("[office-sample] pre-read for idempotency failed:", e.message);
+        return res.status(503).json({ error: `Could not load this record's Shopify variants, so nothing was posted — try again. (${e.message})` });
+      }
+      if (!owned) return res.status(400).json({ error: "This record isn't linked to a Shopify product" });
+      const foreign = inventoryAdjustments.filter((adj) => !owned.has(adj.inventoryItemId));
+      if (foreign.length) {
+        return res.status(400).json({
+          error: `${foreign.length} inventory item(s) don't belong to this record's Shopify product and color — reload the product and try again.`,
+          inventoryItemIds: foreign.map((adj) => adj.inventoryItemId)
+        });
       }
-    }
-    const alreadyApplied = !!(submissionId && preScan && Array.isArray(preScan._appliedOfficeSubmissions) && preScan._appliedOfficeSubmissions.includes(submissionId));
 
-    // 1. Adjust Shopify inventory at Office (skip if already applied)
-    if (!alreadyApplied) {
       const changes = inventoryAdjustments.map((adj) => ({
         inventoryItemId: adj.inventoryItemId,
-        locationId: OFFICE_LOCATION_GID,
-        delta: Number(adj.delta ?? 1)
+        locationId: officeLocationId,
+        delta: Number(adj.delta ?? 1),
+        location: office.name,
+        size: adj.size || null
       }));
 
-      const shopifyResult = await adjustInventoryQuantities({ name: "available", reason: "received", changes });
+      const shopifyResult = await adjustInventoryWithAudit(
+        { user: req.user?.username || "unknown", action: "office-sample", recordId: id, po, product: productLabel },
+        { name: "available", reason: "received", changes, shop }
+      );
       if (!shopifyResult.ok && !shopifyResult.skipped) {
         return res.status(400).json({ error: "Shopify inventory adjust failed", shopify: shopifyResult });
       }
@@ -630,33 +1867,31 @@ app.patch("/api/record/:id/office-sample", requireAuth, async (req, res) => {
     const sizes = Array.isArray(scannedSizes) ? scannedSizes : [];
     let updatedScanJson = null;
     let mergedScan = null;
+    let existingRecord = null;
     if (sizes.length > 0 || submissionId) {
-      let existingScan = {};
+      let existingScan = emptyScan();
       try {
-        const existing = await getRecord(id);
-        const raw = existing?.fields?.[AIRTABLE_FIELDS.SCAN_FIELD];
-        if (raw) existingScan = JSON.parse(raw) || {};
+        existingRecord = await getRecord(id);
+        existingScan = readScan(existingRecord);
       } catch (e) {
         // Fallback to client-provided value if the fresh read fails
         console.error("[office-sample] fresh Scan_JSON read failed, falling back to client value:", e.message);
-        try {
-          if (currentScanJson) existingScan = JSON.parse(currentScanJson);
-        } catch { existingScan = {}; }
+        existingScan = parseScan(currentScanJson);
       }
-      if (!existingScan.Office) existingScan.Office = {};
+      const officeRow = { ...(existingScan.matrix[office.name] || {}) };
       if (!alreadyApplied) {
-        for (const size of sizes) {
-          existingScan.Office[size] = Number(existingScan.Office[size] ?? 0) + 1;
-        }
+        for (const size of sizes) officeRow[size] = Number(officeRow[size] ?? 0) + 1;
       }
-      if (submissionId) {
-        if (!Array.isArray(existingScan._appliedOfficeSubmissions)) existingScan._appliedOfficeSubmissions = [];
-        if (!existingScan._appliedOfficeSubmissions.includes(submissionId)) {
-          existingScan._appliedOfficeSubmissions.push(submissionId);
+      const officeSubmissions = existingScan.submissions.office;
+      mergedScan = {
+        ...existingScan,
+        matrix: { ...existingScan.matrix, [office.name]: officeRow },
+        submissions: {
+          ...existingScan.submissions,
+          office: submissionId && !officeSubmissions.includes(submissionId) ? [...officeSubmissions, submissionId] : officeSubmissions
         }
-      }
-      mergedScan = existingScan;
-      updatedScanJson = JSON.stringify(existingScan);
+      };
+      updatedScanJson = serializeScan(mergedScan);
     }
 
     // 4. Patch Airtable record.
@@ -668,17 +1903,10 @@ app.patch("/api/record/:id/office-sample", requireAuth, async (req, res) => {
     if (deliveryDate) patch[AIRTABLE_FIELDS.DELIVERY_FIELD] = deliveryDate;
     if (updatedScanJson) patch[AIRTABLE_FIELDS.SCAN_FIELD] = updatedScanJson;
 
-    if (mergedScan && mergedScan._closeoutSubmitted) {
-      const recTotals = {};
-      for (const s of getSizes()) {
-        let total = 0;
-        for (const loc of Object.keys(mergedScan)) {
-          if (loc.startsWith("_")) continue;
-          total += Number(mergedScan[loc]?.[s] ?? 0);
-        }
-        recTotals[s] = total;
-      }
-      for (const s of getSizes()) patch[`Rec_${s}`] = Number(recTotals[s] ?? 0);
+    if (mergedScan && mergedScan.meta.closeoutSubmitted) {
+      const recordSizes = existingRecord ? sizesForRecord(existingRecord) : await getRecordSizes(id);
+      const recTotals = sizeTotals(mergedScan.matrix, recordSizes);
+      for (const s of recordSizes) patch[`Rec_${s}`] = Number(recTotals[s] ?? 0);
     }
 
     await updateRecord(id, patch);
@@ -705,8 +1933,52 @@ app.post("/api/office-samples/session-pdf", requireAuth, async (req, res) => {
   }
 });
 
+// ---- Bulk Allocation: save allocations ----
+// One batched write for every item with a record; returns the items that
+// didn't save ({ recordId, po, productLabel, error }). PDFs are still built
+// for them, so the failures are reported rather than aborting the run.
+//
+// Each item carries the allocVersion its PO was loaded with (baseVersion),
+// like save-allocation. An item whose Alloc_JSON has changed since then is
+// reported instead of written, so a bulk run can't clobber an edit made on
+// the record screen. Already holding this exact allocation (a re-run) counts
+// as current.
+async function saveBulkAllocations(items) {
+  const failures = [];
+  const fail = (it, error) => failures.push({ recordId: it.recordId, po: it.po || "", productLabel: it.productLabel || "", error });
+
+  const candidates = items.filter((it) => it.recordId && it.allocJson !== undefined);
+  const currentVersions = new Map(); // recordId -> allocVersion
+  for (const po of new Set(candidates.map((it) => String(it.po || "").trim()))) {
+    try {
+      for (const r of (await listRecordsByPO(po)).records) currentVersions.set(r.id, r.allocVersion);
+    } catch (e) {
+      console.error(`[bulk-alloc] Could not read PO ${po}:`, e.message);
+    }
+  }
+
+  const toSave = [];
+  for (const it of candidates) {
+    const doc = parseAlloc(it.allocJson);
+    const current = currentVersions.get(it.recordId);
+    if (!it.baseVersion) fail(it, "Missing baseVersion — reload the PO and run again");
+    else if (current === undefined) fail(it, "Could not read the record's current allocation — not saved");
+    else if (current !== it.baseVersion && current !== docVersion(doc)) {
+      fail(it, "Allocation was changed by someone else since the PO was loaded — not saved. Reload the PO and run again.");
+    } else toSave.push({ it, doc });
+  }
+
+  const results = await updateRecords(
+    toSave.map(({ it, doc }) => ({ id: it.recordId, fields: { [AIRTABLE_FIELDS.ALLOC_FIELD]: serializeAlloc(doc) } }))
+  );
+  for (const [i, r] of results.entries()) if (!r.ok) fail(toSave[i].it, r.error || "Not saved");
+  return failures;
+}
+
 // ---- Bulk Allocation: save + generate PDFs + zip ----
-app.post("/api/bulk-alloc", requireAuth, async (req, res) => {
+// Allocations that failed to save are listed in save_errors.txt in the zip
+// and counted in X-Bulk-Alloc-Save-Failures.
+app.post("/api/bulk-alloc", requireAuth, requireWritableFields, async (req, res) => {
   try {
     const { items, notes } = req.body || {};
     if (!Array.isArray(items) || !items.length) return res.status(400).json({ error: "items required" });
@@ -714,18 +1986,22 @@ app.post("/api/bulk-alloc", requireAuth, async (req, res) => {
     // Sanitize filename part
     function safeName(s) { return String(s || "").replace(/[^\w\s-]/g, "").replace(/\s+/g, "_").slice(0, 60); }
 
+    // 1. Save allocations to Airtable
+    const saveFailures = await saveBulkAllocations(items);
+
     const archive = archiver("zip", { zlib: { level: 6 } });
     res.setHeader("Content-Type", "application/zip");
     res.setHeader("Content-Disposition", `attachment; filename="bulk_allocations_${Date.now()}.zip"`);
+    res.setHeader("X-Bulk-Alloc-Save-Failures", String(saveFailures.length));
     archive.pipe(res);
 
-    for (const item of items) {
-      const { recordId, allocJson, po, productLabel, sizes, locations, allocation, buy, ship } = item;
+    if (saveFailures.length) {
+      const lines = saveFailures.map((f) => `${f.po}\t${f.productLabel}\t${f.recordId}\t${f.error}`);
+      archive.append(`Allocations NOT saved to Airtable:\n\n${lines.join("\n")}\n`, { name: "save_errors.txt" });
+    }
 
-      // 1. Save allocation to Airtable
-      if (recordId && allocJson !== undefined) {
-        await updateRecord(recordId, { [AIRTABLE_FIELDS.ALLOC_FIELD]: allocJson });
-      }
+    for (const item of items) {
+      const { po, productLabel, sizes, locations, allocation, buy, ship, ruleSet } = item;
 
       // 2. Generate PDF
       const pdfBuffer = await buildAllocationPdf({
@@ -738,6 +2014,7 @@ app.post("/api/bulk-alloc", requireAuth, async (req, res) => {
         createdAtISO: new Date().toISOString(),
         buy: buy || {},
         ship: ship || {},
+        ruleSet: ruleSet || null,
         notes: notes || ""
       });
 
@@ -754,19 +2031,19 @@ app.post("/api/bulk-alloc", requireAuth, async (req, res) => {
 });
 
 // ---- Bulk Allocation: save + generate single merged PDF ----
-app.post("/api/bulk-alloc-merged", requireAuth, async (req, res) => {
+// Save failures are counted in X-Bulk-Alloc-Save-Failures.
+app.post("/api/bulk-alloc-merged", requireAuth, requireWritableFields, async (req, res) => {
   try {
     const { items, notes } = req.body || {};
     if (!Array.isArray(items) || !items.length) return res.status(400).json({ error: "items required" });
 
+    // 1. Save allocations to Airtable
+    const saveFailures = await saveBulkAllocations(items);
+    for (const f of saveFailures) console.error(`[bulk-alloc] ${f.po} ${f.productLabel}: allocation not saved: ${f.error}`);
+
     const buffers = [];
     for (const item of items) {
-      const { recordId, allocJson, po, productLabel, sizes, locations, allocation, buy, ship } = item;
-
-      // 1. Save allocation to Airtable
-      if (recordId && allocJson !== undefined) {
-        await updateRecord(recordId, { [AIRTABLE_FIELDS.ALLOC_FIELD]: allocJson });
-      }
+      const { po, productLabel, sizes, locations, allocation, buy, ship, ruleSet } = item;
 
       // 2. Generate individual PDF
       const pdfBuffer = await buildAllocationPdf({
@@ -779,6 +2056,7 @@ app.post("/api/bulk-alloc-merged", requireAuth, async (req, res) => {
         createdAtISO: new Date().toISOString(),
         buy: buy || {},
         ship: ship || {},
+        ruleSet: ruleSet || null,
         notes: notes || ""
       });
       buffers.push(pdfBuffer);
@@ -795,6 +2073,7 @@ app.post("/api/bulk-alloc-merged", requireAuth, async (req, res) => {
 
     res.setHeader("Content-Type", "application/pdf");
     res.setHeader("Content-Disposition", `attachment; filename="bulk_allocations_${Date.now()}.pdf"`);
+    res.setHeader("X-Bulk-Alloc-Save-Failures", String(saveFailures.length));
     res.send(mergedBuffer);
   } catch (e) {
     if (!res.headersSent) res.status(500).json({ error: e.message || "Bulk alloc merge error" });
@@ -805,42 +2084,89 @@ app.post("/api/bulk-alloc-merged", requireAuth, async (req, res) => {
 // Debug route (kept)
 app.get("/api/shopify/debug-locations", requireAuth, async (req, res) => {
   try {
-    const token = getShopifyAccessToken();
-    const shop = process.env.SHOPIFY_SHOP;
-    const ver = process.env.SHOPIFY_API_VERSION || "2025-01";
-
-    const query = `
-      query {
-        locations(first: 50) {
-          edges {
-            node {
-              id
-              name
-            }
-          }
-        }
-      }
-    `;
+    res.json({ ok: true, locations: await fetchShopifyLocations(requestShop(req)) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    const r = await fetch(`https://${shop}/admin/api/${ver}/graphql.json`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": token
-      },
-      body: JSON.stringify({ query })
-    });
+// ---- Catalog barcode audit ----
+// Runs in the background (bulk export); poll the GET for the job and report.
+app.get("/api/shopify/catalog-audit", requireAuth, (req, res) => {
+  res.json({ ok: true, job: bulkExport, report: getCatalogAudit() });
+});
+
+// Audits one shop; only records whose PO targets that shop are checked for
+// missing products.
+app.post("/api/shopify/catalog-audit", requireAuth, (req, res) => {
+  if (bulkExport.running) return res.status(409).json({ error: `A Shopify export (${bulkExport.running}) is already running`, job: bulkExport });
+  const username = req.user?.username || "unknown";
+  let shop;
+  try {
+    shop = requestShop(req);
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+  runBulkExport("catalog-audit", [shop], async (products) => {
+    replaceCachedProducts(products, "catalog-audit", shop);
+    const linkedRecords = (await listLinkedShopifyRecords()).filter((r) => getPoShop(r.po) === shop);
+    runCatalogAudit({ products, linkedRecords, shop }, username);
+  });
+  res.status(202).json({ ok: true, job: bulkExport });
+});
 
-    const j = await r.json();
-    res.json(j);
+// ---- Shopify API usage (calls, retries, throttling, query cost) ----
+// Per shop (?shop=), each has its own cost bucket.
+app.get("/api/shopify/metrics", requireAuth, (req, res) => {
+  try {
+    res.json({ ok: true, metrics: getShopifyMetrics(requestShop(req)) });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
+// ---- Airtable API usage (calls, retries, 429s, failures) ----
+app.get("/api/airtable/metrics", requireAuth, (req, res) => {
+  res.json({ ok: true, metrics: getAirtableMetrics() });
+});
+
+// ---- Health: storage backend and the Airtable field check ----
+// Open to load balancers; the field-by-field results (and ?refresh=1, which
+// re-runs the check) need a signed-in user.
+app.get("/api/health", async (req, res) => {
+  const signedIn = !AUTH_ENABLED || USERS.has(req.cookies?.yb_user);
+  const check = signedIn && req.query.refresh ? await checkAirtableFields() : getAirtableFieldCheck();
+  res.json({
+    ok: !check.writesBlocked,
+    storage: getAirtableMetrics().backend,
+    writesBlocked: !!check.writesBlocked,
+    fieldCheck: signedIn ? check : { status: check.status, checkedAt: check.checkedAt }
+  });
+});
+
 // ---- Static client ----
 app.use(express.static(clientDist));
 app.get("*", (req, res) => res.sendFile(path.join(clientDist, "index.html")));
 
 const port = process.env.PORT || 10000;
-app.listen(port, () => console.log(`Server running on :${port}`));
+app.listen(port, () => {
+  console.log(`Server running on :${port}`);
+
+  checkAirtableFields().then((check) => {
+    if (check.status === "ok") return;
+    if (check.status === "problems") {
+      for (const f of check.missing) console.warn(`[fields] Missing ${f.required ? "required " : ""}field "${f.name}" (${f.setting})`);
+      for (const f of check.incompatible) console.warn(`[fields] Field "${f.name}" (${f.setting}) is ${f.type}, expected ${f.expected.join(" / ")}`);
+      if (check.writesBlocked) console.warn("[fields] Record writes are disabled until the mapping is fixed");
+    } else {
+      console.warn(`[fields] Field check ${check.status}: ${check.error || check.reason}`);
+    }
+  });
+
+  const refreshHours = Number(process.env.VARIANT_CACHE_REFRESH_HOURS || 0);
+  if (refreshHours > 0) {
+    const { shops } = getVariantCacheStatus();
+    if (listShops().some((shop) => !shops[shop]?.refreshedAt)) refreshVariantCache("startup");
+    setInterval(() => refreshVariantCache("scheduled"), refreshHours * 60 * 60 * 1000).unref();
+  }
+});
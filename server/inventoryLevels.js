@@ -0,0 +1,85 @@
+// server/inventoryLevels.js
+//
+// Shopify "available" levels reported by inventory_levels/update webhooks,
+// for the item × location pairs the app has posted units to (auditLog.js
+// getPostedUnits) — everything else is ignored, so the store doesn't grow
+// with every sale in every shop. Persisted to a local JSON file
+// (INVENTORY_LEVELS_PATH):
+//
+//   { levels: { "<shop>|<inventoryItemId>|<locationId>": {
+//       available, updatedAt, receivedAt,
+//       events: [{ available, updatedAt, belowPosted, webhookId }] } } }
+//
+// `events` keeps the last MAX_EVENTS updates, newest last. `belowPosted`
+// marks an update that left fewer units available than the app has posted
+// there — usually a store recount that overwrote a receipt. `webhookId` is
+// the delivery's X-Shopify-Webhook-Id, so a redelivery isn't recorded twice.
+import fs from "fs";
+import path from "path";
+
+const MAX_EVENTS = 20;
+
+function storePath() {
+  return process.env.INVENTORY_LEVELS_PATH || path.join(process.cwd(), "inventory_levels.json");
+}
+
+let levels = null;
+
+function load() {
+  if (levels) return levels;
+  levels = {};
+  try {
+    const p = storePath();
+    if (fs.existsSync(p)) levels = JSON.parse(fs.readFileSync(p, "utf8"))?.levels || {};
+  } catch (e) {
+    console.error("[inventory-levels] Could not read levels, starting empty:", e.message);
+  }
+  return levels;
+}
+
+function save() {
+  const p = storePath();
+  const dir = path.dirname(p);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(p, JSON.stringify({ levels }));
+}
+
+function key(shop, inventoryItemId, locationId) {
+  return `${shop}|${inventoryItemId}|${locationId}`;
+}
+
+// ISO timestamp for `value`, or now when it's missing or not a date.
+function isoOrNow(value) {
+  const t = Date.parse(value);
+  return new Date(Number.isFinite(t) ? t : Date.now()).toISOString();
+}
+
+/**
+ * Store one webhook update. Deliveries can arrive out of order: an update
+ * older than the stored level goes into the history but doesn't replace it.
+ * A delivery already recorded (same webhookId) changes nothing.
+ */
+export function recordInventoryLevel({ shop, inventoryItemId, locationId, available, updatedAt, belowPosted = false, webhookId = null }) {
+  load();
+  const k = key(shop, inventoryItemId, locationId);
+  const at = isoOrNow(updatedAt);
+  const prev = levels[k];
+  if (webhookId && prev?.events?.some((e) => e.webhookId === webhookId)) return prev;
+  const events = [...(prev?.events || []), { available, updatedAt: at, belowPosted, webhookId }]
+    .sort((a, b) => (a.updatedAt < b.updatedAt ? -1 : a.updatedAt > b.updatedAt ? 1 : 0))
+    .slice(-MAX_EVENTS);
+  const latest = !prev || prev.updatedAt <= at;
+  levels[k] = {
+    available: latest ? available : prev.available,
+    updatedAt: latest ? at : prev.updatedAt,
+    receivedAt: new Date().toISOString(),
+    events
+  };
+  save();
+  return levels[k];
+}
+
+/** Last webhook level for this pair ({ available, updatedAt, receivedAt, events }) or null. */
+export function getInventoryLevel(shop, inventoryItemId, locationId) {
+  return load()[key(shop, inventoryItemId, locationId)] || null;
+}
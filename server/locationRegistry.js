@@ -0,0 +1,151 @@
+// server/locationRegistry.js
+//
+// Store locations: name (the key used in Alloc_JSON / Scan_JSON matrices),
+// Shopify Location GID, display order and role flags. Persisted to a local
+// JSON file (LOCATIONS_PATH) and seeded with the original six locations, so
+// opening a store is a registry edit instead of a code change.
+//
+//   active    inactive locations are hidden from matrices and never adjusted
+//   isOffice  receives office samples (exactly one)
+//   isSink    receives leftover / overage units in allocation (exactly one)
+//
+// Syncing from Shopify adds new locations as inactive and refreshes
+// shopifyName; it never renames a location, because existing Airtable JSON
+// is keyed by name.
+import fs from "fs";
+import path from "path";
+
+const SEED = [
+  { name: "Office",        id: "gid://shopify/Location/69648253025", displayOrder: 1, active: true, isSink: false, isOffice: true },
+  { name: "Bogota",        id: "gid://shopify/Location/20363018337", displayOrder: 2, active: true, isSink: false, isOffice: false },
+  { name: "Cedarhurst",    id: "gid://shopify/Location/31679414369", displayOrder: 3, active: true, isSink: false, isOffice: false },
+  { name: "Teaneck Store", id: "gid://shopify/Location/33027424353", displayOrder: 4, active: true, isSink: false, isOffice: false },
+  { name: "Toms River",    id: "gid://shopify/Location/62070161505", displayOrder: 5, active: true, isSink: false, isOffice: false },
+  { name: "Warehouse",     id: "gid://shopify/Location/68496293985", displayOrder: 6, active: true, isSink: true,  isOffice: false }
+];
+
+function registryPath() {
+  return process.env.LOCATIONS_PATH || path.join(process.cwd(), "locations.json");
+}
+
+function loadRegistry() {
+  try {
+    const p = registryPath();
+    if (!fs.existsSync(p)) return structuredClone(SEED);
+    const json = JSON.parse(fs.readFileSync(p, "utf8"));
+    return Array.isArray(json?.locations) && json.locations.length ? json.locations : structuredClone(SEED);
+  } catch (e) {
+    console.error("[locations] Could not read registry, using defaults:", e.message);
+    return structuredClone(SEED);
+  }
+}
+
+function saveRegistry(locations) {
+  const p = registryPath();
+  const dir = path.dirname(p);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(p, JSON.stringify({ locations }, null, 2));
+}
+
+function byDisplayOrder(a, b) {
+  return (a.displayOrder ?? 0) - (b.displayOrder ?? 0) || a.name.localeCompare(b.name);
+}
+
+/** Every registry entry, including inactive ones, in display order. */
+export function listLocationRegistry() {
+  return loadRegistry().sort(byDisplayOrder);
+}
+
+/** Active locations in display order: [{ name, id, isSink, isOffice, ... }] */
+export function getLocations() {
+  return listLocationRegistry().filter((l) => l.active !== false);
+}
+
+export function getOfficeLocation() {
+  return getLocations().find((l) => l.isOffice) || null;
+}
+
+export function getSinkLocation() {
+  return getLocations().find((l) => l.isSink) || null;
+}
+
+/**
+ * Replace the registry. Throws with a user-facing message when names or GIDs
+ * collide, or the active set doesn't have exactly one office and one sink.
+ */
+export function saveLocationRegistry(list) {
+  if (!Array.isArray(list) || !list.length) throw new Error("locations must be a non-empty array");
+
+  const names = new Set();
+  const ids = new Set();
+  const cleaned = list.map((l, i) => {
+    const name = String(l?.name || "").trim();
+    const id = String(l?.id || "").trim();
+    if (!name) throw new Error(`Location #${i + 1} has no name`);
+    if (name.startsWith("_")) throw new Error(`Location name "${name}" may not start with _`);
+    if (!/^gid:\/\/shopify\/Location\/\d+$/.test(id)) throw new Error(`"${name}" needs a Shopify Location GID`);
+    if (names.has(name.toLowerCase())) throw new Error(`Duplicate location name "${name}"`);
+    if (ids.has(id)) throw new Error(`Two locations share ${id}`);
+    names.add(name.toLowerCase());
+    ids.add(id);
+    return {
+      ...l,
+      name,
+      id,
+      displayOrder: Number.isFinite(Number(l.displayOrder)) ? Number(l.displayOrder) : i + 1,
+      active: l.active !== false,
+      isSink: !!l.isSink,
+      isOffice: !!l.isOffice
+    };
+  });
+
+  const active = cleaned.filter((l) => l.active);
+  if (active.filter((l) => l.isOffice).length !== 1) throw new Error("Exactly one active location must be the office");
+  if (active.filter((l) => l.isSink).length !== 1) throw new Error("Exactly one active location must be the sink");
+
+  saveRegistry(cleaned);
+  return cleaned.sort(byDisplayOrder);
+}
+
+/**
+ * Merge Shopify's locations ([{ id, name }]) into the registry. New
+ * locations come in inactive at the end of the order; ones Shopify no
+ * longer returns are flagged, not removed.
+ */
+export function syncLocationRegistry(shopifyLocations) {
+  const current = loadRegistry();
+  const byId = new Map(current.map((l) => [l.id, l]));
+  const seen = new Set();
+  const added = [];
+  let nextOrder = Math.max(0, ...current.map((l) => Number(l.displayOrder) || 0)) + 1;
+
+  for (const s of shopifyLocations || []) {
+    if (!s?.id) continue;
+    seen.add(s.id);
+    const existing = byId.get(s.id);
+    if (existing) {
+      existing.shopifyName = s.name;
+      delete existing.missingFromShopify;
+    } else {
+      // Keep names unique — they key the matrices.
+      const taken = current.some((l) => l.name.toLowerCase() === String(s.name).toLowerCase());
+      const name = taken ? `${s.name} (${s.id.split("/").pop()})` : s.name;
+      const entry = { name, id: s.id, shopifyName: s.name, displayOrder: nextOrder++, active: false, isSink: false, isOffice: false };
+      current.push(entry);
+      added.push(entry.name);
+    }
+  }
+
+  const missing = [];
+  for (const l of current) {
+    if (!seen.has(l.id)) {
+      l.missingFromShopify = true;
+      missing.push(l.name);
+    }
+  }
+
+  const syncedAt = new Date().toISOString();
+  for (const l of current) l.syncedAt = syncedAt;
+  saveRegistry(current);
+  return { locations: current.sort(byDisplayOrder), added, missing };
+}
@@ -13,6 +13,7 @@ const ALT_ROW    = "#f5f5f5";  // very-light-gray stripe
 const BORDER     = "#cccccc";  // grid-line colour
 const TEXT       = "#111111";  // near-black body text
 const SECTION_LBL= "#333333";  // section-label text
+const VOID_RED   = "#b91c1c";  // voided-closeout stamp
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
 
@@ -113,6 +114,26 @@ function buildMatrixRows({ sizes, locations, mat }) {
   return rows;
 }
 
+// ── Pack summary rows (allocation PDF) ───────────────────────────────────────
+function packRuleLabel(row, packs) {
+  const parts = [];
+  if (row.sequencePacks) parts.push(`Sequence (${row.sequencePacks})`);
+  if (row.overflowPacks) parts.push(`${packs.overflowMode === "ratio" ? "Ratio" : "Cycle"} (${row.overflowPacks})`);
+  const rule = parts.join(" + ");
+  return row.redirectedFrom ? `${rule} — from ${row.redirectedFrom}` : rule;
+}
+
+function buildPackRows(packs) {
+  const rows = [["Location", "Packs", "Assigned by"]];
+  for (const row of packs.stores || []) {
+    rows.push([row.location, row.packs, packRuleLabel(row, packs)]);
+  }
+  const assigned = (packs.stores || []).reduce((a, r) => a + Number(r.packs || 0), 0);
+  const unassigned = Number(packs.unassignedPacks || 0);
+  rows.push(["TOTAL", assigned, unassigned ? `${unassigned} pack(s) left to Warehouse` : ""]);
+  return rows;
+}
+
 // ── Shared layout pieces ─────────────────────────────────────────────────────
 
 function drawBanner(doc, { title, po, margin, pageWidth }) {
@@ -136,6 +157,20 @@ function drawBanner(doc, { title, po, margin, pageWidth }) {
   doc.y = bannerY + bannerH + 14;
 }
 
+function drawVoidWatermark(doc) {
+  const cx = doc.page.width / 2;
+  const cy = doc.page.height / 2;
+  const { x, y } = doc;
+  doc.save();
+  doc.rotate(-35, { origin: [cx, cy] });
+  doc.font("Helvetica-Bold").fontSize(150).fillColor(VOID_RED).fillOpacity(0.12)
+    .text("VOID", 0, cy - 75, { width: doc.page.width, align: "center", lineBreak: false });
+  doc.restore();
+  doc.fillOpacity(1);
+  doc.x = x;
+  doc.y = y;
+}
+
 function drawMeta(doc, { productLabel, createdAtISO, margin, pageWidth }) {
   const title   = productTitle(productLabel);
   const dateStr = fmtDate(createdAtISO);
@@ -171,7 +206,7 @@ function drawSectionLabel(doc, label, margin, pageWidth) {
 // ════════════════════════════════════════════════════════════════════════════
 //  Allocation PDF
 // ════════════════════════════════════════════════════════════════════════════
-export function buildAllocationPdf({ username, po, productLabel, sizes, locations, allocation, createdAtISO, buy, ship, notes }) {
+export function buildAllocationPdf({ username, po, productLabel, sizes, locations, allocation, createdAtISO, buy, ship, ruleSet, notes }) {
   const doc = new PDFDocument({ margin: 36 });
   const buffers = [];
   doc.on("data", (d) => buffers.push(d));
@@ -202,10 +237,40 @@ export function buildAllocationPdf({ username, po, productLabel, sizes, location
     rowHeight: 22,
     rows: buildBuyShipRows(sizes, buy || {}, ship || {})
   });
+  let afterSummary = afterBuyShip;
+
+  // Packs per store + the rule that assigned them (only for auto-allocations)
+  const packs = ruleSet?.packs;
+  if (packs && Array.isArray(packs.stores)) {
+    doc.y = afterBuyShip + 18;
+    const overflowNote = packs.overflowMode
+      ? ` · packs past #${packs.sequenceLength}: ${packs.overflowMode}`
+      : "";
+    const curveNote = ruleSet.mode === "size-curve" ? " · sizes split by store sell-through" : "";
+    drawSectionLabel(
+      doc,
+      `PACKS — ${packs.totalPacks} × ${packs.packSize} units · rule set "${ruleSet.name || ruleSet.id}" v${ruleSet.version ?? 0}${overflowNote}${curveNote}`,
+      margin,
+      pageWidth
+    );
+    afterSummary = drawTable(doc, {
+      x: margin,
+      y: doc.y,
+      colWidths: [110, 58, pageWidth - 168],
+      rowHeight: 20,
+      rows: buildPackRows(packs)
+    });
+    if (ruleSet.edited) {
+      doc.y = afterSummary + 4;
+      doc.font("Helvetica-Oblique").fontSize(8).fillColor(SECTION_LBL)
+        .text("Matrix was adjusted by hand after auto-allocation.", margin, doc.y, { width: pageWidth });
+      afterSummary = doc.y;
+    }
+  }
 
   // Notes (if provided)
   if (notes && notes.trim()) {
-    doc.y = afterBuyShip + 18;
+    doc.y = afterSummary + 18;
     doc.font("Helvetica-Bold").fontSize(10).fillColor(SECTION_LBL)
       .text("Notes:", margin, doc.y, { width: pageWidth });
     doc.moveDown(0.25);
@@ -220,7 +285,11 @@ export function buildAllocationPdf({ username, po, productLabel, sizes, location
 // ════════════════════════════════════════════════════════════════════════════
 //  Closeout PDF  (Allocation + Scanned)
 // ════════════════════════════════════════════════════════════════════════════
-export function buildCloseoutPdf({ username, po, productLabel, sizes, locations, allocation, scanned, createdAtISO, buy, ship }) {
+// `voided` ({ at, by, reason }) turns it into the record of a voided
+// closeout: VOID banner + watermark, and `scanned` is what was reversed.
+// `receipt` ({ number, matrix, units }) adds the units new in this partial
+// receipt under the cumulative scan.
+export function buildCloseoutPdf({ username, po, productLabel, sizes, locations, allocation, scanned, createdAtISO, buy, ship, voided, receipt }) {
   const doc = new PDFDocument({ margin: 36 });
   const buffers = [];
   doc.on("data", (d) => buffers.push(d));
@@ -231,8 +300,15 @@ export function buildCloseoutPdf({ username, po, productLabel, sizes, locations,
   const colWidths = calcColWidths(sizes, pageWidth);
   const rowHeight = 24;
 
-  drawBanner(doc, { title: "RECEIVING CLOSEOUT", po, margin, pageWidth });
+  if (voided) drawVoidWatermark(doc);
+  drawBanner(doc, { title: voided ? "VOID — RECEIVING CLOSEOUT" : "RECEIVING CLOSEOUT", po, margin, pageWidth });
   drawMeta(doc, { productLabel, createdAtISO, margin, pageWidth });
+  if (voided) {
+    const reason = voided.reason ? ` Reason: ${voided.reason}` : "";
+    doc.font("Helvetica-Bold").fontSize(11).fillColor(VOID_RED)
+      .text(`VOIDED ${fmtDate(voided.at)} by ${voided.by || "unknown"}. The scanned units below were reversed in Shopify.${reason}`, margin, doc.y, { width: pageWidth });
+    doc.moveDown(0.75);
+  }
 
   drawSectionLabel(doc, "ALLOCATION", margin, pageWidth);
   const afterAlloc = drawTable(doc, {
@@ -250,12 +326,22 @@ export function buildCloseoutPdf({ username, po, productLabel, sizes, locations,
   });
   doc.y = afterBuyShip + 20;
 
-  drawSectionLabel(doc, "SCANNED", margin, pageWidth);
-  drawTable(doc, {
+  drawSectionLabel(doc, voided ? "SCANNED (REVERSED)" : receipt ? "SCANNED — ALL RECEIPTS" : "SCANNED", margin, pageWidth);
+  const afterScanned = drawTable(doc, {
     x: margin, y: doc.y, colWidths, rowHeight,
     rows: buildMatrixRows({ sizes, locations, mat: scanned })
   });
 
+  if (receipt) {
+    if (afterScanned + 40 + rowHeight * (locations.length + 2) > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    else doc.y = afterScanned + 20;
+    drawSectionLabel(doc, `THIS RECEIPT (#${receipt.number}) — ${receipt.units} UNIT${receipt.units === 1 ? "" : "S"}`, margin, pageWidth);
+    drawTable(doc, {
+      x: margin, y: doc.y, colWidths, rowHeight,
+      rows: buildMatrixRows({ sizes, locations, mat: receipt.matrix || {} })
+    });
+  }
+
   doc.end();
   return done;
 }
@@ -458,7 +544,7 @@ function fitFontSize(doc, text, fontName, maxSize, minSize, maxWidth) {
   return size;
 }
 
-export function buildBinLabelPdf({ styleName, color }) {
+export function buildBinLabelPdf({ styleName, color, sizes }) {
   const WIDTH = 936;     // 13 inches at 72pt/in
   const HEIGHT = 172.8;  // 2.4 inches at 72pt/in
   const MARGIN = 7.2;    // 0.1 inches
@@ -479,7 +565,7 @@ export function buildBinLabelPdf({ styleName, color }) {
   doc.text(styleText, MARGIN, 2, { width: printW, align: "center", lineBreak: false });
 
   // Size run — anchored to bottom
-  const sizeRunText = "XXS     XS     S     M     L     XL     XXL";
+  const sizeRunText = (sizes && sizes.length ? sizes : ["XXS", "XS", "S", "M", "L", "XL", "XXL"]).join("     ");
   doc.font("Helvetica").fontSize(18).fillColor("#000000");
   const sizeRunY = HEIGHT - 22;
   doc.text(sizeRunText, MARGIN, sizeRunY, { width: printW, align: "center", lineBreak: false });
@@ -0,0 +1,122 @@
+// server/recordVersions.js
+//
+// Versions and three-way merges for the matrices stored on a record — the
+// typed scan / allocation docs from shared/scanSchema.js. What's compared is
+// the user-edited part: the matrix, plus an allocation's rule set as one
+// whole value. A scan's meta, receipts and submissions are server-managed and
+// don't count.
+//
+// A version is a hash of that content, so the client can send the version
+// its edit was based on and the server can tell whether someone else saved
+// in between. Zero cells are dropped before hashing — a missing cell and a 0
+// are the same thing to every reader of these blobs.
+import crypto from "crypto";
+
+// The rule set rides along in the compared view as a `_` key.
+const RULE_SET_KEY = "_ruleSet";
+
+function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+// Size cells are compared as numbers; `_` keys and anything else that isn't
+// a location row compare as a whole.
+function isLeafKey(key, ...values) {
+  return key.startsWith("_") || values.some((v) => v !== undefined && !isPlainObject(v));
+}
+
+function cellValue(row, size) {
+  return Number(row?.[size] ?? 0);
+}
+
+function canonical(matrix) {
+  const out = {};
+  for (const key of Object.keys(matrix || {}).sort()) {
+    const value = matrix[key];
+    if (isLeafKey(key, value)) {
+      if (value !== undefined && value !== null) out[key] = value;
+      continue;
+    }
+    const row = {};
+    for (const size of Object.keys(value).sort()) {
+      const n = cellValue(value, size);
+      if (n) row[size] = n;
+    }
+    if (Object.keys(row).length) out[key] = row;
+  }
+  return out;
+}
+
+function view(doc) {
+  const v = { ...(doc?.matrix || {}) };
+  if (doc?.ruleSet) v[RULE_SET_KEY] = doc.ruleSet;
+  return v;
+}
+
+/** Version of a typed doc's matrix (+ rule set). */
+export function docVersion(doc) {
+  const json = JSON.stringify(canonical(view(doc)));
+  return crypto.createHash("sha256").update(json).digest("hex").slice(0, 16);
+}
+
+function same(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function mergeViews(base, ours, theirs) {
+  const merged = {};
+  const conflicts = [];
+  const keys = new Set([...Object.keys(base || {}), ...Object.keys(ours || {}), ...Object.keys(theirs || {})]);
+
+  for (const key of keys) {
+    const b = base?.[key];
+    const o = ours?.[key];
+    const t = theirs?.[key];
+
+    if (isLeafKey(key, b, o, t)) {
+      if (same(o, t) || same(o, b)) merged[key] = t;
+      else if (same(t, b)) merged[key] = o;
+      else {
+        merged[key] = t;
+        conflicts.push({ location: key, size: null, base: b ?? null, ours: o ?? null, theirs: t ?? null });
+      }
+      if (merged[key] === undefined) delete merged[key];
+      continue;
+    }
+
+    const row = {};
+    const sizes = new Set([...Object.keys(b || {}), ...Object.keys(o || {}), ...Object.keys(t || {})]);
+    for (const size of sizes) {
+      const bv = cellValue(b, size);
+      const ov = cellValue(o, size);
+      const tv = cellValue(t, size);
+      if (ov === tv || ov === bv) row[size] = tv;
+      else if (tv === bv) row[size] = ov;
+      else {
+        row[size] = tv;
+        conflicts.push({ location: key, size, base: bv, ours: ov, theirs: tv });
+      }
+    }
+    merged[key] = row;
+  }
+
+  return { merged, conflicts };
+}
+
+/**
+ * Three-way merge of `ours` (the edit being saved) and `theirs` (what's
+ * stored now) against `base` (what the edit started from), cell by cell.
+ * A cell only one side changed takes that side's value; a cell both changed
+ * differently is a conflict and keeps `theirs` in `merged`.
+ *
+ * -> { merged: { matrix, ruleSet }, conflicts: [{ location, size, base, ours, theirs }] }
+ *    (location and size are null for a rule set conflict)
+ */
+export function mergeDocs(base, ours, theirs) {
+  const { merged, conflicts } = mergeViews(view(base), view(ours), view(theirs));
+  const { [RULE_SET_KEY]: ruleSet, ...matrix } = merged;
+  return {
+    merged: { matrix, ruleSet: ruleSet || null },
+    conflicts: conflicts.map((c) => (c.location === RULE_SET_KEY ? { ...c, location: null } : c))
+  };
+}
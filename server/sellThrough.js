@@ -0,0 +1,175 @@
+// server/sellThrough.js
+//
+// Per-store, per-size sell-through weights for size-curve allocation.
+// Weights are raw unit counts ({ [location]: { [size]: units } }); the
+// allocation engine turns them into each store's size curve.
+//
+// Two ways in:
+//   - a CSV export of Shopify sales (location, size/variant, quantity columns)
+//   - a local orders file (SELL_THROUGH_ORDERS_PATH), JSON array of orders
+//     shaped like Shopify's REST order: { location_name, line_items: [{ variant_title, quantity }] }
+//
+// The latest import replaces the previous one and is persisted to a local
+// JSON file (SELL_THROUGH_PATH).
+import fs from "fs";
+import path from "path";
+import { normalizeSizeValue } from "./sizeScales.js";
+
+function storePath() {
+  return process.env.SELL_THROUGH_PATH || path.join(process.cwd(), "sell_through.json");
+}
+
+function ordersPath() {
+  return process.env.SELL_THROUGH_ORDERS_PATH || path.join(process.cwd(), "orders.json");
+}
+
+const EMPTY = { weights: {}, source: null, importedAt: null, importedBy: null, rowCount: 0, skipped: [] };
+
+export function getSellThrough() {
+  try {
+    const p = storePath();
+    if (!fs.existsSync(p)) return { ...EMPTY };
+    return { ...EMPTY, ...JSON.parse(fs.readFileSync(p, "utf8")) };
+  } catch (e) {
+    console.error("[sell-through] Could not read weights:", e.message);
+    return { ...EMPTY };
+  }
+}
+
+function saveSellThrough(data) {
+  const p = storePath();
+  const dir = path.dirname(p);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(p, JSON.stringify(data, null, 2));
+}
+
+// Minimal RFC 4180 parser: quoted fields, doubled quotes, CRLF.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = String(text || "").replace(/^﻿/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field); field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      if (row.some((c) => c.trim())) rows.push(row);
+      row = [];
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some((c) => c.trim())) rows.push(row);
+  return rows;
+}
+
+/** Pull a known size out of "XS", "Black / XS", "XS / Black"… */
+function sizeFromVariant(val, sizes) {
+  for (const part of String(val || "").split("/")) {
+    const s = normalizeSizeValue(part);
+    if (sizes.includes(s)) return s;
+  }
+  return null;
+}
+
+function matchLocation(val, locations) {
+  const want = String(val || "").trim().toLowerCase();
+  return locations.find((l) => l.toLowerCase() === want) || null;
+}
+
+// Header aliases, lower-cased. Covers Shopify's sales report exports.
+const LOCATION_HEADERS = ["location", "store", "location name", "pos location name", "pos location"];
+const SIZE_HEADERS = ["size", "variant title", "product variant title", "variant"];
+const QTY_HEADERS = ["quantity", "net quantity", "units", "net items sold", "qty"];
+
+function findColumn(header, names) {
+  return header.findIndex((h) => names.includes(h.trim().toLowerCase()));
+}
+
+// Sum rows into weights; rows we can't place are reported, not fatal.
+function accumulate(entries, { locations, sizes }) {
+  const weights = {};
+  const skipped = [];
+  for (const e of entries) {
+    const loc = matchLocation(e.location, locations);
+    const size = sizeFromVariant(e.size, sizes);
+    const qty = Number(e.quantity);
+    if (!loc || !size || !Number.isFinite(qty)) {
+      if (skipped.length < 50) skipped.push({ ...e, reason: !loc ? "unknown location" : !size ? "unknown size" : "bad quantity" });
+      continue;
+    }
+    weights[loc] = weights[loc] || {};
+    weights[loc][size] = (weights[loc][size] || 0) + qty;
+  }
+  // Net returns can push a cell negative; that means "no demand", not negative demand.
+  for (const loc of Object.keys(weights)) {
+    for (const s of Object.keys(weights[loc])) {
+      if (weights[loc][s] <= 0) delete weights[loc][s];
+    }
+  }
+  return { weights, skipped };
+}
+
+/** Replace the weights with the totals from a Shopify sales CSV. */
+export function importSellThroughCsv(csvText, { locations, sizes }, username) {
+  const rows = parseCsv(csvText);
+  if (rows.length < 2) throw new Error("CSV has no data rows");
+
+  const header = rows[0];
+  const li = findColumn(header, LOCATION_HEADERS);
+  const si = findColumn(header, SIZE_HEADERS);
+  const qi = findColumn(header, QTY_HEADERS);
+  if (li < 0 || si < 0 || qi < 0) {
+    throw new Error("CSV needs location, size (or variant title) and quantity columns");
+  }
+
+  const entries = rows.slice(1).map((r) => ({ location: r[li], size: r[si], quantity: r[qi] }));
+  const { weights, skipped } = accumulate(entries, { locations, sizes });
+  if (!Object.keys(weights).length) throw new Error("No rows matched a known location and size");
+
+  const data = { weights, source: "csv", importedAt: new Date().toISOString(), importedBy: username || "unknown", rowCount: entries.length, skipped };
+  saveSellThrough(data);
+  return data;
+}
+
+/** Replace the weights with totals computed from the local orders file. */
+export function importSellThroughFromOrders({ locations, sizes }, username) {
+  const p = ordersPath();
+  if (!fs.existsSync(p)) throw new Error(`Orders file not found: ${p}`);
+
+  const json = JSON.parse(fs.readFileSync(p, "utf8"));
+  const orders = Array.isArray(json) ? json : Array.isArray(json?.orders) ? json.orders : [];
+  if (!orders.length) throw new Error("Orders file has no orders");
+
+  const entries = [];
+  for (const o of orders) {
+    const location = o.location_name ?? o.locationName ?? o.location ?? "";
+    for (const li of o.line_items || o.lineItems || []) {
+      const refunded = Number(li.refunded_quantity ?? li.refundedQuantity ?? 0);
+      entries.push({
+        location,
+        size: li.size ?? li.variant_title ?? li.variantTitle ?? "",
+        quantity: Number(li.quantity ?? 0) - refunded
+      });
+    }
+  }
+
+  const { weights, skipped } = accumulate(entries, { locations, sizes });
+  if (!Object.keys(weights).length) throw new Error("No line items matched a known location and size");
+
+  const data = { weights, source: "orders", importedAt: new Date().toISOString(), importedBy: username || "unknown", rowCount: entries.length, skipped };
+  saveSellThrough(data);
+  return data;
+}
@@ -1,27 +1,43 @@
 import { getShopifyAccessToken } from "./shopifyTokenStore.js";
+import { createShopifyClient } from "./shopifyClient.js";
+import { resolveShop } from "./shops.js";
 
-const SHOP = process.env.SHOPIFY_SHOP; // yakirabella.myshopify.com
 const API_VERSION = process.env.SHOPIFY_API_VERSION || "2025-01";
 
-function gqlEndpoint() {
-  if (!SHOP) throw new Error("Missing SHOPIFY_SHOP env var");
-  return `https://${SHOP}/admin/api/${API_VERSION}/graphql.json`;
+// Every exported call takes an optional `shop` (see shops.js); blank means the
+// default SHOPIFY_SHOP. SHOPIFY_GRAPHQL_URL points every call somewhere else
+// (e.g. a local mock server).
+function gqlEndpoint(shop) {
+  if (process.env.SHOPIFY_GRAPHQL_URL) return process.env.SHOPIFY_GRAPHQL_URL;
+  return `https://${shop}/admin/api/${API_VERSION}/graphql.json`;
 }
 
-async function shopifyGraphQL(query, variables) {
-  const token = getShopifyAccessToken();
+// One client per shop: each shop has its own cost bucket and token.
+const clients = new Map();
+
+function clientFor(shop) {
+  const s = resolveShop(shop);
+  if (!clients.has(s)) {
+    clients.set(
+      s,
+      createShopifyClient({
+        endpoint: () => gqlEndpoint(s),
+        getToken: () => getShopifyAccessToken(s),
+        maxRetries: Number(process.env.SHOPIFY_MAX_RETRIES || 5),
+        timeoutMs: Number(process.env.SHOPIFY_TIMEOUT_MS || 30000)
+      })
+    );
+  }
+  return clients.get(s);
+}
 
-  const resp = await fetch(gqlEndpoint(), {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-Shopify-Access-Token": token
-    },
-    body: JSON.stringify({ query, variables })
-  });
+function shopifyGraphQL(query, variables, shop) {
+  return clientFor(shop).request(query, variables);
+}
 
-  const json = await resp.json().catch(() => ({}));
-  return { ok: resp.ok, status: resp.status, json };
+// Calls, retries, throttles and query cost since the server started.
+export function getShopifyMetrics(shop) {
+  return clientFor(shop).getMetrics();
 }
 
 function extractUserErrors(json) {
@@ -32,23 +48,34 @@ function extractUserErrors(json) {
   return obj?.userErrors || [];
 }
 
-// Your fixed mapping of store locations -> Shopify Location GIDs
-// IMPORTANT: l.id must be a GID like gid://shopify/Location/12345
-const LOCATIONS = [
-  { name: "Office",       id: "gid://shopify/Location/69648253025" },
-  { name: "Bogota",       id: "gid://shopify/Location/20363018337" },
-  { name: "Cedarhurst",   id: "gid://shopify/Location/31679414369" },
-  { name: "Teaneck Store",id: "gid://shopify/Location/33027424353" },
-  { name: "Toms River",   id: "gid://shopify/Location/62070161505" },
-  { name: "Warehouse",    id: "gid://shopify/Location/68496293985" }
-];
+// All Shopify locations -> [{ id, name, isActive }]. The app's own location
+// list (names, order, office/sink roles) lives in locationRegistry.js.
+export async function fetchShopifyLocations(shop) {
+  const q = `
+    query {
+      locations(first: 50, includeInactive: true) {
+        edges {
+          node {
+            id
+            name
+            isActive
+          }
+        }
+      }
+    }
+  `;
+
+  const { ok, status, json } = await shopifyGraphQL(q, {}, shop);
+
+  if (!ok || json.errors) {
+    throw new Error(`Shopify locations query failed (${status}): ${JSON.stringify(json.errors || json)}`);
+  }
 
-export function getLocations() {
-  return LOCATIONS;
+  return (json?.data?.locations?.edges || []).map((e) => e.node);
 }
 
 // Lookup variant by barcode -> returns { productId, variantId }
-export async function lookupVariantByBarcode(barcode) {
+export async function lookupVariantByBarcode(barcode, shop) {
   const q = `
     query VariantByBarcode($q: String!) {
       productVariants(first: 1, query: $q) {
@@ -63,7 +90,7 @@ export async function lookupVariantByBarcode(barcode) {
     }
   `;
 
-  const { ok, status, json } = await shopifyGraphQL(q, { q: `barcode:${barcode}` });
+  const { ok, status, json } = await shopifyGraphQL(q, { q: `barcode:${barcode}` }, shop);
 
   if (!ok || json.errors) {
     throw new Error(`Shopify barcode lookup failed (${status}): ${JSON.stringify(json.errors || json)}`);
@@ -78,8 +105,10 @@ export async function lookupVariantByBarcode(barcode) {
   };
 }
 
-// Fetch all variants for a product with barcode + size option value + inventoryItemId
-export async function fetchProductVariants(productId) {
+// Fetch all variants for a product with barcode + size option value + inventoryItemId.
+// The size option is found by name (SHOPIFY_SIZE_OPTION_NAMES) or inside a
+// combined option; sizeValue is "" when a variant has neither.
+export async function fetchProductVariants(productId, shop) {
   const q = `
     query ProductVariants($id: ID!) {
       product(id: $id) {
@@ -99,7 +128,7 @@ export async function fetchProductVariants(productId) {
     }
   `;
 
-  const { ok, status, json } = await shopifyGraphQL(q, { id: productId });
+  const { ok, status, json } = await shopifyGraphQL(q, { id: productId }, shop);
 
   if (!ok || json.errors) {
     throw new Error(`Shopify product fetch failed (${status}): ${JSON.stringify(json.errors || json)}`);
@@ -108,21 +137,129 @@ export async function fetchProductVariants(productId) {
   const p = json?.data?.product;
   if (!p) throw new Error("Product not found in Shopify");
 
-  const variants = (p.variants?.edges || []).map(({ node }) => {
-    const sizeOpt = (node.selectedOptions || []).find((o) => String(o.name || "").toLowerCase() === "size");
-    return {
-      variantId: node.id,
-      barcode: node.barcode || "",
-      sizeValue: sizeOpt?.value || "",
-      inventoryItemId: node.inventoryItem?.id || ""
-    };
-  });
+  const variants = (p.variants?.edges || []).map(({ node }) => toVariant(node));
 
   return { productId: p.id, title: p.title, variants };
 }
 
+// Option names that hold the size, lower-cased. "Size" always counts;
+// SHOPIFY_SIZE_OPTION_NAMES adds vendor spellings, e.g. "Talla,Sizes,Taille".
+const SIZE_OPTION_NAMES = [
+  ...new Set(["size", ...(process.env.SHOPIFY_SIZE_OPTION_NAMES || "").split(",").map((s) => s.trim().toLowerCase()).filter(Boolean)])
+];
+// Same for the color option ("Color" / "Colour" unless SHOPIFY_COLOR_OPTION_NAMES).
+const COLOR_OPTION_NAMES = (process.env.SHOPIFY_COLOR_OPTION_NAMES || "Color,Colour")
+  .split(",")
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+// Separator inside combined options ("Size/Color" = "M / Black").
+const COMBINED_OPTION_SEPARATOR = process.env.SHOPIFY_COMBINED_OPTION_SEPARATOR || "/";
+
+// Value of the option named in `names` from a variant's selectedOptions: a
+// plain option by name, else its part of a combined option. "" when there's none.
+function optionValue(selectedOptions, names) {
+  const matches = (name) => names.includes(String(name || "").trim().toLowerCase());
+  const opts = selectedOptions || [];
+  const direct = opts.find((o) => matches(o.name));
+  if (direct) return String(direct.value || "").trim();
+
+  for (const o of opts) {
+    const parts = String(o.name || "").split(COMBINED_OPTION_SEPARATOR);
+    if (parts.length < 2) continue;
+    const i = parts.findIndex(matches);
+    const values = String(o.value || "").split(COMBINED_OPTION_SEPARATOR);
+    if (i >= 0 && values.length === parts.length) return values[i].trim();
+  }
+  return "";
+}
+
+/**
+ * The variants a record owns: all of them, or only those whose color option
+ * matches the record's Shopify color (case-insensitive) when it has one.
+ */
+export function variantsForColor(variants, color) {
+  const want = String(color || "").trim().toLowerCase();
+  if (!want) return variants || [];
+  return (variants || []).filter((v) => String(v.colorValue || "").trim().toLowerCase() === want);
+}
+
+// GraphQL variant node -> { variantId, barcode, sizeValue, colorValue, inventoryItemId, options }
+function toVariant(node) {
+  return {
+    variantId: node.id,
+    barcode: node.barcode || "",
+    sizeValue: optionValue(node.selectedOptions, SIZE_OPTION_NAMES),
+    colorValue: optionValue(node.selectedOptions, COLOR_OPTION_NAMES),
+    inventoryItemId: node.inventoryItem?.id || "",
+    options: (node.selectedOptions || []).map((o) => ({ name: o.name, value: o.value }))
+  };
+}
+
+// products/create|update webhook payload (REST shape) -> same shape as
+// fetchProductVariants, so the variant cache can be updated without a call.
+export function productFromWebhook(payload) {
+  const productId = payload?.admin_graphql_api_id || (payload?.id ? `gid://shopify/Product/${payload.id}` : null);
+  if (!productId) return null;
+
+  const options = (payload.options || []).map((o, i) => ({ name: o.name, position: o.position || i + 1 }));
+  const variants = (payload.variants || []).map((v) => ({
+    id: v.admin_graphql_api_id || `gid://shopify/ProductVariant/${v.id}`,
+    barcode: v.barcode,
+    inventoryItem: v.inventory_item_id ? { id: `gid://shopify/InventoryItem/${v.inventory_item_id}` } : null,
+    selectedOptions: options.map((o) => ({ name: o.name, value: v[`option${o.position}`] ?? "" }))
+  }));
+
+  return { productId, title: payload.title || "", variants: variants.map(toVariant) };
+}
+
+// Current "available" per inventory item × location.
+// Returns Map `${inventoryItemId}|${locationId}` -> quantity; a pair missing
+// from the map isn't stocked at that location yet.
+export async function fetchInventoryLevels(inventoryItemIds, shop) {
+  const ids = [...new Set(inventoryItemIds || [])].filter(Boolean);
+  const levels = new Map();
+  if (!ids.length) return levels;
+
+  const q = `
+    query InventoryLevels($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on InventoryItem {
+          id
+          inventoryLevels(first: 100) {
+            edges {
+              node {
+                location { id }
+                quantities(names: ["available"]) { name quantity }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  // nodes() takes at most 250 ids per call
+  for (let i = 0; i < ids.length; i += 250) {
+    const { ok, status, json } = await shopifyGraphQL(q, { ids: ids.slice(i, i + 250) }, shop);
+
+    if (!ok || json.errors) {
+      throw new Error(`Shopify inventory levels query failed (${status}): ${JSON.stringify(json.errors || json)}`);
+    }
+
+    for (const item of json?.data?.nodes || []) {
+      if (!item?.id) continue;
+      for (const { node } of item.inventoryLevels?.edges || []) {
+        const available = (node.quantities || []).find((x) => x.name === "available");
+        levels.set(`${item.id}|${node.location?.id}`, Number(available?.quantity ?? 0));
+      }
+    }
+  }
+
+  return levels;
+}
+
 // NEW: Search products by title (for manual Shopify linking)
-export async function searchProductsByTitle(title, first = 10) {
+export async function searchProductsByTitle(title, first = 10, shop) {
   const q = `
     query ProductSearch($q: String!, $first: Int!) {
       products(first: $first, query: $q) {
@@ -137,7 +274,7 @@ export async function searchProductsByTitle(title, first = 10) {
   `;
 
   const queryString = `title:*${title}*`;
-  const { ok, status, json } = await shopifyGraphQL(q, { q: queryString, first });
+  const { ok, status, json } = await shopifyGraphQL(q, { q: queryString, first }, shop);
 
   if (!ok || json.errors) {
     throw new Error(`Shopify product search failed (${status}): ${JSON.stringify(json.errors || json)}`);
@@ -147,28 +284,67 @@ export async function searchProductsByTitle(title, first = 10) {
   return edges.map((e) => ({ productId: e.node.id, title: e.node.title }));
 }
 
-// Ensure an inventory item is stocked at a location (otherwise adjust fails)
-async function inventoryActivate(inventoryItemId, locationId) {
-  const m = `
-    mutation Activate($inventoryItemId: ID!, $locationId: ID!) {
-      inventoryActivate(inventoryItemId: $inventoryItemId, locationId: $locationId) {
-        inventoryLevel { id }
-        userErrors { field message }
-      }
+const ACTIVATE_BATCH = 25; // aliased inventoryActivate calls per request
+
+// Stock inventory items at locations (otherwise adjust fails), several per
+// request via aliased mutations. pairs: [{ inventoryItemId, locationId }]
+async function inventoryActivateMany(pairs, shop) {
+  const results = [];
+
+  for (let i = 0; i < pairs.length; i += ACTIVATE_BATCH) {
+    const batch = pairs.slice(i, i + ACTIVATE_BATCH);
+    const params = batch.map((_, j) => `$i${j}: ID!, $l${j}: ID!`).join(", ");
+    const fields = batch
+      .map((_, j) => `a${j}: inventoryActivate(inventoryItemId: $i${j}, locationId: $l${j}) { inventoryLevel { id } userErrors { field message } }`)
+      .join("\n      ");
+    const m = `
+    mutation ActivateMany(${params}) {
+      ${fields}
     }
   `;
+    const variables = {};
+    batch.forEach((p, j) => {
+      variables[`i${j}`] = p.inventoryItemId;
+      variables[`l${j}`] = p.locationId;
+    });
 
-  const { ok, status, json } = await shopifyGraphQL(m, { inventoryItemId, locationId });
-  const userErrors = extractUserErrors(json);
+    const { ok, status, json } = await shopifyGraphQL(m, variables, shop);
+    batch.forEach((p, j) => {
+      const userErrors = json?.data?.[`a${j}`]?.userErrors || [];
+      results.push({ step: "activate", ...p, ok: ok && !json.errors && userErrors.length === 0, userErrors, status });
+    });
+  }
+
+  return results;
+}
 
-  return { ok: ok && !json.errors && userErrors.length === 0, status, json, userErrors };
+// Before a write, activate the item/location pairs that aren't stocked yet.
+// One levels query finds them; if it fails, activate every pair (harmless
+// when already stocked) and return null. Activation errors don't hard-fail
+// here — the write reports anything that really can't be applied.
+// Returns the levels map that was read.
+async function activateUnstocked(changes, results, shop) {
+  const pairs = [...new Map(changes.map((c) => [`${c.inventoryItemId}|${c.locationId}`, c])).entries()];
+  let levels = null;
+  let missing = pairs;
+  try {
+    levels = await fetchInventoryLevels(pairs.map(([, c]) => c.inventoryItemId), shop);
+    missing = pairs.filter(([key]) => !levels.has(key));
+  } catch (e) {
+    results.push({ step: "levels", ok: false, error: e.message });
+  }
+  if (missing.length) {
+    results.push(...(await inventoryActivateMany(missing.map(([, c]) => ({ inventoryItemId: c.inventoryItemId, locationId: c.locationId })), shop)));
+  }
+  return levels;
 }
 
 // Adjust inventory quantities by delta
 export async function adjustInventoryQuantities({
   name = "available",
   reason = "correction",
-  changes = []
+  changes = [],
+  shop
 }) {
   if (!Array.isArray(changes) || changes.length === 0) return { ok: true, skipped: true };
 
@@ -186,12 +362,7 @@ export async function adjustInventoryQuantities({
     }
   `;
 
-  // Before adjust, activate each inventory item at each location (safe + prevents common failure)
-  for (const c of changes) {
-    const a = await inventoryActivate(c.inventoryItemId, c.locationId);
-    results.push({ step: "activate", ...c, ok: a.ok, userErrors: a.userErrors, status: a.status });
-    // activation can error harmlessly if already stocked; we don’t hard-fail here
-  }
+  await activateUnstocked(changes, results, shop);
 
   const input = {
     name,
@@ -203,7 +374,7 @@ export async function adjustInventoryQuantities({
     }))
   };
 
-  const { ok, status, json } = await shopifyGraphQL(m, { input });
+  const { ok, status, json } = await shopifyGraphQL(m, { input }, shop);
   const userErrors = extractUserErrors(json);
 
   if (!ok || json.errors || userErrors.length) {
@@ -216,5 +387,257 @@ export async function adjustInventoryQuantities({
     return { ok: false, status, errors, debug: { results, response: json } };
   }
 
-  return { ok: true, status, debug: { results } };
+  const adjustmentGroupId = json?.data?.inventoryAdjustQuantities?.inventoryAdjustmentGroup?.id || null;
+  return { ok: true, status, adjustmentGroupId, debug: { results } };
+}
+
+// Set absolute quantities, guarded by compare-quantity: each change is
+// { inventoryItemId, locationId, delta, compareQuantity } and becomes
+// quantity = compareQuantity + delta. If Shopify's quantity no longer equals
+// compareQuantity (someone sold or adjusted in between), Shopify rejects the
+// whole set and nothing is written; that comes back as
+//   { ok: false, stale: true, conflicts: [{ inventoryItemId, locationId, expected, actual }] }
+// with `actual` re-read after the rejection. A change without compareQuantity
+// is compared against the level read just before the write (0 if unstocked).
+export async function setInventoryQuantities({
+  name = "available",
+  reason = "correction",
+  changes = [],
+  shop
+}) {
+  if (!Array.isArray(changes) || changes.length === 0) return { ok: true, skipped: true };
+
+  const results = [];
+  const levels = await activateUnstocked(changes, results, shop);
+
+  const quantities = [];
+  for (const c of changes) {
+    let compareQuantity = c.compareQuantity;
+    if (compareQuantity === undefined || compareQuantity === null) {
+      if (!levels) {
+        return {
+          ok: false,
+          errors: [{ step: "set", message: "Could not read current Shopify quantities to compare against" }],
+          debug: { results }
+        };
+      }
+      compareQuantity = levels.get(`${c.inventoryItemId}|${c.locationId}`) ?? 0;
+    }
+    compareQuantity = Number(compareQuantity);
+    quantities.push({
+      inventoryItemId: c.inventoryItemId,
+      locationId: c.locationId,
+      quantity: compareQuantity + Number(c.delta || 0),
+      compareQuantity
+    });
+  }
+
+  const m = `
+    mutation SetQuantities($input: InventorySetQuantitiesInput!) {
+      inventorySetQuantities(input: $input) {
+        inventoryAdjustmentGroup { id }
+        userErrors { field message code }
+      }
+    }
+  `;
+
+  const { ok, status, json } = await shopifyGraphQL(
+    m,
+    { input: { name, reason, ignoreCompareQuantity: false, quantities } },
+    shop
+  );
+  const userErrors = extractUserErrors(json);
+
+  if (!ok || json.errors || userErrors.length) {
+    const staleErrors = userErrors.filter((e) => e?.code === "COMPARE_QUANTITY_STALE" || /compare.?quantity/i.test(e?.message || ""));
+    if (ok && !json.errors && staleErrors.length) {
+      // userError field is ["input", "quantities", "<index>", "compareQuantity"];
+      // without an index, every quantity is a suspect.
+      const indexes = new Set();
+      for (const e of staleErrors) {
+        const i = Array.isArray(e.field) ? Number(e.field[2]) : NaN;
+        if (Number.isInteger(i) && quantities[i]) indexes.add(i);
+      }
+      const suspects = indexes.size ? [...indexes].map((i) => quantities[i]) : quantities;
+
+      let current = null;
+      try {
+        current = await fetchInventoryLevels(suspects.map((q) => q.inventoryItemId), shop);
+      } catch (e) {
+        results.push({ step: "levels", ok: false, error: e.message });
+      }
+      const conflicts = suspects
+        .map((q) => ({
+          inventoryItemId: q.inventoryItemId,
+          locationId: q.locationId,
+          expected: q.compareQuantity,
+          actual: current ? current.get(`${q.inventoryItemId}|${q.locationId}`) ?? 0 : null
+        }))
+        .filter((c) => c.actual === null || c.actual !== c.expected);
+
+      return {
+        ok: false,
+        stale: true,
+        status,
+        conflicts,
+        errors: [{ step: "set", status, userErrors }],
+        debug: { results, response: json }
+      };
+    }
+
+    return {
+      ok: false,
+      status,
+      errors: [{ step: "set", status, errors: json.errors || null, userErrors }],
+      debug: { results, response: json }
+    };
+  }
+
+  const adjustmentGroupId = json?.data?.inventorySetQuantities?.inventoryAdjustmentGroup?.id || null;
+  return { ok: true, status, adjustmentGroupId, quantities, debug: { results } };
+}
+
+// Whole catalog (products -> variants) via a bulk operation export, for
+// rebuilding the variant cache and the catalog audit. Starts the export,
+// polls until Shopify has written the JSONL file, then downloads it. Variant
+// lines point at their product with __parentId. Variants come back in the
+// fetchProductVariants shape plus title and sku. Shopify runs one bulk query
+// per shop at a time.
+export async function exportAllProductVariants({ pollMs = 3000, timeoutMs = 15 * 60 * 1000, shop } = {}) {
+  const bulkQuery = `
+    {
+      products {
+        edges {
+          node {
+            id
+            title
+            variants {
+              edges {
+                node {
+                  id
+                  title
+                  sku
+                  barcode
+                  inventoryItem { id }
+                  selectedOptions { name value }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const start = `
+    mutation BulkExport($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation { id status }
+        userErrors { field message }
+      }
+    }
+  `;
+
+  const { ok, status, json } = await shopifyGraphQL(start, { query: bulkQuery }, shop);
+  const userErrors = extractUserErrors(json);
+  if (!ok || json.errors || userErrors.length) {
+    throw new Error(`Shopify bulk export failed to start (${status}): ${JSON.stringify(json.errors || userErrors)}`);
+  }
+  const opId = json?.data?.bulkOperationRunQuery?.bulkOperation?.id;
+
+  const poll = `
+    query BulkExportStatus {
+      currentBulkOperation(type: QUERY) { id status errorCode objectCount url }
+    }
+  `;
+
+  const deadline = Date.now() + timeoutMs;
+  let op = null;
+  for (;;) {
+    await new Promise((resolve) => setTimeout(resolve, pollMs));
+    const r = await shopifyGraphQL(poll, {}, shop);
+    if (!r.ok || r.json.errors) {
+      throw new Error(`Shopify bulk export status failed (${r.status}): ${JSON.stringify(r.json.errors || r.json)}`);
+    }
+    op = r.json?.data?.currentBulkOperation;
+    if (!op || (opId && op.id !== opId)) throw new Error("Shopify bulk export was replaced by another bulk operation");
+    if (op.status === "COMPLETED") break;
+    if (["FAILED", "CANCELED", "CANCELING", "EXPIRED"].includes(op.status)) {
+      throw new Error(`Shopify bulk export ${op.status.toLowerCase()}${op.errorCode ? ` (${op.errorCode})` : ""}`);
+    }
+    if (Date.now() > deadline) throw new Error("Shopify bulk export timed out");
+  }
+
+  // No url = nothing matched (empty catalog)
+  if (!op.url) return [];
+
+  const resp = await fetch(op.url);
+  if (!resp.ok) throw new Error(`Could not download Shopify bulk export (${resp.status})`);
+  const text = await resp.text();
+
+  const exportVariant = (row) => ({ ...toVariant(row), title: row.title || "", sku: row.sku || "" });
+
+  const products = new Map();
+  const orphans = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    const row = JSON.parse(line);
+    if (row.__parentId) {
+      const product = products.get(row.__parentId);
+      if (product) product.variants.push(exportVariant(row));
+      else orphans.push(row);
+    } else if (row.id) {
+      products.set(row.id, { productId: row.id, title: row.title || "", variants: [] });
+    }
+  }
+  // JSONL lists parents first, but don't rely on it
+  for (const row of orphans) products.get(row.__parentId)?.variants.push(exportVariant(row));
+
+  return [...products.values()];
+}
+
+// Subscribe callbackUrl to products/create, products/update, products/delete
+// and inventory_levels/update. An existing subscription for the same topic +
+// URL comes back as a userError ("already been taken") and counts as subscribed.
+export async function registerWebhooks(callbackUrl, shop) {
+  const m = `
+    mutation Subscribe($topic: WebhookSubscriptionTopic!, $sub: WebhookSubscriptionInput!) {
+      webhookSubscriptionCreate(topic: $topic, webhookSubscription: $sub) {
+        webhookSubscription { id topic }
+        userErrors { field message }
+      }
+    }
+  `;
+
+  const results = [];
+  for (const topic of ["PRODUCTS_CREATE", "PRODUCTS_UPDATE", "PRODUCTS_DELETE", "INVENTORY_LEVELS_UPDATE"]) {
+    const { ok, status, json } = await shopifyGraphQL(m, { topic, sub: { callbackUrl, format: "JSON" } }, shop);
+    const userErrors = extractUserErrors(json);
+    const existing = userErrors.length > 0 && userErrors.every((e) => /taken/i.test(e?.message || ""));
+    results.push({
+      topic,
+      ok: ok && !json.errors && (userErrors.length === 0 || existing),
+      id: json?.data?.webhookSubscriptionCreate?.webhookSubscription?.id || null,
+      existing,
+      status,
+      errors: json.errors || (existing ? [] : userErrors)
+    });
+  }
+  return results;
+}
+
+// Scopes the shop's token actually has (works for env tokens too, where we
+// never saw the OAuth grant).
+export async function fetchAccessScopes(shop) {
+  const q = `
+    query AccessScopes {
+      currentAppInstallation { accessScopes { handle } }
+    }
+  `;
+
+  const { ok, status, json } = await shopifyGraphQL(q, {}, shop);
+  if (!ok || json.errors) {
+    throw new Error(`Shopify access scopes query failed (${status}): ${JSON.stringify(json.errors || json)}`);
+  }
+  return (json?.data?.currentAppInstallation?.accessScopes || []).map((s) => s.handle);
 }
@@ -1,37 +1,60 @@
 import crypto from "crypto";
-import fs from "fs";
-import path from "path";
+import { getDefaultShop } from "./shops.js";
 
-function tokenPath() {
-  return process.env.SHOPIFY_TOKEN_STORE_PATH || path.join(process.cwd(), "shopify_token.json");
+// Shopify signs webhooks with HMAC-SHA256 of the raw body, base64, in
+// X-Shopify-Hmac-Sha256. The key is the app's client secret (or, for a custom
+// app made in the Shopify admin, the secret shown under Notifications).
+export function verifyWebhookHmac(rawBody, hmacHeader) {
+  const secret = process.env.SHOPIFY_WEBHOOK_SECRET || process.env.SHOPIFY_CLIENT_SECRET;
+  if (!secret || !rawBody || !hmacHeader) return false;
+  const digest = crypto.createHmac("sha256", secret).update(rawBody).digest();
+  const given = Buffer.from(String(hmacHeader), "base64");
+  return given.length === digest.length && crypto.timingSafeEqual(given, digest);
 }
 
-export function loadTokenFromDisk() {
-  try {
-    const p = tokenPath();
-    if (!fs.existsSync(p)) return null;
-    const raw = fs.readFileSync(p, "utf8");
-    const json = JSON.parse(raw);
-    if (json?.access_token) return json.access_token;
-    return null;
-  } catch {
-    return null;
-  }
+export function makeState() {
+  return crypto.randomBytes(16).toString("hex");
 }
 
-export function saveTokenToDisk(accessToken) {
-  const p = tokenPath();
-  const dir = path.dirname(p);
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-  fs.writeFileSync(p, JSON.stringify({ access_token: accessToken, saved_at: new Date().toISOString() }, null, 2));
+// Shopify signs the OAuth callback: `hmac` is HMAC-SHA256 (hex) of every
+// other query parameter, sorted by name and joined as k=v&k=v, keyed by the
+// client secret. `signature` (legacy) is left out too.
+export function verifyCallbackHmac(query) {
+  const secret = process.env.SHOPIFY_CLIENT_SECRET;
+  const hmac = String(query?.hmac || "");
+  if (!secret || !/^[0-9a-f]{64}$/i.test(hmac)) return false;
+  const message = Object.keys(query)
+    .filter((k) => k !== "hmac" && k !== "signature")
+    .sort()
+    .map((k) => `${k}=${Array.isArray(query[k]) ? query[k].join(",") : query[k]}`)
+    .join("&");
+  const digest = crypto.createHmac("sha256", secret).update(message).digest();
+  return crypto.timingSafeEqual(Buffer.from(hmac, "hex"), digest);
 }
 
-export function makeState() {
-  return crypto.randomBytes(16).toString("hex");
+// What Shopify puts in `shop`: a bare *.myshopify.com host.
+export function isValidShopDomain(shop) {
+  return /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/.test(String(shop || ""));
+}
+
+// Scopes the app can't work without. Shopify reports a write scope without
+// its read scope, so write_x counts as read_x.
+const REQUIRED_SCOPES = (process.env.SHOPIFY_REQUIRED_SCOPES || "read_products,read_inventory,write_inventory")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+export function getRequiredScopes() {
+  return REQUIRED_SCOPES;
+}
+
+/** Required scopes missing from `granted` (array or "a,b" string). */
+export function missingScopes(granted) {
+  const have = new Set((Array.isArray(granted) ? granted : String(granted || "").split(",")).map((s) => String(s).trim()));
+  return REQUIRED_SCOPES.filter((s) => !have.has(s) && !(s.startsWith("read_") && have.has(`write_${s.slice(5)}`)));
 }
 
-export function buildAuthorizeUrl(state) {
-  const shop = process.env.SHOPIFY_SHOP;
+export function buildAuthorizeUrl(state, shop = getDefaultShop()) {
   const clientId = process.env.SHOPIFY_CLIENT_ID;
   const scopes = process.env.SHOPIFY_SCOPES || "read_products,read_inventory,write_inventory";
   const redirectUri = process.env.SHOPIFY_REDIRECT_URI;
@@ -46,8 +69,8 @@ export function buildAuthorizeUrl(state) {
   return `https://${shop}/admin/oauth/authorize?${params.toString()}`;
 }
 
-export async function exchangeCodeForToken(code) {
-  const shop = process.env.SHOPIFY_SHOP;
+/** Exchange an OAuth code -> { accessToken, scopes } (scopes as granted). */
+export async function exchangeCodeForToken(code, shop = getDefaultShop()) {
   const clientId = process.env.SHOPIFY_CLIENT_ID;
   const clientSecret = process.env.SHOPIFY_CLIENT_SECRET;
 
@@ -66,5 +89,5 @@ export async function exchangeCodeForToken(code) {
     throw new Error(`Token exchange failed: ${resp.status} ${JSON.stringify(json)}`);
   }
   if (!json?.access_token) throw new Error("Token exchange succeeded but no access_token returned.");
-  return json.access_token;
+  return { accessToken: json.access_token, scopes: String(json.scope || "").split(",").map((s) => s.trim()).filter(Boolean) };
 }
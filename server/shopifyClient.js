@@ -0,0 +1,170 @@
+// server/shopifyClient.js
+//
+// Shopify Admin GraphQL client shared by everything in shopify.js.
+//
+//   - one request at a time, so the cost bucket is read before it's spent
+//   - waits for the bucket to refill when the last throttleStatus says the
+//     next query won't fit (extensions.cost)
+//   - retries THROTTLED errors, 429s (honouring Retry-After), 5xx and network
+//     failures with exponential backoff + jitter. Mutations are only retried
+//     when Shopify refused them outright (throttled), since a 5xx or dropped
+//     connection may still have applied an inventory change.
+//   - gives up on a request after timeoutMs (SHOPIFY_TIMEOUT_MS, default
+//     30s), so one hung call can't hold up the queue. A timed-out query is
+//     retried like a network failure; a timed-out mutation is not.
+//   - keeps counters (calls, retries, cost) for /api/shopify/metrics
+//
+// endpoint / getToken / fetch / sleep are injectable, so it can be pointed at
+// a local mock GraphQL server (see SHOPIFY_GRAPHQL_URL in shopify.js).
+
+const DEFAULT_COST = 50; // assumed cost of a query we haven't seen yet
+
+function defaultSleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function isThrottled(json) {
+  return Array.isArray(json?.errors) && json.errors.some((e) => e?.extensions?.code === "THROTTLED");
+}
+
+export function createShopifyClient({
+  endpoint,
+  getToken,
+  fetch: fetchImpl = globalThis.fetch,
+  sleep = defaultSleep,
+  random = Math.random,
+  maxRetries = 5,
+  baseDelayMs = 500,
+  maxDelayMs = 20000,
+  timeoutMs = 30000
+}) {
+  const metrics = {
+    calls: 0,
+    retries: 0,
+    throttled: 0,
+    failures: 0,
+    timeouts: 0,
+    requestedCost: 0,
+    actualCost: 0,
+    waitedMs: 0,
+    lastThrottleStatus: null,
+    lastThrottleAt: null
+  };
+
+  // Last requested cost per query text, to predict the next call's cost.
+  const lastCost = new Map();
+  let queue = Promise.resolve();
+
+  function backoff(attempt) {
+    const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return Math.round(cap / 2 + random() * (cap / 2));
+  }
+
+  // ms until the bucket holds `cost` points, from the last status we saw.
+  function bucketWait(cost) {
+    const st = metrics.lastThrottleStatus;
+    if (!st || !st.restoreRate) return 0;
+    const elapsed = (Date.now() - metrics.lastThrottleAt) / 1000;
+    const available = Math.min(st.maximumAvailable, st.currentlyAvailable + elapsed * st.restoreRate);
+    if (available >= cost) return 0;
+    return Math.ceil(((cost - available) / st.restoreRate) * 1000);
+  }
+
+  async function wait(ms) {
+    if (ms <= 0) return;
+    metrics.waitedMs += ms;
+    await sleep(ms);
+  }
+
+  function recordCost(query, cost) {
+    if (!cost) return;
+    if (cost.requestedQueryCost != null) {
+      metrics.requestedCost += cost.requestedQueryCost;
+      lastCost.set(query, cost.requestedQueryCost);
+    }
+    if (cost.actualQueryCost != null) metrics.actualCost += cost.actualQueryCost;
+    if (cost.throttleStatus) {
+      metrics.lastThrottleStatus = cost.throttleStatus;
+      metrics.lastThrottleAt = Date.now();
+    }
+  }
+
+  async function send(query, variables) {
+    const isMutation = /^\s*mutation\b/.test(query);
+    for (let attempt = 0; ; attempt++) {
+      await wait(bucketWait(lastCost.get(query) ?? DEFAULT_COST));
+
+      // Config errors (no token / shop) aren't worth retrying.
+      const url = typeof endpoint === "function" ? endpoint() : endpoint;
+      const token = getToken();
+
+      metrics.calls++;
+      let resp;
+      let json;
+      try {
+        // The timeout covers reading the body too.
+        resp = await fetchImpl(url, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "X-Shopify-Access-Token": token
+          },
+          body: JSON.stringify({ query, variables }),
+          signal: AbortSignal.timeout(timeoutMs)
+        });
+        json = await resp.json().catch((e) => {
+          if (e?.name === "TimeoutError") throw e;
+          return {};
+        });
+      } catch (e) {
+        const timedOut = e?.name === "TimeoutError";
+        if (timedOut) metrics.timeouts++;
+        if (isMutation || attempt >= maxRetries) {
+          metrics.failures++;
+          if (timedOut) {
+            throw new Error(
+              `Shopify request timed out after ${timeoutMs}ms${isMutation ? " — it may still have been applied; check before retrying" : ""}`
+            );
+          }
+          throw e;
+        }
+        metrics.retries++;
+        await wait(backoff(attempt));
+        continue;
+      }
+
+      recordCost(query, json?.extensions?.cost);
+
+      const throttled = resp.status === 429 || isThrottled(json);
+      const transient = throttled || (!isMutation && resp.status >= 500);
+      if (!transient) {
+        if (!resp.ok || json.errors) metrics.failures++;
+        return { ok: resp.ok, status: resp.status, json };
+      }
+
+      if (throttled) metrics.throttled++;
+      if (attempt >= maxRetries) {
+        metrics.failures++;
+        return { ok: false, status: resp.status, json };
+      }
+
+      metrics.retries++;
+      const retryAfter = Number(resp.headers?.get?.("Retry-After"));
+      const refill = isThrottled(json) ? bucketWait(lastCost.get(query) ?? DEFAULT_COST) : 0;
+      await wait(Math.max(Number.isFinite(retryAfter) ? retryAfter * 1000 : 0, refill, backoff(attempt)));
+    }
+  }
+
+  /** POST a query; resolves { ok, status, json } like a single fetch would. */
+  function request(query, variables) {
+    const run = queue.then(() => send(query, variables));
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function getMetrics() {
+    return { ...metrics, lastThrottleStatus: metrics.lastThrottleStatus && { ...metrics.lastThrottleStatus } };
+  }
+
+  return { request, getMetrics };
+}
@@ -1,24 +1,183 @@
 // server/shopifyTokenStore.js
-import { loadTokenFromDisk, saveTokenToDisk } from "./shopifyAuth.js";
+//
+// Shopify access tokens per shop, with the scopes each was granted.
+// Persisted to SHOPIFY_TOKEN_STORE_PATH (default shopify_token.json):
+//
+//   { shops: { "<shop>.myshopify.com": { token: "enc:v1:<iv>:<tag>:<data>", scopes: [...], savedAt } } }
+//
+// Tokens are encrypted with AES-256-GCM under SHOPIFY_TOKEN_KEY (32 bytes as
+// hex or base64; any other string is hashed to 32 bytes). To rotate the key,
+// set the new one as SHOPIFY_TOKEN_KEY and list the old ones in
+// SHOPIFY_TOKEN_KEY_PREVIOUS (comma-separated): tokens still under an old key
+// — or a plaintext file from before encryption — are re-encrypted under the
+// new key the first time the store is read.
+//
+// SHOPIFY_ADMIN_ACCESS_TOKEN (a custom app's fixed token) still wins for the
+// default shop and is never written to disk.
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { getDefaultShop, normalizeShopDomain } from "./shops.js";
 
-let ACCESS_TOKEN = loadTokenFromDisk(); // memory cache
+function tokenPath() {
+  return process.env.SHOPIFY_TOKEN_STORE_PATH || path.join(process.cwd(), "shopify_token.json");
+}
+
+function parseKey(raw) {
+  const s = String(raw || "").trim();
+  if (!s) return null;
+  if (/^[0-9a-f]{64}$/i.test(s)) return Buffer.from(s, "hex");
+  const b64 = Buffer.from(s, "base64");
+  if (b64.length === 32 && b64.toString("base64").replace(/=+$/, "") === s.replace(/=+$/, "")) return b64;
+  return crypto.createHash("sha256").update(s).digest();
+}
+
+function currentKey() {
+  return parseKey(process.env.SHOPIFY_TOKEN_KEY);
+}
+
+function previousKeys() {
+  return (process.env.SHOPIFY_TOKEN_KEY_PREVIOUS || "").split(",").map(parseKey).filter(Boolean);
+}
+
+function encrypt(plain) {
+  const key = currentKey();
+  if (!key) throw new Error("Set SHOPIFY_TOKEN_KEY before connecting Shopify — tokens are stored encrypted.");
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(plain, "utf8"), cipher.final()]);
+  return `enc:v1:${iv.toString("base64")}:${cipher.getAuthTag().toString("base64")}:${data.toString("base64")}`;
+}
+
+// -> { token, stale } where stale = not under the current key (re-encrypt it).
+function decrypt(stored) {
+  if (!String(stored || "").startsWith("enc:v1:")) return { token: stored || null, stale: true };
+  const [, , iv, tag, data] = stored.split(":");
+  const current = currentKey();
+  for (const key of [current, ...previousKeys()].filter(Boolean)) {
+    try {
+      const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64"));
+      decipher.setAuthTag(Buffer.from(tag, "base64"));
+      const token = Buffer.concat([decipher.update(Buffer.from(data, "base64")), decipher.final()]).toString("utf8");
+      return { token, stale: key !== current };
+    } catch {
+      // wrong key — try the next one
+    }
+  }
+  throw new Error("Could not decrypt the stored Shopify token (wrong or missing SHOPIFY_TOKEN_KEY)");
+}
+
+function readFile() {
+  const p = tokenPath();
+  if (!fs.existsSync(p)) return { shops: {} };
+  const json = JSON.parse(fs.readFileSync(p, "utf8"));
+  if (json?.shops) return json;
+  // Single-shop plaintext file from before multi-shop / encryption
+  if (json?.access_token) {
+    return { shops: { [getDefaultShop()]: { token: json.access_token, scopes: null, savedAt: json.saved_at || null } } };
+  }
+  return { shops: {} };
+}
+
+function writeFile(store) {
+  const p = tokenPath();
+  const dir = path.dirname(p);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(p, JSON.stringify(store, null, 2), { mode: 0o600 });
+  fs.chmodSync(p, 0o600); // mode only applies when the file is created
+}
+
+// Decrypted cache: shop -> { token, scopes, savedAt } | { error }
+let cache = null;
+
+function load() {
+  if (cache) return cache;
+  cache = new Map();
+  let store;
+  try {
+    store = readFile();
+  } catch (e) {
+    console.error("[shopify-tokens] Could not read token store:", e.message);
+    return cache;
+  }
+
+  let rewrite = false;
+  for (const [shop, entry] of Object.entries(store.shops || {})) {
+    try {
+      const { token, stale } = decrypt(entry.token);
+      cache.set(shop, { token, scopes: entry.scopes || null, savedAt: entry.savedAt || null });
+      if (stale && currentKey()) {
+        entry.token = encrypt(token);
+        rewrite = true;
+      }
+    } catch (e) {
+      console.error(`[shopify-tokens] ${shop}:`, e.message);
+      cache.set(shop, { error: e.message });
+    }
+  }
+  if (rewrite) {
+    try {
+      writeFile(store);
+      console.log("[shopify-tokens] Re-encrypted stored tokens under the current SHOPIFY_TOKEN_KEY");
+    } catch (e) {
+      console.error("[shopify-tokens] Could not re-encrypt token store:", e.message);
+    }
+  }
+  return cache;
+}
+
+function envToken(shop) {
+  const t = String(process.env.SHOPIFY_ADMIN_ACCESS_TOKEN || "").trim();
+  return t && shop === getDefaultShop() ? t : null;
+}
 
-export function getShopifyAccessToken() {
+export function getShopifyAccessToken(shop = getDefaultShop()) {
+  const s = normalizeShopDomain(shop);
   // 1) Prefer fixed token from env (no OAuth needed)
-  const envToken = process.env.SHOPIFY_ADMIN_ACCESS_TOKEN;
-  if (envToken && String(envToken).trim()) return String(envToken).trim();
+  const fixed = envToken(s);
+  if (fixed) return fixed;
+
+  // 2) Fall back to the OAuth token store
+  const entry = load().get(s);
+  if (entry?.error) throw new Error(`Shopify token for ${s} is unreadable: ${entry.error}`);
+  if (!entry?.token) throw new Error(`Shopify not connected for ${s}. Visit /api/shopify/auth?shop=${s} first.`);
+  return entry.token;
+}
+
+/** Save an OAuth token with the scopes Shopify granted (array or "a,b" string). */
+export function setShopifyAccessToken(shop, token, scopes) {
+  const s = normalizeShopDomain(shop);
+  const scopeList = Array.isArray(scopes) ? scopes : String(scopes || "").split(",").map((x) => x.trim()).filter(Boolean);
+  const savedAt = new Date().toISOString();
 
-  // 2) Fall back to OAuth token store (existing behavior)
-  const t = ACCESS_TOKEN || loadTokenFromDisk();
-  if (!t) throw new Error("Shopify not connected. Visit /api/shopify/auth first.");
-  return t;
+  let store;
+  try {
+    store = readFile();
+  } catch {
+    store = { shops: {} };
+  }
+  store.shops = store.shops || {};
+  store.shops[s] = { token: encrypt(token), scopes: scopeList, savedAt };
+  writeFile(store);
+  load().set(s, { token, scopes: scopeList, savedAt });
 }
 
-export function setShopifyAccessToken(token) {
-  ACCESS_TOKEN = token;
-  saveTokenToDisk(token);
+export function hasShopifyAccessToken(shop = getDefaultShop()) {
+  const s = normalizeShopDomain(shop);
+  return !!(envToken(s) || load().get(s)?.token);
 }
 
-export function hasShopifyAccessToken() {
-  return !!(process.env.SHOPIFY_ADMIN_ACCESS_TOKEN || ACCESS_TOKEN || loadTokenFromDisk());
+/** { connected, source, scopes, savedAt, error } for status pages. scopes is null when unknown (env token). */
+export function getShopifyTokenInfo(shop = getDefaultShop()) {
+  const s = normalizeShopDomain(shop);
+  if (envToken(s)) return { connected: true, source: "env", scopes: null, savedAt: null, error: null };
+  const entry = load().get(s);
+  if (!entry) return { connected: false, source: null, scopes: null, savedAt: null, error: null };
+  return {
+    connected: !!entry.token,
+    source: entry.token ? "oauth" : null,
+    scopes: entry.scopes || null,
+    savedAt: entry.savedAt || null,
+    error: entry.error || null
+  };
 }
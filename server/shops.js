@@ -0,0 +1,95 @@
+// server/shops.js
+//
+// The Shopify shops this app may talk to, and which one each PO targets.
+//
+//   SHOPIFY_SHOP   the default shop (retail) — everything without an explicit
+//                  shop goes here, and the location registry's ids are its ids
+//   SHOPIFY_SHOPS  more shops, comma-separated (e.g. the wholesale store).
+//                  They connect through OAuth like the default one.
+//
+// PO → shop assignments are persisted to a local JSON file (PO_SHOPS_PATH),
+// read once and kept in memory (setPoShop updates both); an unassigned PO
+// uses the default shop.
+import fs from "fs";
+import path from "path";
+
+/** "Wholesale", "https://x.myshopify.com/" → "x.myshopify.com" style domain. */
+export function normalizeShopDomain(value) {
+  let s = String(value || "").trim().toLowerCase();
+  s = s.replace(/^https?:\/\//, "").replace(/\/.*$/, "");
+  if (!s) return "";
+  return s.includes(".") ? s : `${s}.myshopify.com`;
+}
+
+const DEFAULT_SHOP = normalizeShopDomain(process.env.SHOPIFY_SHOP);
+const SHOPS = [
+  ...new Set([DEFAULT_SHOP, ...(process.env.SHOPIFY_SHOPS || "").split(",").map(normalizeShopDomain)].filter(Boolean))
+];
+
+export function listShops() {
+  return SHOPS;
+}
+
+export function getDefaultShop() {
+  if (!DEFAULT_SHOP) throw new Error("Missing SHOPIFY_SHOP env var");
+  return DEFAULT_SHOP;
+}
+
+/** A configured shop for `value`; blank → default. Throws for shops we don't know. */
+export function resolveShop(value) {
+  const s = normalizeShopDomain(value);
+  if (!s) return getDefaultShop();
+  if (!SHOPS.includes(s)) throw new Error(`Unknown Shopify shop "${value}"`);
+  return s;
+}
+
+export function isKnownShop(value) {
+  return SHOPS.includes(normalizeShopDomain(value));
+}
+
+// ---- PO → shop ----
+
+function assignmentsPath() {
+  return process.env.PO_SHOPS_PATH || path.join(process.cwd(), "po_shops.json");
+}
+
+let assignments = null; // poKey -> { shop, at, by }
+
+function loadAssignments() {
+  if (assignments) return assignments;
+  try {
+    const p = assignmentsPath();
+    assignments = fs.existsSync(p) ? JSON.parse(fs.readFileSync(p, "utf8"))?.pos || {} : {};
+  } catch (e) {
+    // Not cached, so the next call tries the file again
+    console.error("[shops] Could not read PO shop assignments:", e.message);
+    return {};
+  }
+  return assignments;
+}
+
+function poKey(po) {
+  return String(po || "").trim().toLowerCase();
+}
+
+/** The shop a PO targets (default shop unless assigned, or if its shop was removed). */
+export function getPoShop(po) {
+  const a = loadAssignments()[poKey(po)];
+  return a && isKnownShop(a.shop) ? normalizeShopDomain(a.shop) : DEFAULT_SHOP || null;
+}
+
+export function setPoShop(po, shop, username) {
+  const key = poKey(po);
+  if (!key) throw new Error("Missing PO #");
+  const resolved = resolveShop(shop);
+  const pos = { ...loadAssignments() };
+  if (resolved === DEFAULT_SHOP) delete pos[key];
+  else pos[key] = { shop: resolved, at: new Date().toISOString(), by: username || "unknown" };
+
+  const p = assignmentsPath();
+  const dir = path.dirname(p);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(p, JSON.stringify({ pos }, null, 2));
+  assignments = pos;
+  return resolved;
+}
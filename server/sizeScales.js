@@ -0,0 +1,87 @@
+// server/sizeScales.js
+//
+// Size scales. Each Airtable record declares which scale it uses (opt-in
+// AIRTABLE_SIZE_SCALE_FIELD); its Buy_/Ship_/Rec_ fields, matrices, packs,
+// scan matching and PDFs follow that scale's sizes.
+//
+// SIZE_SCALES is JSON, e.g.
+//   [{ "id": "alpha", "name": "XXS–XL", "sizes": ["XXS","XS","S","M","L","XL"] },
+//    { "id": "denim", "name": "Denim 24–32", "sizes": ["24","25","26","27","28","29","30","31","32"] },
+//    { "id": "plus",  "name": "Plus", "sizes": ["1X","2X","3X"] },
+//    { "id": "one-size", "name": "One Size", "sizes": ["OS"] }]
+// Every size listed needs Buy_/Ship_/Rec_ fields in the base, because record
+// lists request them all. Without SIZE_SCALES there is one "alpha" scale
+// built from SIZES. An optional "labelSizes" overrides the run printed on bin
+// labels (the alpha default keeps the historical XXS–XXL run).
+
+const LEGACY_SIZES = (process.env.SIZES || "XXS,XS,S,M,L,XL").split(",").map((s) => s.trim()).filter(Boolean);
+
+function loadScales() {
+  const raw = process.env.SIZE_SCALES;
+  if (raw) {
+    try {
+      const parsed = JSON.parse(raw);
+      const scales = (Array.isArray(parsed) ? parsed : [])
+        .map((s) => ({
+          id: String(s?.id || "").trim(),
+          name: String(s?.name || s?.id || "").trim(),
+          sizes: (Array.isArray(s?.sizes) ? s.sizes : []).map((x) => String(x).trim().toUpperCase()).filter(Boolean),
+          ...(Array.isArray(s?.labelSizes) ? { labelSizes: s.labelSizes.map((x) => String(x).trim()).filter(Boolean) } : {})
+        }))
+        .filter((s) => s.id && s.sizes.length);
+      if (scales.length) return scales;
+      console.error("[size-scales] SIZE_SCALES has no usable scales, falling back to SIZES");
+    } catch (e) {
+      console.error("[size-scales] Could not parse SIZE_SCALES, falling back to SIZES:", e.message);
+    }
+  }
+  const labelSizes = process.env.SIZES ? LEGACY_SIZES : ["XXS", "XS", "S", "M", "L", "XL", "XXL"];
+  return [{ id: "alpha", name: "XXS–XL", sizes: LEGACY_SIZES, labelSizes }];
+}
+
+const SCALES = loadScales();
+const DEFAULT_SCALE = SCALES.find((s) => s.id === process.env.DEFAULT_SIZE_SCALE) || SCALES[0];
+
+export function listSizeScales() {
+  return SCALES;
+}
+
+export function getDefaultSizeScale() {
+  return DEFAULT_SCALE;
+}
+
+/** Resolve an Airtable cell (scale id or name, any case) to a scale; blank/unknown → default. */
+export function resolveSizeScale(value) {
+  const v = String(Array.isArray(value) ? value[0] ?? "" : value ?? "").trim().toLowerCase();
+  if (!v) return DEFAULT_SCALE;
+  return SCALES.find((s) => s.id.toLowerCase() === v || s.name.toLowerCase() === v) || DEFAULT_SCALE;
+}
+
+/** Look a scale up by id; unknown → default. */
+export function getSizeScale(id) {
+  return SCALES.find((s) => s.id === id) || DEFAULT_SCALE;
+}
+
+/** Every size across all scales, first-seen order — the Airtable fields a list must request. */
+export function allScaleSizes() {
+  const out = [];
+  for (const sc of SCALES) for (const s of sc.sizes) if (!out.includes(s)) out.push(s);
+  return out;
+}
+
+/**
+ * Canonical form of a Shopify option value / CSV size: "X-Small" → "XS",
+ * "One Size" / "O/S" → "OS", "1XL" → "1X", "28.0" → "28".
+ */
+export function normalizeSizeValue(val) {
+  if (val === null || val === undefined) return null;
+  const s = String(val).trim().toUpperCase();
+  if (!s) return null;
+  if (s === "X-SMALL" || s === "X SMALL") return "XS";
+  if (s === "XX-SMALL" || s === "XX SMALL") return "XXS";
+  if (["ONE SIZE", "ONESIZE", "ONE-SIZE", "O/S", "OS"].includes(s)) return "OS";
+  const plus = s.match(/^([1-9])XL?$/);
+  if (plus) return `${plus[1]}X`;
+  if (/^\d+(\.0+)?$/.test(s)) return String(parseInt(s, 10));
+  return s;
+}
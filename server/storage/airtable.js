@@ -0,0 +1,74 @@
+// server/storage/airtable.js
+//
+// Storage adapter over the Airtable REST API (see server/storage/index.js
+// for the interface). Filters become filterByFormula.
+import { createAirtableClient } from "../airtableClient.js";
+
+function escapeQuotes(s) {
+  return String(s).replace(/"/g, '\\"');
+}
+
+function toFormula(filter) {
+  const f = `{${filter.field}}`;
+  switch (filter.op) {
+    case "eqi":
+      return `LOWER(TRIM(${f}))=LOWER(TRIM("${escapeQuotes(filter.value)}"))`;
+    case "eq":
+      return `${f}="${escapeQuotes(filter.value)}"`;
+    case "notBlank":
+      return `${f}!=""`;
+    case "gt":
+      return `${f}>${Number(filter.value)}`;
+    default:
+      throw new Error(`Unknown storage filter op "${filter.op}"`);
+  }
+}
+
+export function createAirtableStorage({
+  table = process.env.AIRTABLE_TABLE_NAME || "Products",
+  client = createAirtableClient({
+    baseUrl: process.env.AIRTABLE_API_URL || "https://api.airtable.com/v0",
+    getToken: () => process.env.AIRTABLE_TOKEN,
+    getBaseId: () => process.env.AIRTABLE_BASE_ID,
+    maxRetries: Number(process.env.AIRTABLE_MAX_RETRIES || 5),
+    maxRequestsPerSecond: Number(process.env.AIRTABLE_MAX_RPS || 5)
+  })
+} = {}) {
+  return {
+    name: "airtable",
+
+    async list({ filter, fields } = {}) {
+      const params = new URLSearchParams();
+      if (filter) params.set("filterByFormula", toFormula(filter));
+      for (const f of fields || []) params.append("fields[]", f);
+      return await client.listAll(table, params);
+    },
+
+    async get(id) {
+      return await client.request("GET", `${encodeURIComponent(table)}/${id}`);
+    },
+
+    async update(id, fields) {
+      return await client.request("PATCH", `${encodeURIComponent(table)}/${id}`, { body: { fields } });
+    },
+
+    async updateMany(updates) {
+      return await client.updateRecords(table, updates);
+    },
+
+    /**
+     * The table's fields from the metadata API ([{ name, type }]). Needs the
+     * token to have schema.bases:read.
+     */
+    async describeTable() {
+      const data = await client.request("GET", "tables", { meta: true });
+      const t = (data.tables || []).find((x) => x.name === table || x.id === table);
+      if (!t) throw new Error(`Table "${table}" not found in the Airtable base`);
+      return { name: t.name, fields: (t.fields || []).map((f) => ({ name: f.name, type: f.type })) };
+    },
+
+    getMetrics() {
+      return client.getMetrics();
+    }
+  };
+}
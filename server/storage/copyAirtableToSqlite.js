@@ -0,0 +1,64 @@
+// server/storage/copyAirtableToSqlite.js
+//
+// Copies every record of the Airtable table into the SQLite file the sqlite
+// backend reads (SQLITE_DB_PATH), keeping record ids, so the tool can then
+// run with STORAGE_BACKEND=sqlite. Records already in the file are replaced;
+// ones no longer in Airtable are left alone.
+//
+// Attachments are downloaded into the file as well — Airtable's attachment
+// URLs expire after a few hours. One that can't be downloaded keeps its
+// Airtable URL and is listed at the end.
+//
+//   AIRTABLE_TOKEN=… AIRTABLE_BASE_ID=… npm run copy-airtable-to-sqlite
+import { createAirtableStorage } from "./airtable.js";
+import { createSqliteStorage } from "./sqlite.js";
+
+const source = createAirtableStorage();
+const target = createSqliteStorage();
+
+function isAttachmentList(v) {
+  return Array.isArray(v) && v.length > 0 && v.every((a) => a && typeof a === "object" && a.url && a.filename);
+}
+
+async function download(a) {
+  const res = await fetch(a.url);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const data = Buffer.from(await res.arrayBuffer());
+  return await target.saveAttachment(data, { filename: a.filename, contentType: a.type || res.headers.get("content-type") || undefined });
+}
+
+async function copyAttachments(record, failed) {
+  const fields = { ...record.fields };
+  for (const [name, value] of Object.entries(fields)) {
+    if (!isAttachmentList(value)) continue;
+    const copied = [];
+    for (const a of value) {
+      try {
+        copied.push(await download(a));
+      } catch (e) {
+        failed.push(`${record.id} ${name} ${a.filename}: ${e.message}`);
+        copied.push(a);
+      }
+    }
+    fields[name] = copied;
+  }
+  return { ...record, fields };
+}
+
+try {
+  const records = await source.list();
+  const failed = [];
+  const copied = [];
+  for (const r of records) copied.push(await copyAttachments(r, failed));
+  target.upsertRecords(copied);
+  console.log(`Copied ${records.length} record(s) from Airtable to ${process.env.SQLITE_DB_PATH || "records.sqlite"}`);
+  if (failed.length) {
+    console.warn(`${failed.length} attachment(s) could not be downloaded and keep their Airtable URL:`);
+    for (const f of failed) console.warn(`  ${f}`);
+  }
+} catch (e) {
+  console.error("Copy failed:", e.message);
+  process.exitCode = 1;
+} finally {
+  target.close();
+}
@@ -0,0 +1,42 @@
+// server/storage/index.js
+//
+// Where product records live. STORAGE_BACKEND picks the adapter:
+//   airtable (default)  the Airtable base (storage/airtable.js)
+//   sqlite              a local SQLite file (storage/sqlite.js)
+//
+// Every adapter works in Airtable's record shape, { id, fields, createdTime },
+// with fields keyed by the Airtable field names in airtable.js, and has:
+//
+//   list({ filter, fields })  -> records; `fields` limits what comes back
+//   get(id)                   -> record, or throws (err.status 404 if missing)
+//   update(id, fields)        -> record; patches only the fields given
+//   updateMany([{ id, fields }])
+//                             -> [{ id, ok, record } | { id, ok: false, error }], never throws per record
+//   getMetrics()              -> { calls, failures, ... }
+//   describeTable()           -> { name, fields: [{ name, type }] } (optional;
+//                                Airtable only — SQLite records have no schema)
+//   saveAttachment(buffer, { filename, contentType }) -> attachment entry
+//   getAttachment(id)         -> { filename, contentType, data } | null
+//                                (optional; backends that keep files
+//                                themselves — SQLite. Airtable fetches them
+//                                by URL instead)
+//
+// filter is one condition on one field:
+//   { field, op: "eqi", value }   trimmed, case-insensitive equals
+//   { field, op: "eq", value }    equals
+//   { field, op: "notBlank" }
+//   { field, op: "gt", value }    numeric greater than
+import { createAirtableStorage } from "./airtable.js";
+
+const BACKENDS = ["airtable", "sqlite"];
+
+const backend = String(process.env.STORAGE_BACKEND || "airtable").trim().toLowerCase();
+if (!BACKENDS.includes(backend)) {
+  throw new Error(`STORAGE_BACKEND must be one of ${BACKENDS.join(", ")} (got "${backend}")`);
+}
+
+// The SQLite driver is a native module; only load it when it's used.
+export const storage =
+  backend === "sqlite" ? (await import("./sqlite.js")).createSqliteStorage() : createAirtableStorage();
+
+if (backend !== "airtable") console.log(`[storage] Using ${backend} backend`);
@@ -0,0 +1,233 @@
+// server/storage/sqlite.js
+//
+// Storage adapter over a local SQLite file (SQLITE_DB_PATH, default
+// records.sqlite), for running the tool offline — training, testing — or
+// off Airtable altogether. Records are kept the way Airtable hands them
+// out, as { id, fields, createdTime }, with `fields` stored as JSON under the
+// same field names, so nothing above this layer changes:
+//
+//   records(id TEXT PRIMARY KEY, fields TEXT, created_time TEXT, updated_time TEXT)
+//
+// Airtable behaviour that the app relies on is copied: empty values (null,
+// "", []) are dropped from `fields`, a PATCH only touches the fields it
+// names, a missing record is a 404, and attachment lists get `att…` ids,
+// with an { id } entry meaning "keep that attachment".
+//
+// Files the app attaches are kept in the file too, since the URLs Airtable
+// would fetch them from expire within minutes:
+//
+//   attachments(id TEXT PRIMARY KEY, filename TEXT, content_type TEXT, data BLOB, created_time TEXT)
+//
+// saveAttachment() stores the bytes and returns the entry to put on the
+// record, whose url is /api/attachments/<id> (served by server/index.js).
+//
+// Fill it from Airtable with `npm run copy-airtable-to-sqlite` (server/).
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+// An optional dependency (a native module): an install where it can't be
+// built still succeeds, and Airtable-only deploys can leave it out with
+// npm install --omit=optional.
+const Database = await import("better-sqlite3").then(
+  (m) => m.default,
+  (e) => {
+    throw new Error(`STORAGE_BACKEND=sqlite needs the better-sqlite3 package, which isn't installed (npm install better-sqlite3 in server/): ${e.message}`);
+  }
+);
+
+function storageError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function newId(prefix) {
+  return `${prefix}${crypto.randomBytes(7).toString("hex")}`;
+}
+
+// JSON path for a field name ("PO #" -> $."PO #").
+function fieldPath(field) {
+  return `$."${String(field).replace(/"/g, '\\"')}"`;
+}
+
+function toWhere(filter) {
+  const p = fieldPath(filter.field);
+  switch (filter.op) {
+    case "eqi":
+      return { sql: "LOWER(TRIM(json_extract(fields, ?))) = LOWER(TRIM(?))", params: [p, String(filter.value)] };
+    case "eq":
+      return { sql: "json_extract(fields, ?) = ?", params: [p, String(filter.value)] };
+    case "notBlank":
+      return { sql: "COALESCE(json_extract(fields, ?), '') != ''", params: [p] };
+    case "gt":
+      return { sql: "CAST(json_extract(fields, ?) AS REAL) > ?", params: [p, Number(filter.value)] };
+    default:
+      throw new Error(`Unknown storage filter op "${filter.op}"`);
+  }
+}
+
+function isEmpty(v) {
+  return v === null || v === undefined || v === "" || (Array.isArray(v) && !v.length);
+}
+
+// Attachment list as Airtable keeps it: new entries ({ url }) get an id,
+// { id } alone refers to an attachment already on the field.
+function resolveAttachments(prev, next) {
+  const byId = new Map((Array.isArray(prev) ? prev : []).filter((a) => a?.id).map((a) => [a.id, a]));
+  return next
+    .map((a) => {
+      if (a?.id && !a.url) return byId.get(a.id) || null;
+      return { filename: path.basename(String(a.url || "")), ...a, id: a.id || newId("att") };
+    })
+    .filter(Boolean);
+}
+
+function isAttachmentList(v) {
+  return Array.isArray(v) && v.length > 0 && v.every((a) => a && typeof a === "object" && (a.url || a.id));
+}
+
+function applyPatch(fields, patch) {
+  const out = { ...fields };
+  for (const [k, v] of Object.entries(patch || {})) {
+    const value = isAttachmentList(v) ? resolveAttachments(out[k], v) : v;
+    if (isEmpty(value)) delete out[k];
+    else out[k] = value;
+  }
+  return out;
+}
+
+function project(record, fields) {
+  if (!fields?.length) return record;
+  const picked = {};
+  for (const f of fields) if (f in record.fields) picked[f] = record.fields[f];
+  return { ...record, fields: picked };
+}
+
+export function createSqliteStorage({ file = process.env.SQLITE_DB_PATH || path.join(process.cwd(), "records.sqlite") } = {}) {
+  const dir = path.dirname(file);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(`CREATE TABLE IF NOT EXISTS records (
+    id TEXT PRIMARY KEY,
+    fields TEXT NOT NULL DEFAULT '{}',
+    created_time TEXT NOT NULL,
+    updated_time TEXT NOT NULL
+  )`);
+  db.exec(`CREATE TABLE IF NOT EXISTS attachments (
+    id TEXT PRIMARY KEY,
+    filename TEXT NOT NULL,
+    content_type TEXT NOT NULL,
+    data BLOB NOT NULL,
+    created_time TEXT NOT NULL
+  )`);
+
+  const metrics = { calls: 0, failures: 0 };
+  const selectOne = db.prepare("SELECT id, fields, created_time FROM records WHERE id = ?");
+  const updateOne = db.prepare("UPDATE records SET fields = ?, updated_time = ? WHERE id = ?");
+  const insertAttachment = db.prepare(
+    "INSERT INTO attachments (id, filename, content_type, data, created_time) VALUES (?, ?, ?, ?, ?)"
+  );
+  const selectAttachment = db.prepare("SELECT filename, content_type, data FROM attachments WHERE id = ?");
+  const upsertOne = db.prepare(`INSERT INTO records (id, fields, created_time, updated_time) VALUES (?, ?, ?, ?)
+    ON CONFLICT(id) DO UPDATE SET fields = excluded.fields, updated_time = excluded.updated_time`);
+
+  function toRecord(row) {
+    return { id: row.id, fields: JSON.parse(row.fields || "{}"), createdTime: row.created_time };
+  }
+
+  function getSync(id) {
+    const row = selectOne.get(id);
+    if (!row) throw storageError(`Record ${id} not found`, 404);
+    return toRecord(row);
+  }
+
+  function updateSync(id, patch) {
+    const record = getSync(id);
+    const fields = applyPatch(record.fields, patch);
+    updateOne.run(JSON.stringify(fields), new Date().toISOString(), id);
+    return { ...record, fields };
+  }
+
+  // Counts the call, and the failure if it throws — like the Airtable client.
+  function call(fn) {
+    metrics.calls++;
+    try {
+      return fn();
+    } catch (e) {
+      metrics.failures++;
+      throw e;
+    }
+  }
+
+  return {
+    name: "sqlite",
+
+    async list({ filter, fields } = {}) {
+      return call(() => {
+        const where = filter ? toWhere(filter) : null;
+        const rows = db
+          .prepare(`SELECT id, fields, created_time FROM records${where ? ` WHERE ${where.sql}` : ""} ORDER BY created_time, id`)
+          .all(...(where?.params || []));
+        return rows.map((row) => project(toRecord(row), fields));
+      });
+    },
+
+    async get(id) {
+      return call(() => getSync(id));
+    },
+
+    async update(id, fields) {
+      return call(() => updateSync(id, fields));
+    },
+
+    /** Same contract as the Airtable adapter: one result per update, never throws for a record. */
+    async updateMany(updates) {
+      metrics.calls++;
+      const results = [];
+      for (const u of updates) {
+        try {
+          results.push({ id: u.id, ok: true, record: updateSync(u.id, u.fields) });
+        } catch (e) {
+          metrics.failures++;
+          results.push({ id: u.id, ok: false, error: e.message });
+        }
+      }
+      return results;
+    },
+
+    /** Keep a file's bytes; -> the attachment entry to put on a record. */
+    async saveAttachment(data, { filename = "file", contentType = "application/octet-stream" } = {}) {
+      return call(() => {
+        const id = newId("att");
+        insertAttachment.run(id, filename, contentType, data, new Date().toISOString());
+        return { id, url: `/api/attachments/${id}`, filename, type: contentType, size: data.length };
+      });
+    },
+
+    /** -> { filename, contentType, data }, or null if there's no such file. */
+    async getAttachment(id) {
+      const row = selectAttachment.get(id);
+      return row ? { filename: row.filename, contentType: row.content_type, data: row.data } : null;
+    },
+
+    getMetrics() {
+      return { ...metrics };
+    },
+
+    /** Insert or replace whole records ({ id, fields, createdTime }); for copying data in. */
+    upsertRecords(records) {
+      const now = new Date().toISOString();
+      const run = db.transaction((list) => {
+        for (const r of list) upsertOne.run(r.id || newId("rec"), JSON.stringify(r.fields || {}), r.createdTime || now, now);
+      });
+      run(records);
+      return records.length;
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
@@ -0,0 +1,33 @@
+// server/test/mockShopifyServer.js
+//
+// Local stand-in for the Shopify Admin GraphQL endpoint. Each POST is handed
+// to `respond({ query, variables }, n)` (n = 1 for the first request), which
+// returns { status, json, headers, hang }; `hang: true` never answers, for
+// timeouts. Point the client at `url` (or SHOPIFY_GRAPHQL_URL).
+import http from "http";
+
+export async function startMockShopify(respond) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      const parsed = JSON.parse(body || "{}");
+      requests.push(parsed);
+      const r = respond(parsed, requests.length) || {};
+      if (r.hang) return;
+      res.writeHead(r.status || 200, { "Content-Type": "application/json", ...(r.headers || {}) });
+      res.end(JSON.stringify(r.json ?? { data: {} }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/admin/api/graphql.json`,
+    requests,
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
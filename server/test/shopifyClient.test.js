@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createShopifyClient } from "../shopifyClient.js";
+import { startMockShopify } from "./mockShopifyServer.js";
+
+const QUERY = "query { shop { name } }";
+const MUTATION = "mutation { inventoryAdjustQuantities { userErrors { message } } }";
+
+function clientFor(mock, options = {}) {
+  return createShopifyClient({ endpoint: mock.url, getToken: () => "token", sleep: async () => {}, timeoutMs: 200, ...options });
+}
+
+test("retries THROTTLED and 429 responses", async (t) => {
+  const mock = await startMockShopify((body, n) => {
+    if (n === 1) return { json: { errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }] } };
+    if (n === 2) return { status: 429, headers: { "Retry-After": "0" } };
+    return { json: { data: { shop: { name: "Test" } } } };
+  });
+  t.after(() => mock.close());
+
+  const client = clientFor(mock);
+  const r = await client.request(QUERY);
+  assert.equal(r.ok, true);
+  assert.equal(r.json.data.shop.name, "Test");
+  assert.equal(mock.requests.length, 3);
+  assert.equal(client.getMetrics().throttled, 2);
+});
+
+test("retries a query that times out", async (t) => {
+  const mock = await startMockShopify((body, n) => (n === 1 ? { hang: true } : { json: { data: { shop: { name: "Test" } } } }));
+  t.after(() => mock.close());
+
+  const client = clientFor(mock);
+  const r = await client.request(QUERY);
+  assert.equal(r.ok, true);
+  assert.equal(mock.requests.length, 2);
+  assert.equal(client.getMetrics().timeouts, 1);
+});
+
+test("does not retry a mutation that times out", async (t) => {
+  const mock = await startMockShopify(() => ({ hang: true }));
+  t.after(() => mock.close());
+
+  const client = clientFor(mock);
+  await assert.rejects(client.request(MUTATION), /timed out after 200ms — it may still have been applied/);
+  assert.equal(mock.requests.length, 1);
+});
+
+test("does not retry a mutation that got a 5xx", async (t) => {
+  const mock = await startMockShopify(() => ({ status: 502, json: {} }));
+  t.after(() => mock.close());
+
+  const r = await clientFor(mock).request(MUTATION);
+  assert.equal(r.ok, false);
+  assert.equal(r.status, 502);
+  assert.equal(mock.requests.length, 1);
+});
+
+test("a hung request doesn't hold up the queue", async (t) => {
+  const mock = await startMockShopify((body, n) => (n === 1 ? { hang: true } : { json: { data: {} } }));
+  t.after(() => mock.close());
+
+  const client = clientFor(mock);
+  const [first, second] = await Promise.allSettled([client.request(MUTATION), client.request(QUERY)]);
+  assert.equal(first.status, "rejected");
+  assert.equal(second.value.ok, true);
+});
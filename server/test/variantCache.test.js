@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "variant-cache-"));
+const cacheFile = path.join(dir, "variant_cache.json");
+process.env.VARIANT_CACHE_PATH = cacheFile;
+const { putCachedProduct, getCachedProduct, getCachedProductByBarcode, removeCachedProduct, flushVariantCache } = await import("../variantCache.js");
+
+const SHOP = "test.myshopify.com";
+
+function product(productId, barcodes) {
+  return { productId, title: productId, variants: barcodes.map((barcode, i) => ({ variantId: `${productId}-v${i}`, barcode, inventoryItemId: `${productId}-i${i}` })) };
+}
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("a malformed updated_at is stored as the receive time", () => {
+  const before = Date.now();
+  assert.equal(putCachedProduct(product("p1", ["111"]), { updatedAt: "not a date", shop: SHOP }), true);
+  const at = Date.parse(getCachedProduct("p1", SHOP).updatedAt);
+  assert.ok(at >= before && at <= Date.now());
+});
+
+test("an older update than the cached copy is ignored", () => {
+  assert.equal(putCachedProduct(product("p2", ["222"]), { updatedAt: "2024-05-02T00:00:00Z", shop: SHOP }), true);
+  assert.equal(putCachedProduct(product("p2", ["999"]), { updatedAt: "2024-05-01T00:00:00Z", shop: SHOP }), false);
+  assert.equal(getCachedProductByBarcode("222", SHOP)?.productId, "p2");
+});
+
+test("replacing or removing a product updates its barcodes only", () => {
+  putCachedProduct(product("p3", ["333", "334"]), { shop: SHOP });
+  putCachedProduct(product("p3", ["335"]), { shop: SHOP });
+  assert.equal(getCachedProductByBarcode("333", SHOP), null);
+  assert.equal(getCachedProductByBarcode("335", SHOP)?.productId, "p3");
+  assert.equal(getCachedProductByBarcode("111", SHOP)?.productId, "p1");
+
+  removeCachedProduct("p3", SHOP);
+  assert.equal(getCachedProductByBarcode("335", SHOP), null);
+  assert.equal(getCachedProductByBarcode("111", SHOP)?.productId, "p1");
+});
+
+test("changes reach the cache file once flushed", () => {
+  flushVariantCache();
+  const saved = JSON.parse(fs.readFileSync(cacheFile, "utf8"));
+  assert.deepEqual(Object.keys(saved.products).sort(), ["p1", "p2"]);
+  assert.equal(saved.productCount, 2);
+});
@@ -0,0 +1,201 @@
+// server/variantCache.js
+//
+// Local cache of Shopify products -> variants -> barcodes -> inventory item
+// ids, so barcode lookups at scan time don't wait on Shopify (and keep
+// working while it's slow or down). Persisted to a local JSON file
+// (VARIANT_CACHE_PATH):
+//
+//   { products: { [productId]: { shop, productId, title, variants: [...], updatedAt } },
+//     refreshes: { [shop]: { at, source } }, productCount }
+//
+// Each product belongs to one shop (shops.js) and lookups only see that
+// shop's products, so a barcode reused in another store can't answer for it.
+//
+// Kept fresh by products/* webhooks (one product at a time) and by a full
+// rebuild from a bulk export (POST /api/shopify/variant-cache/refresh, or every
+// VARIANT_CACHE_REFRESH_HOURS). Products looked up live are written through.
+// Single-product changes reach the file after SAVE_DELAY_MS (and on exit), so
+// a burst of webhooks rewrites it once.
+import fs from "fs";
+import path from "path";
+import { listShops } from "./shops.js";
+
+function cachePath() {
+  return process.env.VARIANT_CACHE_PATH || path.join(process.cwd(), "variant_cache.json");
+}
+
+const SAVE_DELAY_MS = 2000;
+
+let state = null; // { products, refreshes }
+let byBarcode = null; // `${shop}|${barcode}` -> productId
+let saveTimer = null;
+
+function load() {
+  if (state) return state;
+  state = { products: {}, refreshes: {} };
+  try {
+    const p = cachePath();
+    if (fs.existsSync(p)) {
+      const json = JSON.parse(fs.readFileSync(p, "utf8"));
+      state.products = json.products || {};
+      state.refreshes = json.refreshes || {};
+      // Cache files from before multi-shop: everything is the default shop's
+      const fallback = listShops()[0] || "";
+      for (const product of Object.values(state.products)) product.shop = product.shop || fallback;
+      if (json.refreshedAt && fallback && !state.refreshes[fallback]) {
+        state.refreshes[fallback] = { at: json.refreshedAt, source: json.refreshSource || null };
+      }
+    }
+  } catch (e) {
+    console.error("[variant-cache] Could not read cache, starting empty:", e.message);
+  }
+  reindex();
+  return state;
+}
+
+function barcodeKeys(product) {
+  return (product.variants || []).map((v) => String(v.barcode || "").trim()).filter(Boolean).map((b) => `${product.shop}|${b}`);
+}
+
+function indexProduct(product) {
+  for (const k of barcodeKeys(product)) byBarcode.set(k, product.productId);
+}
+
+function unindexProduct(product) {
+  for (const k of barcodeKeys(product)) if (byBarcode.get(k) === product.productId) byBarcode.delete(k);
+}
+
+function reindex() {
+  byBarcode = new Map();
+  for (const product of Object.values(state.products)) indexProduct(product);
+}
+
+function save() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  const p = cachePath();
+  const dir = path.dirname(p);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const productCount = Object.keys(state.products).length;
+  fs.writeFileSync(p, JSON.stringify({ ...state, productCount }));
+}
+
+function saveSoon() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    try {
+      save();
+    } catch (e) {
+      console.error("[variant-cache] Could not save cache:", e.message);
+    }
+  }, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+/** Write pending changes to the cache file now. */
+export function flushVariantCache() {
+  if (saveTimer) save();
+}
+
+process.on("exit", () => {
+  try {
+    flushVariantCache();
+  } catch (e) {
+    console.error("[variant-cache] Could not save cache:", e.message);
+  }
+});
+
+function entry(product, updatedAt, shop) {
+  return {
+    shop,
+    productId: product.productId,
+    title: product.title || "",
+    variants: (product.variants || []).map((v) => ({
+      variantId: v.variantId,
+      barcode: v.barcode || "",
+      sizeValue: v.sizeValue || "",
+      colorValue: v.colorValue || "",
+      inventoryItemId: v.inventoryItemId || "",
+      options: v.options || []
+    })),
+    updatedAt
+  };
+}
+
+/** Cached product ({ shop, productId, title, variants, updatedAt }) of this shop, or null. */
+export function getCachedProduct(productId, shop) {
+  const p = load().products[productId];
+  return p && p.shop === shop ? p : null;
+}
+
+/** Cached product of this shop owning the barcode, or null. */
+export function getCachedProductByBarcode(barcode, shop) {
+  const b = String(barcode || "").trim();
+  if (!b) return null;
+  load();
+  const productId = byBarcode.get(`${shop}|${b}`);
+  return productId ? state.products[productId] || null : null;
+}
+
+// ISO timestamp for `value`, or now when it's missing or not a date.
+function isoOrNow(value) {
+  const t = Date.parse(value);
+  return new Date(Number.isFinite(t) ? t : Date.now()).toISOString();
+}
+
+/**
+ * Insert or replace one product (webhook, or a live lookup written through).
+ * `updatedAt` is when Shopify last changed it (webhook payload updated_at,
+ * now when it's missing or malformed); an older one than the cached copy is
+ * a late delivery and is ignored.
+ */
+export function putCachedProduct(product, { updatedAt, shop } = {}) {
+  if (!product?.productId || !shop) return false;
+  load();
+  const prev = state.products[product.productId];
+  const at = isoOrNow(updatedAt);
+  if (prev?.shop === shop && prev.updatedAt && updatedAt && prev.updatedAt > at) return false;
+  if (prev) unindexProduct(prev);
+  state.products[product.productId] = entry(product, at, shop);
+  indexProduct(state.products[product.productId]);
+  saveSoon();
+  return true;
+}
+
+export function removeCachedProduct(productId, shop) {
+  load();
+  const prev = state.products[productId];
+  if (prev?.shop !== shop) return;
+  unindexProduct(prev);
+  delete state.products[productId];
+  saveSoon();
+}
+
+/** Replace one shop's products with a full catalog export of that shop. */
+export function replaceCachedProducts(products, source, shop) {
+  load();
+  const at = new Date().toISOString();
+  for (const [id, p] of Object.entries(state.products)) {
+    if (p.shop === shop) delete state.products[id];
+  }
+  for (const p of products || []) {
+    if (p?.productId) state.products[p.productId] = entry(p, at, shop);
+  }
+  state.refreshes[shop] = { at, source: source || null };
+  reindex();
+  save();
+}
+
+export function getVariantCacheStatus() {
+  load();
+  const shops = {};
+  for (const shop of new Set([...listShops(), ...Object.values(state.products).map((p) => p.shop)])) {
+    shops[shop] = { productCount: 0, refreshedAt: state.refreshes[shop]?.at || null, refreshSource: state.refreshes[shop]?.source || null };
+  }
+  for (const p of Object.values(state.products)) shops[p.shop].productCount++;
+  return {
+    productCount: Object.keys(state.products).length,
+    barcodeCount: byBarcode.size,
+    shops
+  };
+}
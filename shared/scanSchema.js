@@ -0,0 +1,279 @@
+// shared/scanSchema.js
+//
+// Schema for the JSON blobs on a record, shared by the server and the client
+// (plain JS, no Node or browser APIs).
+//
+// Scan_JSON, version 2 (what's written now):
+//
+//   { schema: 2,
+//     matrix: { [location]: { [size]: units } },      // everything received so far
+//     meta: { closeoutSubmitted, closeoutComplete: { at, by } | null,
+//             closeoutPosted: {...} | null,           // see addPostedChanges (server/index.js)
+//             voidedCloseouts: [...] },
+//     submissions: { closeout: [id], office: [id] },  // idempotency ids already applied
+//     receipts: [{ at, by, submissionId, matrix, units, adjustmentGroupId }],
+//     extra: {}, unparsed: null }
+//
+// Alloc_JSON, version 2:
+//
+//   { schema: 2, matrix: { [location]: { [size]: units } }, ruleSet: { id, version, name } | null,
+//     extra: {}, unparsed: null }
+//
+// Version 1 is the old flat layout: location rows at the top level next to
+// `_` keys (_closeoutSubmitted, _closeoutComplete, _closeoutPosted,
+// _voidedCloseouts, _receipts, _appliedCloseoutSubmissions,
+// _appliedOfficeSubmissions; _ruleSet on Alloc_JSON). parseScan / parseAlloc
+// read either and migrate v1 on the fly; the next write stores v2.
+//
+// Parsing never throws. Whatever couldn't be read is listed in `warnings`
+// (shown to the user) instead of silently turning into an empty matrix:
+// unparseable text is kept in `unparsed` so it survives the next write and
+// can be recovered by hand, and unknown keys are kept in `extra`.
+
+export const SCAN_SCHEMA_VERSION = 2;
+export const ALLOC_SCHEMA_VERSION = 2;
+
+const LEGACY_SCAN_KEYS = {
+  _closeoutSubmitted: "closeoutSubmitted",
+  _closeoutComplete: "closeoutComplete",
+  _closeoutPosted: "closeoutPosted",
+  _voidedCloseouts: "voidedCloseouts",
+  _receipts: "receipts",
+  _appliedCloseoutSubmissions: "closeoutSubmissions",
+  _appliedOfficeSubmissions: "officeSubmissions"
+};
+
+function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+function arrayOf(value, label, warnings) {
+  if (value === undefined || value === null) return [];
+  if (Array.isArray(value)) return value;
+  warnings.push(`${label} is not a list — ignored.`);
+  return [];
+}
+
+// Location rows of numbers. Bad rows are dropped and bad cells read as 0,
+// each with a warning.
+function readMatrix(value, label, warnings) {
+  const matrix = {};
+  if (value === undefined || value === null) return matrix;
+  if (!isPlainObject(value)) {
+    warnings.push(`${label} is not a location × size table — ignored.`);
+    return matrix;
+  }
+  for (const [loc, row] of Object.entries(value)) {
+    if (!isPlainObject(row)) {
+      warnings.push(`${label}: "${loc}" is not a row of sizes — ignored.`);
+      continue;
+    }
+    matrix[loc] = {};
+    for (const [size, n] of Object.entries(row)) {
+      const num = Number(n ?? 0);
+      if (!Number.isFinite(num)) {
+        warnings.push(`${label}: ${loc} / ${size} is "${n}", not a number — read as 0.`);
+        matrix[loc][size] = 0;
+      } else {
+        if (num < 0) warnings.push(`${label}: ${loc} / ${size} is negative (${num}).`);
+        matrix[loc][size] = num;
+      }
+    }
+  }
+  return matrix;
+}
+
+// JSON text (or an already-parsed value) -> { value, warnings, unparsed }
+function readJson(raw, label) {
+  if (raw === undefined || raw === null || raw === "") return { value: {}, warnings: [], unparsed: null };
+  if (typeof raw !== "string") return { value: raw, warnings: [], unparsed: null };
+  try {
+    return { value: JSON.parse(raw), warnings: [], unparsed: null };
+  } catch (e) {
+    return { value: {}, warnings: [`${label} is not valid JSON (${e.message}) — shown as empty; the text is kept on the record.`], unparsed: raw };
+  }
+}
+
+function carryUnparsed(doc, value, label) {
+  if (typeof value.unparsed === "string" && value.unparsed) {
+    doc.unparsed = value.unparsed;
+    doc.warnings.push(`${label} still holds text from an earlier value that wasn't valid JSON (kept under "unparsed").`);
+  }
+}
+
+function keepExtra(doc, key, value, label) {
+  doc.extra[key] = value;
+  doc.warnings.push(`${label} has an unknown key "${key}" — kept as is.`);
+}
+
+export function emptyScan() {
+  return {
+    schema: SCAN_SCHEMA_VERSION,
+    matrix: {},
+    meta: { closeoutSubmitted: false, closeoutComplete: null, closeoutPosted: null, voidedCloseouts: [] },
+    submissions: { closeout: [], office: [] },
+    receipts: [],
+    extra: {},
+    unparsed: null,
+    warnings: [],
+    invalid: false
+  };
+}
+
+/**
+ * Scan_JSON (text, parsed value or null) -> typed scan doc, plus
+ * `warnings` (strings) and `invalid` (the text wasn't JSON at all).
+ */
+export function parseScan(raw, label = "Scan_JSON") {
+  const { value, warnings, unparsed } = readJson(raw, label);
+  const doc = emptyScan();
+  doc.warnings = warnings;
+  doc.invalid = unparsed !== null;
+  doc.unparsed = unparsed;
+
+  if (!isPlainObject(value)) {
+    doc.warnings.push(`${label} is not an object — shown as empty.`);
+    doc.invalid = true;
+    doc.unparsed = typeof raw === "string" ? raw : JSON.stringify(value);
+    return doc;
+  }
+
+  if (value.schema === SCAN_SCHEMA_VERSION) {
+    const meta = isPlainObject(value.meta) ? value.meta : {};
+    const submissions = isPlainObject(value.submissions) ? value.submissions : {};
+    doc.matrix = readMatrix(value.matrix, label, doc.warnings);
+    doc.meta = {
+      closeoutSubmitted: !!meta.closeoutSubmitted,
+      closeoutComplete: meta.closeoutComplete || null,
+      closeoutPosted: isPlainObject(meta.closeoutPosted) ? meta.closeoutPosted : null,
+      voidedCloseouts: arrayOf(meta.voidedCloseouts, `${label} voided closeouts`, doc.warnings)
+    };
+    doc.submissions = {
+      closeout: arrayOf(submissions.closeout, `${label} closeout submissions`, doc.warnings),
+      office: arrayOf(submissions.office, `${label} office submissions`, doc.warnings)
+    };
+    doc.receipts = arrayOf(value.receipts, `${label} receipts`, doc.warnings);
+    doc.extra = isPlainObject(value.extra) ? { ...value.extra } : {};
+    carryUnparsed(doc, value, label);
+    return doc;
+  }
+
+  if (value.schema !== undefined) {
+    doc.warnings.push(`${label} has schema ${JSON.stringify(value.schema)}, newer than this app knows (${SCAN_SCHEMA_VERSION}) — read as the old layout.`);
+  }
+
+  // Version 1: flat
+  const rows = {};
+  for (const [key, v] of Object.entries(value)) {
+    if (!key.startsWith("_")) {
+      if (key !== "schema") rows[key] = v;
+      continue;
+    }
+    switch (LEGACY_SCAN_KEYS[key]) {
+      case "closeoutSubmitted":
+        doc.meta.closeoutSubmitted = !!v;
+        break;
+      case "closeoutComplete":
+        doc.meta.closeoutComplete = v || null;
+        break;
+      case "closeoutPosted":
+        doc.meta.closeoutPosted = isPlainObject(v) ? v : null;
+        break;
+      case "voidedCloseouts":
+        doc.meta.voidedCloseouts = arrayOf(v, `${label} voided closeouts`, doc.warnings);
+        break;
+      case "receipts":
+        doc.receipts = arrayOf(v, `${label} receipts`, doc.warnings);
+        break;
+      case "closeoutSubmissions":
+        doc.submissions.closeout = arrayOf(v, `${label} closeout submissions`, doc.warnings);
+        break;
+      case "officeSubmissions":
+        doc.submissions.office = arrayOf(v, `${label} office submissions`, doc.warnings);
+        break;
+      default:
+        keepExtra(doc, key, v, label);
+    }
+  }
+  doc.matrix = readMatrix(rows, label, doc.warnings);
+  return doc;
+}
+
+/** Typed scan doc -> Scan_JSON text (version 2). */
+export function serializeScan(doc) {
+  const d = doc || emptyScan();
+  const out = {
+    schema: SCAN_SCHEMA_VERSION,
+    matrix: d.matrix || {},
+    meta: {
+      closeoutSubmitted: !!d.meta?.closeoutSubmitted,
+      closeoutComplete: d.meta?.closeoutComplete || null,
+      closeoutPosted: d.meta?.closeoutPosted || null,
+      voidedCloseouts: d.meta?.voidedCloseouts || []
+    },
+    submissions: { closeout: d.submissions?.closeout || [], office: d.submissions?.office || [] },
+    receipts: d.receipts || []
+  };
+  if (d.extra && Object.keys(d.extra).length) out.extra = d.extra;
+  if (d.unparsed) out.unparsed = d.unparsed;
+  return JSON.stringify(out);
+}
+
+export function emptyAlloc() {
+  return { schema: ALLOC_SCHEMA_VERSION, matrix: {}, ruleSet: null, extra: {}, unparsed: null, warnings: [], invalid: false };
+}
+
+/** Alloc_JSON (text, parsed value or null) -> { schema, matrix, ruleSet, extra, unparsed, warnings, invalid }. */
+export function parseAlloc(raw, label = "Alloc_JSON") {
+  const { value, warnings, unparsed } = readJson(raw, label);
+  const doc = emptyAlloc();
+  doc.warnings = warnings;
+  doc.invalid = unparsed !== null;
+  doc.unparsed = unparsed;
+
+  if (!isPlainObject(value)) {
+    doc.warnings.push(`${label} is not an object — shown as empty.`);
+    doc.invalid = true;
+    doc.unparsed = typeof raw === "string" ? raw : JSON.stringify(value);
+    return doc;
+  }
+
+  if (value.schema === ALLOC_SCHEMA_VERSION) {
+    doc.matrix = readMatrix(value.matrix, label, doc.warnings);
+    doc.ruleSet = isPlainObject(value.ruleSet) ? value.ruleSet : null;
+    doc.extra = isPlainObject(value.extra) ? { ...value.extra } : {};
+    carryUnparsed(doc, value, label);
+    return doc;
+  }
+
+  if (value.schema !== undefined) {
+    doc.warnings.push(`${label} has schema ${JSON.stringify(value.schema)}, newer than this app knows (${ALLOC_SCHEMA_VERSION}) — read as the old layout.`);
+  }
+
+  // Version 1: flat, with the rule set under _ruleSet
+  const rows = {};
+  for (const [key, v] of Object.entries(value)) {
+    if (key === "_ruleSet") doc.ruleSet = isPlainObject(v) ? v : null;
+    else if (key.startsWith("_")) keepExtra(doc, key, v, label);
+    else if (key !== "schema") rows[key] = v;
+  }
+  doc.matrix = readMatrix(rows, label, doc.warnings);
+  return doc;
+}
+
+/** Typed allocation ({ matrix, ruleSet }) -> Alloc_JSON text (version 2). */
+export function serializeAlloc(doc) {
+  const out = { schema: ALLOC_SCHEMA_VERSION, matrix: doc?.matrix || {}, ruleSet: doc?.ruleSet || null };
+  if (doc?.extra && Object.keys(doc.extra).length) out.extra = doc.extra;
+  if (doc?.unparsed) out.unparsed = doc.unparsed;
+  return JSON.stringify(out);
+}
+
+/** Units per size across every location of a matrix. */
+export function sizeTotals(matrix, sizes) {
+  const totals = {};
+  for (const s of sizes || []) {
+    totals[s] = Object.values(matrix || {}).reduce((a, row) => a + Number(row?.[s] ?? 0), 0);
+  }
+  return totals;
+}